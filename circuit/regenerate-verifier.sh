@@ -4,19 +4,26 @@
 
 set -e
 
+VERIFIER=../degen-rps/src/Verifier.sol
+VK_HASH_FILE=../degen-rps/src/Verifier.vkhash
+
+echo "Compiling circuit..."
+nargo compile
+cp ./target/circuit.json ../frontend/public/target/circuit.json
+
 echo "Regenerating verification key with --oracle_hash keccak..."
 bb write_vk -b ./target/circuit.json -o ./target --oracle_hash keccak
 
 echo "Generating Solidity verifier..."
-bb write_solidity_verifier -k ./target/vk -o ../contracts/contracts/Verifier.sol
+bb write_solidity_verifier -k ./target/vk -o "$VERIFIER"
+echo "✅ Verifier regenerated at $VERIFIER"
+
+# update-deployments.js records this as verifier.vkHash for the next deployment
+cast keccak "0x$(xxd -p ./target/vk | tr -d '\n')" > "$VK_HASH_FILE"
+echo "🔑 vk hash $(cat "$VK_HASH_FILE") written to $VK_HASH_FILE"
 
-echo "✅ Verifier regenerated at ../contracts/contracts/Verifier.sol"
 echo ""
 echo "Next steps:"
-echo "1. Check the contract size: cd ../contracts && npx hardhat compile"
-echo "2. If size is acceptable, deploy with: npx hardhat ignition deploy ignition/modules/RockPaperScissors.ts --network localhost"
-
-
-
-
-
+echo "1. Run the tests: cd ../degen-rps && forge test"
+echo "2. Deploy the new verifier and DegenRPS (see degen-rps/DEPLOY.md)"
+echo "3. Record them in the manifest: node script/update-deployments.js <chainId>"
@@ -4,7 +4,7 @@
 # This script:
 # 1. Checks if Anvil is running
 # 2. Deploys contracts
-# 3. Extracts addresses and updates deployments.json
+# 3. Updates deployments.json from the broadcast files
 
 set -e
 
@@ -76,8 +76,8 @@ fi
 
 # Use node to update JSON if available, otherwise provide manual instructions
 if command -v node &> /dev/null; then
-    cd "$SCRIPT_DIR"
-    node update-deployments.js "$VERIFIER_ADDR" "$DEGEN_RPS_ADDR" "$TOKEN0_ADDR" "$TOKEN1_ADDR"
+    cd "$PROJECT_ROOT"
+    node script/update-deployments.js 31337 --default
     echo "✅ deployments.json updated"
 else
     echo "⚠️  Node.js not found. Please manually update deployments.json:"
@@ -1,59 +1,297 @@
 #!/usr/bin/env node
 
 /**
- * Script to update frontend/deployments.json with deployed contract addresses
- * Usage: node script/update-deployments.js <verifier> <degenRPS> <token0> <token1>
+ * Update frontend/deployments.json from Foundry broadcast files
+ * Usage: node script/update-deployments.js [chainId...] [--default] [--rpc-url <url>] [--allow-unconfirmed]
+ *
+ * For every chain (all chains under broadcast/ when none are given) the newest
+ * broadcast/<script>/<chainId>/run-latest.json is read. Verifier, DegenRPS and
+ * the two MockERC20 tokens are found by contract name, with their deployment
+ * block and tx hash from the receipts, and ABIs come from out/ artifacts.
+ * A newly deployed verifier gets the vkHash circuit/regenerate-verifier.sh
+ * wrote to src/Verifier.vkhash. A verifier the run only passed to DegenRPS
+ * keeps its entry, with no block number unless a txHash backs it.
+ * Other chains, other contracts and extra fields in the manifest are kept.
+ * Runs without a DegenRPS receipt (a dry run, or a broadcast that never
+ * confirmed) are skipped.
+ *
+ *   --default            make the (last) updated chain the frontend's default
+ *   --rpc-url <url>      RPC URL to record for the chain (single chain only)
+ *   --allow-unconfirmed  record runs without receipts anyway
  */
 
 const fs = require('fs');
 const path = require('path');
 
-const args = process.argv.slice(2);
+const PROJECT_ROOT = path.join(__dirname, '..');
+const BROADCAST_DIR = path.join(PROJECT_ROOT, 'broadcast');
+const OUT_DIR = path.join(PROJECT_ROOT, 'out');
+const VK_HASH_PATH = path.join(PROJECT_ROOT, 'src', 'Verifier.vkhash');
+const deploymentsPath = path.join(PROJECT_ROOT, '../frontend/deployments.json');
 
-if (args.length < 4) {
-  console.error('Usage: node update-deployments.js <verifier> <degenRPS> <token0> <token1>');
-  process.exit(1);
+const MANIFEST_VERSION = 2;
+const ETHER = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+// Metadata for chains that get their first deployment
+const KNOWN_CHAINS = {
+  31337: { name: 'Localhost', rpcUrl: 'http://localhost:8545', explorerUrl: null, nativeCurrency: ETHER },
+  42161: { name: 'Arbitrum One', rpcUrl: 'https://arb1.arbitrum.io/rpc', explorerUrl: 'https://arbiscan.io', nativeCurrency: ETHER },
+  421614: { name: 'Arbitrum Sepolia', rpcUrl: 'https://sepolia-rollup.arbitrum.io/rpc', explorerUrl: 'https://sepolia.arbiscan.io', nativeCurrency: ETHER },
+  11155111: { name: 'Sepolia', rpcUrl: 'https://ethereum-sepolia-rpc.publicnode.com', explorerUrl: 'https://sepolia.etherscan.io', nativeCurrency: { name: 'Sepolia Ether', symbol: 'ETH', decimals: 18 } }
+};
+
+function parseArgs(argv) {
+  const options = { chainIds: [], makeDefault: false, rpcUrl: null, allowUnconfirmed: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--default') {
+      options.makeDefault = true;
+    } else if (arg === '--allow-unconfirmed') {
+      options.allowUnconfirmed = true;
+    } else if (arg === '--rpc-url') {
+      options.rpcUrl = argv[++i];
+      if (!options.rpcUrl) throw new Error('--rpc-url needs a value');
+    } else if (/^\d+$/.test(arg)) {
+      options.chainIds.push(arg);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (options.rpcUrl && options.chainIds.length !== 1) {
+    throw new Error('--rpc-url needs exactly one chainId');
+  }
+  return options;
 }
 
-const [verifierAddr, degenRPSAddr, token0Addr, token1Addr] = args;
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
 
-// Read existing deployments.json
-const deploymentsPath = path.join(__dirname, '../../frontend/deployments.json');
-let deployments = {};
+// { chainId: [run-latest.json paths] } across all deploy scripts
+function findBroadcasts() {
+  const runs = {};
+  if (!fs.existsSync(BROADCAST_DIR)) return runs;
+  for (const script of fs.readdirSync(BROADCAST_DIR)) {
+    const scriptDir = path.join(BROADCAST_DIR, script);
+    if (!fs.statSync(scriptDir).isDirectory()) continue;
+    for (const chainId of fs.readdirSync(scriptDir)) {
+      const file = path.join(scriptDir, chainId, 'run-latest.json');
+      if (!fs.existsSync(file)) continue;
+      (runs[chainId] = runs[chainId] || []).push(file);
+    }
+  }
+  return runs;
+}
 
-if (fs.existsSync(deploymentsPath)) {
-  deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
+// Newest run for a chain when several scripts deployed to it
+function latestRun(files) {
+  return files
+    .map((file) => ({ file, run: readJson(file) }))
+    .sort((a, b) => (b.run.timestamp || 0) - (a.run.timestamp || 0))[0];
 }
 
-// Update with new addresses
-deployments.chainId = "31337";
-deployments.rpcUrl = "http://localhost:8545";
+// keccak256 of the key src/Verifier.sol was generated from, or null
+function readVkHash() {
+  if (!fs.existsSync(VK_HASH_PATH)) return null;
+  const vkHash = fs.readFileSync(VK_HASH_PATH, 'utf8').trim();
+  if (!/^0x[0-9a-fA-F]{64}$/.test(vkHash)) {
+    throw new Error(`${path.relative(PROJECT_ROOT, VK_HASH_PATH)} does not hold a keccak256 hash`);
+  }
+  return vkHash;
+}
 
-if (!deployments.contracts) {
-  deployments.contracts = {};
+function toBlockNumber(value) {
+  if (value === undefined || value === null) return null;
+  return Number(BigInt(value));
 }
 
-deployments.contracts.degenRPS = {
-  address: degenRPSAddr
-};
+// ABI from out/<Source>.sol/<ContractName>.json, or null if not built
+function findAbi(contractName) {
+  if (!fs.existsSync(OUT_DIR)) return null;
+  for (const source of fs.readdirSync(OUT_DIR)) {
+    const artifact = path.join(OUT_DIR, source, `${contractName}.json`);
+    if (fs.existsSync(artifact)) {
+      return readJson(artifact).abi || null;
+    }
+  }
+  return null;
+}
 
-deployments.contracts.verifier = {
-  address: verifierAddr
-};
+// { key: { address, blockNumber, txHash, contractName } } from one broadcast run
+function extractDeployments(run) {
+  const receipts = run.receipts || [];
+  const creates = (run.transactions || []).filter(
+    (tx) => tx.transactionType === 'CREATE' || tx.transactionType === 'CREATE2'
+  );
 
-deployments.contracts.token0 = {
-  address: token0Addr
-};
+  const describe = (tx) => {
+    const address = tx.contractAddress.toLowerCase();
+    const receipt = receipts.find(
+      (r) =>
+        (tx.hash && r.transactionHash === tx.hash) ||
+        (r.contractAddress && r.contractAddress.toLowerCase() === address)
+    );
+    return {
+      address: tx.contractAddress,
+      blockNumber: receipt ? toBlockNumber(receipt.blockNumber) : null,
+      txHash: tx.hash || (receipt && receipt.transactionHash) || null,
+      contractName: tx.contractName
+    };
+  };
 
-deployments.contracts.token1 = {
-  address: token1Addr
-};
+  const found = {};
+  const verifierTx = creates.find((tx) => tx.contractName === 'HonkVerifier');
+  const degenRPSTx = creates.find((tx) => tx.contractName === 'DegenRPS');
+  const tokenTxs = creates.filter((tx) => tx.contractName === 'MockERC20');
 
-// Write back
-fs.writeFileSync(deploymentsPath, JSON.stringify(deployments, null, 2));
+  if (verifierTx) found.verifier = describe(verifierTx);
+  if (degenRPSTx) found.degenRPS = describe(degenRPSTx);
+  if (tokenTxs[0]) found.token0 = describe(tokenTxs[0]);
+  if (tokenTxs[1]) found.token1 = describe(tokenTxs[1]);
+
+  // Scripts that reuse an existing verifier pass it to the DegenRPS constructor
+  if (!found.verifier && degenRPSTx && degenRPSTx.arguments && degenRPSTx.arguments[0]) {
+    found.verifier = { address: degenRPSTx.arguments[0], contractName: 'HonkVerifier', reused: true };
+  }
+  return found;
+}
 
-console.log('✅ Updated frontend/deployments.json');
-console.log('   DegenRPS:', degenRPSAddr);
-console.log('   Verifier:', verifierAddr);
-console.log('   Token0:', token0Addr);
-console.log('   Token1:', token1Addr);
+function loadManifest() {
+  if (!fs.existsSync(deploymentsPath)) {
+    return { version: MANIFEST_VERSION, defaultChainId: null, chains: {} };
+  }
+  const deployments = readJson(deploymentsPath);
+  if (deployments.chains) return deployments;
+
+  // Legacy single-chain file
+  const legacyChainId = deployments.chainId;
+  return {
+    version: MANIFEST_VERSION,
+    defaultChainId: legacyChainId || null,
+    chains: legacyChainId
+      ? { [legacyChainId]: { rpcUrl: deployments.rpcUrl, contracts: deployments.contracts || {} } }
+      : {}
+  };
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function updateChain(manifest, chainId, file, run, { rpcUrl, allowUnconfirmed }) {
+  const known = KNOWN_CHAINS[chainId] || {};
+  const chain = manifest.chains[chainId] || {};
+  chain.name = chain.name || known.name || `Chain ${chainId}`;
+  chain.rpcUrl = rpcUrl || chain.rpcUrl || known.rpcUrl || null;
+  chain.explorerUrl = chain.explorerUrl !== undefined ? chain.explorerUrl : known.explorerUrl || null;
+  chain.nativeCurrency = chain.nativeCurrency || known.nativeCurrency || ETHER;
+  chain.contracts = chain.contracts || {};
+
+  const found = extractDeployments(run);
+  if (!found.degenRPS) {
+    console.warn(`⚠️  ${path.relative(PROJECT_ROOT, file)} has no DegenRPS deployment, skipping chain ${chainId}`);
+    return false;
+  }
+  if (found.degenRPS.blockNumber === null && !allowUnconfirmed) {
+    console.warn(
+      `⚠️  ${path.relative(PROJECT_ROOT, file)} has no DegenRPS receipt (not broadcast?), skipping chain ${chainId}` +
+        ' - pass --allow-unconfirmed to record it anyway'
+    );
+    return false;
+  }
+
+  console.log(`📋 Chain ${chainId} (${chain.name}) from ${path.relative(PROJECT_ROOT, file)}`);
+  for (const key of ['verifier', 'token0', 'token1']) {
+    if (!found[key]) console.warn(`   ⚠️  No ${key} deployment in this run - keeping the existing entry`);
+  }
+  for (const [key, deployment] of Object.entries(found)) {
+    const existing = chain.contracts[key] || {};
+    const abi = findAbi(deployment.contractName);
+
+    if (deployment.reused) {
+      // Not deployed by this run: keep what we know about it, update the address
+      chain.contracts[key] = sameAddress(existing.address, deployment.address)
+        ? { ...existing, abi: abi || existing.abi }
+        : { address: deployment.address, abi: abi || existing.abi, blockNumber: null };
+      if (!chain.contracts[key].abi) delete chain.contracts[key].abi;
+      // A block number without the tx that deployed there is a placeholder
+      if (!chain.contracts[key].txHash) chain.contracts[key].blockNumber = null;
+      console.log(`   ${key.padEnd(9)} ${deployment.address} (reused)`);
+      if (key === 'verifier' && !chain.contracts[key].vkHash) {
+        console.warn('   ⚠️  No vkHash recorded for the reused verifier - the frontend reads its key from the bytecode');
+      }
+      continue;
+    }
+
+    // vkHash and other extras describe the old contract; keep them only if it is unchanged
+    const extras = sameAddress(existing.address, deployment.address) ? existing : {};
+    chain.contracts[key] = {
+      ...extras,
+      address: deployment.address,
+      abi: abi || existing.abi,
+      blockNumber: deployment.blockNumber,
+      txHash: deployment.txHash
+    };
+    if (!chain.contracts[key].abi) {
+      delete chain.contracts[key].abi;
+      console.warn(`   ⚠️  No ABI for ${deployment.contractName} - run 'forge build' first`);
+    }
+    if (key === 'verifier' && !extras.vkHash) {
+      const vkHash = readVkHash();
+      if (vkHash) {
+        chain.contracts.verifier.vkHash = vkHash;
+      } else {
+        console.warn('   ⚠️  No src/Verifier.vkhash - run circuit/regenerate-verifier.sh to record the vk hash');
+      }
+    }
+    if (deployment.blockNumber === null) {
+      console.warn(`   ⚠️  No receipt for ${key} - was the broadcast confirmed?`);
+    }
+    console.log(`   ${key.padEnd(9)} ${deployment.address} (block ${deployment.blockNumber ?? '?'})`);
+  }
+
+  chain.deploymentBlock = chain.contracts.degenRPS.blockNumber ?? null;
+  manifest.chains[chainId] = chain;
+  return true;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const broadcasts = findBroadcasts();
+  const chainIds = options.chainIds.length > 0 ? options.chainIds : Object.keys(broadcasts);
+
+  if (chainIds.length === 0) {
+    throw new Error(`No broadcast files found in ${BROADCAST_DIR}`);
+  }
+
+  const manifest = loadManifest();
+  manifest.version = MANIFEST_VERSION;
+  let updated = null;
+
+  for (const chainId of chainIds) {
+    if (!broadcasts[chainId]) {
+      throw new Error(`No broadcast/*/${chainId}/run-latest.json found - deploy to chain ${chainId} first`);
+    }
+    const { file, run } = latestRun(broadcasts[chainId]);
+    if (updateChain(manifest, chainId, file, run, options)) {
+      updated = chainId;
+    }
+  }
+
+  if (!updated) {
+    throw new Error('No chain was updated');
+  }
+  if (options.makeDefault || !manifest.defaultChainId) {
+    manifest.defaultChainId = updated;
+  }
+
+  fs.writeFileSync(deploymentsPath, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`✅ Updated frontend/deployments.json (default chain ${manifest.defaultChainId})`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -204,11 +204,7 @@ contract DegenRPS {
         // NOTE: The Noir circuit expects frontend format moves (0=Rock, 1=Paper, 2=Scissors)
         // but the contract uses enum format (1=Rock, 2=Paper, 3=Scissors), so we convert
         uint8 computedWinner = uint8(_determineWinner(move, game.player2Move));
-        bytes32[] memory publicInputs = new bytes32[](3);
-        // Convert enum format (1,2,3) to frontend format (0,1,2) for the verifier
-        publicInputs[0] = bytes32(uint256(uint8(move) - 1));
-        publicInputs[1] = bytes32(uint256(uint8(game.player2Move) - 1));
-        publicInputs[2] = bytes32(uint256(computedWinner));
+        bytes32[] memory publicInputs = _buildPublicInputs(move, game.player2Move, computedWinner, game.commitment);
 
         require(verifier.verify(proof, publicInputs), "Invalid ZK proof");
 
@@ -337,6 +333,29 @@ contract DegenRPS {
         return 2; // Player2 wins
     }
 
+    /// @notice Build the verifier public inputs in the circuit's parameter order
+    /// @dev player1_move, player2_move, winner, then the 32 commitment bytes (one per input)
+    /// @param player1Move Player1's move
+    /// @param player2Move Player2's move
+    /// @param winner 0 = tie, 1 = player1, 2 = player2
+    /// @param commitment The commitment stored at game creation
+    /// @return publicInputs The public inputs expected by the verifier
+    function _buildPublicInputs(
+        Move player1Move,
+        Move player2Move,
+        uint8 winner,
+        bytes32 commitment
+    ) internal pure returns (bytes32[] memory publicInputs) {
+        publicInputs = new bytes32[](3 + 32);
+        // Convert enum format (1,2,3) to frontend format (0,1,2) for the verifier
+        publicInputs[0] = bytes32(uint256(uint8(player1Move) - 1));
+        publicInputs[1] = bytes32(uint256(uint8(player2Move) - 1));
+        publicInputs[2] = bytes32(uint256(winner));
+        for (uint256 i = 0; i < 32; i++) {
+            publicInputs[3 + i] = bytes32(uint256(uint8(commitment[i])));
+        }
+    }
+
     /// @notice Get game details
     /// @param gameId The ID of the game
     /// @return game The game struct
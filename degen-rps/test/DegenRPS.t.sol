@@ -4,7 +4,7 @@ pragma solidity ^0.8.26;
 import {Test, console} from "forge-std/Test.sol";
 import {DegenRPS} from "../src/DegenRPS.sol";
 import {MockERC20} from "solmate/test/utils/mocks/MockERC20.sol";
-import {MockVerifier} from "./MockVerifier.sol";
+import {MockVerifier, PublicInputsVerifier} from "./MockVerifier.sol";
 
 contract DegenRPSTest is Test {
     DegenRPS public degenRPS;
@@ -224,4 +224,64 @@ contract DegenRPSTest is Test {
         assertEq(waitingGames.length, 1);
         assertEq(waitingGames[0], gameId2);
     }
+
+    function testRevealAndSettle_PublicInputsIncludeCommitment() public {
+        PublicInputsVerifier inputsVerifier = new PublicInputsVerifier();
+        degenRPS.setVerifier(address(inputsVerifier));
+
+        bytes32 salt = bytes32(uint256(123));
+        DegenRPS.Move player1Move = DegenRPS.Move.Rock;
+        bytes32 commitment = keccak256(abi.encodePacked(uint8(player1Move), salt));
+        bytes memory proof = "mock_proof";
+
+        vm.prank(player1);
+        uint256 gameId = degenRPS.createGame(address(token), BET_AMOUNT, commitment, proof);
+
+        vm.prank(player2);
+        degenRPS.joinGame(gameId, DegenRPS.Move.Scissors);
+
+        // Circuit order: player1_move, player2_move, winner, commitment bytes
+        bytes32[] memory expected = new bytes32[](35);
+        expected[0] = bytes32(uint256(0)); // Rock
+        expected[1] = bytes32(uint256(2)); // Scissors
+        expected[2] = bytes32(uint256(1)); // Player1 wins
+        for (uint256 i = 0; i < 32; i++) {
+            expected[3 + i] = bytes32(uint256(uint8(commitment[i])));
+        }
+        inputsVerifier.expect(expected);
+
+        vm.prank(player1);
+        degenRPS.revealAndSettle(gameId, player1Move, salt, proof);
+
+        DegenRPS.Game memory game = degenRPS.getGame(gameId);
+        assertEq(uint256(game.state), uint256(DegenRPS.GameState.Settled));
+        assertEq(game.winner, player1);
+    }
+
+    function testRevealAndSettle_RejectsProofForOtherCommitment() public {
+        PublicInputsVerifier inputsVerifier = new PublicInputsVerifier();
+        degenRPS.setVerifier(address(inputsVerifier));
+
+        bytes32 salt = bytes32(uint256(123));
+        DegenRPS.Move player1Move = DegenRPS.Move.Rock;
+        bytes32 commitment = keccak256(abi.encodePacked(uint8(player1Move), salt));
+        bytes memory proof = "mock_proof";
+
+        vm.prank(player1);
+        uint256 gameId = degenRPS.createGame(address(token), BET_AMOUNT, commitment, proof);
+
+        vm.prank(player2);
+        degenRPS.joinGame(gameId, DegenRPS.Move.Scissors);
+
+        // Proof generated against a zero commitment must not verify
+        bytes32[] memory expected = new bytes32[](35);
+        expected[0] = bytes32(uint256(0));
+        expected[1] = bytes32(uint256(2));
+        expected[2] = bytes32(uint256(1));
+        inputsVerifier.expect(expected);
+
+        vm.prank(player1);
+        vm.expectRevert("Invalid ZK proof");
+        degenRPS.revealAndSettle(gameId, player1Move, salt, proof);
+    }
 }
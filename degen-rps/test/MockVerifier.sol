@@ -9,3 +9,16 @@ contract MockVerifier is IVerifier {
         return true;
     }
 }
+
+/// @notice Mock verifier that only accepts one expected set of public inputs
+contract PublicInputsVerifier is IVerifier {
+    bytes32 public expectedInputsHash;
+
+    function expect(bytes32[] calldata publicInputs) external {
+        expectedInputsHash = keccak256(abi.encode(publicInputs));
+    }
+
+    function verify(bytes calldata, bytes32[] calldata publicInputs) external view override returns (bool) {
+        return keccak256(abi.encode(publicInputs)) == expectedInputsHash;
+    }
+}
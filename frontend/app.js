@@ -1,32 +1,56 @@
-import { UltraHonkBackend } from "@aztec/bb.js";
-import { Noir } from "@noir-lang/noir_js";
 import { ethers } from "ethers";
 import { log } from "./utils/logger.js";
 import { getNetworkName, normalizeChainId } from "./utils/network.js";
+import {
+  chooseWallet,
+  getAnnouncedWallets,
+  getEthereumProvider,
+  onWalletEvent,
+  renderWalletInfo,
+} from "./utils/wallet.js";
 import { initNoir as initNoirFromModule } from "./utils/contracts.js";
 import { loadDeployments as loadDeploymentsFromModule } from "./utils/contracts.js";
+import { GAME_STATE } from "./config/constants.js";
+import { fetchGame } from "./game/decode.js";
+import { chainNow, startChainClock } from "./utils/chainClock.js";
+
+// RockPaperScissors checks the commitment itself and verifies proofs of the
+// legacy three-input circuit (contracts/contracts/Verifier.sol), not the
+// commitment-bound circuit.json the Degen page proves with
+const BASIC_CIRCUIT_PATH = "/target/circuit_basic.json";
 
 // Circuit will be loaded dynamically
 let circuit = null;
 
 // Game state
-let gameState = {
-  gameId: null,
-  playerNumber: null,
-  move: null,
-  salt: null,
-  commitment: null,
-  isCommitted: false,
-  isRevealed: false,
-  isResolving: false, // Flag to prevent multiple simultaneous resolves
-};
+function newGameState() {
+  return {
+    gameId: null,
+    playerNumber: null,
+    move: null,
+    salt: null,
+    commitment: null,
+    isCommitted: false,
+    isRevealed: false,
+    isResolving: false, // Flag to prevent multiple simultaneous resolves
+  };
+}
+let gameState = newGameState();
+// Game state of other accounts used on this page, so switching back can still reveal
+const gameStatesByAccount = new Map();
 
-let noir = null;
-let backend = null;
+let prover = null; // Proving worker handle (owns Noir and backend)
 let provider = null;
 let signer = null;
 let contract = null;
 
+// Deadline countdowns run on block time from the current provider
+function followChainClock() {
+  startChainClock(provider).catch((error) =>
+    console.warn("Could not start the chain clock:", error)
+  );
+}
+
 // Contract ABI and address - will be loaded from artifacts
 let CONTRACT_ABI = null;
 let CONTRACT_ADDRESS = null;
@@ -51,15 +75,14 @@ async function loadContractArtifact() {
 // Initialize Noir - using shared utility
 async function initNoir() {
   try {
-    const noirResult = await initNoirFromModule();
+    const noirResult = await initNoirFromModule(BASIC_CIRCUIT_PATH);
     if (noirResult) {
       circuit = noirResult.circuit;
-      noir = noirResult.noir;
-      backend = noirResult.backend;
+      prover = noirResult.prover;
     }
   } catch (error) {
     log(`❌ Error initializing Noir: ${error.message}`);
-    log("💡 Make sure circuit.json exists in frontend/target/");
+    log(`💡 Make sure ${BASIC_CIRCUIT_PATH} exists in frontend/public/`);
     console.error("Noir initialization error:", error);
     throw error;
   }
@@ -119,17 +142,18 @@ function updateStepCheckmarks() {
 
 // Ensure we're on the correct network - RESTORED TO ORIGINAL SIMPLE VERSION
 async function ensureCorrectNetwork() {
+  const ethereum = getEthereumProvider();
   // Request network switch to Sepolia if needed
   // Sepolia testnet uses chain ID 11155111
   try {
-    await window.ethereum.request({
+    await ethereum.request({
       method: "wallet_switchEthereumChain",
       params: [{ chainId: "0xAA36A7" }], // 11155111 in hex
     });
   } catch (switchError) {
     // Chain doesn't exist, add it
     if (switchError.code === 4902) {
-      await window.ethereum.request({
+      await ethereum.request({
         method: "wallet_addEthereumChain",
         params: [
           {
@@ -184,10 +208,17 @@ async function updateContractAddressDisplay() {
 
 // Connect wallet - RESTORED TO EXACT ORIGINAL VERSION
 async function connectWallet() {
-  if (typeof window.ethereum === "undefined") {
-    log("❌ MetaMask not found. Please install MetaMask.");
+  const ethereum = await chooseWallet();
+  if (!ethereum) {
+    if (getAnnouncedWallets().length > 0) {
+      log("❌ No wallet selected");
+      return;
+    }
     log(
-      "💡 Tip: Make sure MetaMask is installed and configured for Sepolia testnet (Chain ID: 11155111)"
+      "❌ No wallet found. Please install a browser wallet such as MetaMask."
+    );
+    log(
+      "💡 Tip: Make sure your wallet is configured for Sepolia testnet (Chain ID: 11155111)"
     );
     return;
   }
@@ -196,14 +227,14 @@ async function connectWallet() {
     // Request network switch to Sepolia if needed
     // Sepolia testnet uses chain ID 11155111
     try {
-      await window.ethereum.request({
+      await ethereum.request({
         method: "wallet_switchEthereumChain",
         params: [{ chainId: "0xAA36A7" }], // 11155111 in hex
       });
     } catch (switchError) {
       // Chain doesn't exist, add it
       if (switchError.code === 4902) {
-        await window.ethereum.request({
+        await ethereum.request({
           method: "wallet_addEthereumChain",
           params: [
             {
@@ -219,23 +250,13 @@ async function connectWallet() {
     }
 
     // Create provider AFTER network switch (original order)
-    provider = new ethers.BrowserProvider(window.ethereum);
+    provider = new ethers.BrowserProvider(ethereum);
+    followChainClock();
     await provider.send("eth_requestAccounts", []);
     signer = await provider.getSigner();
     const address = await signer.getAddress();
 
-    document.getElementById("walletInfo").innerHTML = `
-      <div class="px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 rounded-xl border-2 border-green-300">
-        <p class="text-green-800 font-semibold">
-          ✅ Connected: 
-          <span class="font-mono break-all hidden sm:inline">${address}</span>
-          <span class="font-mono sm:hidden">${address.slice(
-            0,
-            6
-          )}...${address.slice(-4)}</span>
-        </p>
-      </div>
-    `;
+    renderWalletInfo(address);
 
     log(`✅ Connected to wallet: ${address}`);
 
@@ -314,8 +335,9 @@ async function createGame() {
 
   // CRITICAL: After network switch, provider and signer must be refreshed
   // because they're tied to the network
-  if (window.ethereum) {
-    provider = new ethers.BrowserProvider(window.ethereum);
+  if (getEthereumProvider()) {
+    provider = new ethers.BrowserProvider(getEthereumProvider());
+    followChainClock();
     signer = await provider.getSigner();
     log("✅ Provider and signer refreshed after network check");
   }
@@ -771,15 +793,7 @@ async function joinGame() {
             : Number(deadlineBigInt.toString());
 
         // Get game data to log timeout
-        // Game struct is an array: timeout is at index 9
-        const game = await contract.getGame(gameId);
-        const timeoutBigInt = game[9] || game.timeout;
-        const timeoutNum =
-          typeof timeoutBigInt === "bigint"
-            ? Number(timeoutBigInt)
-            : timeoutBigInt !== undefined && timeoutBigInt !== null
-            ? Number(timeoutBigInt.toString())
-            : 0;
+        const { timeout: timeoutNum } = await fetchGame(contract, gameId);
 
         log(`✅ Joined game ${gameId}`);
         log(
@@ -799,7 +813,7 @@ async function joinGame() {
         );
 
         // Verify deadline calculation
-        const now = Math.floor(Date.now() / 1000);
+        const now = chainNow();
         const expectedDeadline = now + timeoutNum;
         log(
           `🔍 Verification: Current time: ${now}, Expected deadline: ${expectedDeadline}, Actual deadline: ${deadline}, Difference: ${
@@ -1033,6 +1047,13 @@ let lastRenderedPlayerNumber = null;
 let lastRenderedResolutionStatus = null;
 let lastRenderedResolutionGameId = null;
 
+// Status badge per game state, named after the contract's GameStatus values
+const STATUS_LABELS = {
+  [GAME_STATE.WAITING_FOR_PLAYER2]: "Committed",
+  [GAME_STATE.WAITING_FOR_REVEAL]: "Revealed",
+  [GAME_STATE.SETTLED]: "Completed",
+};
+
 // Update game resolution status display (always visible)
 async function updateGameResolutionStatus() {
   const statusDiv = document.getElementById("gameResolutionStatus");
@@ -1060,29 +1081,12 @@ async function updateGameResolutionStatus() {
   }
 
   try {
-    const game = await contract.getGame(gameState.gameId);
-
-    // Safely access struct fields - handle both array and object formats
-    // Game struct order: [gameId, player1, player2, status, player1Commitment, player1Move, player2Move, winner, createdAt, timeout, revealDeadline]
-    // Indices:           0       1        2        3      4                 5           6           7      8          9       10
-
-    // Check if it's an array or object
-    const isArray =
-      Array.isArray(game) ||
-      (typeof game === "object" && game.length !== undefined);
-
-    // Safely get status - try array index first, then named property
-    let statusValue;
-    if (isArray && game.length > 3) {
-      statusValue = game[3];
-    } else {
-      statusValue = game.status;
-    }
-    const statusNum = Number(statusValue);
+    const game = await fetchGame(contract, gameState.gameId);
+    const { state } = game;
 
     // Check if status actually changed - only update DOM if it did
     if (
-      lastRenderedResolutionStatus === statusNum &&
+      lastRenderedResolutionStatus === state &&
       lastRenderedResolutionGameId === gameState.gameId &&
       lastRenderedPlayerNumber === gameState.playerNumber
     ) {
@@ -1091,76 +1095,34 @@ async function updateGameResolutionStatus() {
     }
 
     // Status changed, update the display
-    lastRenderedResolutionStatus = statusNum;
+    lastRenderedResolutionStatus = state;
     lastRenderedResolutionGameId = gameState.gameId;
     lastRenderedPlayerNumber = gameState.playerNumber;
 
-    const statusText = ["Waiting", "Committed", "Revealed", "Completed"][
-      statusNum
-    ];
+    const statusText = STATUS_LABELS[state];
     const statusClass = `status-${statusText.toLowerCase()}`;
 
     let statusDetails = "";
     let statusColor = "gray";
 
-    switch (statusNum) {
-      case 0: // Waiting
-        statusDetails = "Waiting for players to join";
-        statusColor = "yellow";
-        break;
-      case 1: // Committed
+    switch (state) {
+      case GAME_STATE.WAITING_FOR_PLAYER2:
         statusDetails = "Player 1 committed move. Waiting for Player 2...";
         statusColor = "blue";
         break;
-      case 2: // Revealed
+      case GAME_STATE.WAITING_FOR_REVEAL:
         statusDetails = "Player 2 joined. Player 1 must reveal move.";
         statusColor = "orange";
-        // Safely access revealDeadline - try array index first, then named property
-        let deadlineBigInt;
-        if (isArray && game.length > 10) {
-          deadlineBigInt = game[10];
-        } else {
-          deadlineBigInt = game.revealDeadline;
-        }
-        if (
-          deadlineBigInt &&
-          (typeof deadlineBigInt === "bigint"
-            ? deadlineBigInt > 0n
-            : Number(deadlineBigInt.toString()) > 0)
-        ) {
-          const deadline =
-            typeof deadlineBigInt === "bigint"
-              ? Number(deadlineBigInt)
-              : Number(deadlineBigInt.toString());
-
-          // Validate it's a timestamp, not a timeout value
-          if (deadline < 1000000000) {
-            // This is likely a timeout value, not a deadline timestamp
-            break;
-          }
-
-          // Time remaining is shown in the countdown below, no need to show it here
-          // Just check if deadline passed for status color
-          const now = Math.floor(Date.now() / 1000);
-          const timeRemaining = deadline - now;
-          if (timeRemaining <= 0) {
-            statusDetails += ` <span class="font-semibold text-red-600">(⏰ Deadline passed!)</span>`;
-          }
+        // Time remaining is shown in the countdown below, no need to show it here
+        if (game.isExpired) {
+          statusDetails += ` <span class="font-semibold text-red-600">(⏰ Deadline passed!)</span>`;
         }
         break;
-      case 3: // Completed
-        // Safely access winner - try array index first, then named property
-        let winnerValue;
-        if (isArray && game.length > 7) {
-          winnerValue = game[7];
-        } else {
-          winnerValue = game.winner;
-        }
-        const winnerNum = Number(winnerValue);
-        if (winnerNum === 0) {
+      case GAME_STATE.SETTLED:
+        if (game.winnerPlayer === 0) {
           statusDetails = "Game completed: It's a tie! 🤝";
           statusColor = "gray";
-        } else if (winnerNum === gameState.playerNumber) {
+        } else if (game.winnerPlayer === gameState.playerNumber) {
           statusDetails = "Game completed: You won! 🎉";
           statusColor = "green";
         } else {
@@ -1249,54 +1211,20 @@ async function checkGameResult() {
   if (!contract || !gameState.gameId) return;
 
   try {
-    const game = await contract.getGame(gameState.gameId);
-
-    // Safely access struct fields - handle both array and object formats
-    const isArray =
-      Array.isArray(game) ||
-      (typeof game === "object" && game.length !== undefined);
-
-    // Safely get status
-    let statusValue;
-    if (isArray && game.length > 3) {
-      statusValue = game[3];
-    } else {
-      statusValue = game.status;
-    }
-    const statusNum = Number(statusValue);
+    const game = await fetchGame(contract, gameState.gameId);
 
     // Update game status display (includes deadline info)
     await updateGameStatus();
     updateRevealStatus();
 
     // If Player 2 just joined and Player 1 is watching, start deadline polling
-    // Only start if deadline is actually set and valid
-    // Game struct is an array: player2 is at index 2, revealDeadline is at index 10
-    const player2 = game[2] || game.player2;
+    // Only start if deadline is actually set and still ahead
     if (
-      statusNum === 2 &&
-      player2 !== ethers.ZeroAddress &&
+      game.state === GAME_STATE.WAITING_FOR_REVEAL &&
       gameState.playerNumber === 1
     ) {
-      // Game struct is an array: revealDeadline is at index 10
-      let deadlineBigInt = game[10] || game.revealDeadline;
-      const deadlineNum =
-        typeof deadlineBigInt === "bigint"
-          ? Number(deadlineBigInt)
-          : deadlineBigInt !== undefined && deadlineBigInt !== null
-          ? Number(deadlineBigInt.toString())
-          : 0;
-
-      // Validate it's a timestamp, not a timeout value
-      if (deadlineNum > 0 && deadlineNum < 1000000000) {
-        log(
-          `⚠️ WARNING: Deadline value ${deadlineNum} looks like a timeout, not a timestamp! Skipping deadline polling.`
-        );
-        return;
-      }
-
-      const now = Math.floor(Date.now() / 1000);
-      // Only start polling if deadline is in the future
+      const deadlineNum = game.revealDeadline;
+      const now = chainNow();
       if (deadlineNum > 0 && deadlineNum > now && !deadlinePollInterval) {
         log(
           `🔍 Starting deadline polling: deadline=${deadlineNum}, now=${now}, remaining=${
@@ -1307,7 +1235,7 @@ async function checkGameResult() {
       }
     }
 
-    if (statusNum === 3) {
+    if (game.state === GAME_STATE.SETTLED) {
       // Completed - stop polling
       if (gameResultPollInterval) {
         clearInterval(gameResultPollInterval);
@@ -1319,18 +1247,8 @@ async function checkGameResult() {
       }
 
       // Show result - only show modal when game is actually completed (both moves revealed)
-      // Safely access winner field
-      let winnerValue;
-      if (isArray && game.length > 7) {
-        winnerValue = game[7];
-      } else {
-        winnerValue = game.winner;
-      }
-      const winnerNum = Number(winnerValue);
-
-      // Only show modal if game is truly completed (winner is set, not just status 3)
-      // This prevents showing modal when game is just created
-      if (winnerNum !== undefined && winnerNum !== null) {
+      const winnerNum = game.winnerPlayer;
+      if (winnerNum !== null) {
         let winnerText = "";
         let announcement = "";
 
@@ -1352,18 +1270,16 @@ async function checkGameResult() {
 
         log(`🎉 Game completed! Winner: ${winnerText}`);
       }
-      // Game struct is an array: player1Move is at index 5
-      log(`Player 1 played: ${getMoveName(game[5] || game.player1Move)}`);
-      // Game struct is an array: player2Move is at index 6
-      log(`Player 2 played: ${getMoveName(game[6] || game.player2Move)}`);
-    } else if (statusNum === 2) {
+      log(`Player 1 played: ${getMoveName(game.player1Move)}`);
+      log(`Player 2 played: ${getMoveName(game.player2Move)}`);
+    } else if (game.state === GAME_STATE.WAITING_FOR_REVEAL) {
       // Status is "Revealed" - Player 2 joined, waiting for Player 1 to reveal
       if (gameState.playerNumber === 1) {
         log("⏳ Player 2 has joined. Reveal your move before the deadline!");
       } else {
         log("⏳ Waiting for Player 1 to reveal...");
       }
-    } else if (statusNum === 1) {
+    } else if (game.state === GAME_STATE.WAITING_FOR_PLAYER2) {
       // Status is "Committed" - Player 1 created game, waiting for Player 2
       if (gameState.playerNumber === 1) {
         log("⏳ Waiting for Player 2 to join...");
@@ -1393,7 +1309,7 @@ function startGameResultPolling() {
 // Resolve game - Player 1 reveals their move with ZK proof
 // Player 2's move is already stored on-chain from joinGame()
 async function resolveGame() {
-  if (!contract || !noir || !backend) {
+  if (!contract || !prover) {
     log("❌ Noir or contract not initialized");
     return;
   }
@@ -1416,79 +1332,28 @@ async function resolveGame() {
 
   try {
     log("Getting game state from contract...");
-    const game = await contract.getGame(gameState.gameId);
-
-    // Safely access struct fields - handle both array and object formats
-    // Game struct order: [gameId, player1, player2, status, player1Commitment, player1Move, player2Move, winner, createdAt, timeout, revealDeadline]
-    // Indices:           0       1        2        3      4                 5           6           7      8          9       10
-
-    // Check if it's an array or object
-    const isArray =
-      Array.isArray(game) ||
-      (typeof game === "object" && game.length !== undefined);
-
-    // Safely access fields - check bounds before accessing array indices
-    let player2, player2Move, timeoutBigInt, revealDeadlineBigInt;
-
-    if (isArray && game.length > 10) {
-      player2 = game[2];
-      player2Move = game[6];
-      timeoutBigInt = game[9];
-      revealDeadlineBigInt = game[10];
-    } else {
-      // Fall back to named properties
-      player2 = game.player2;
-      player2Move = game.player2Move;
-      timeoutBigInt = game.timeout;
-      revealDeadlineBigInt = game.revealDeadline;
-    }
+    const game = await fetchGame(contract, gameState.gameId);
 
     // Debug logging
     log(
-      `🔍 Game struct: player2=${player2}, player2Move=${player2Move}, isArray=${isArray}, length=${
-        game.length || "N/A"
-      }`
+      `🔍 Game struct: player2=${game.player2}, player2Move=${game.player2Move}`
     );
-    log(`🔍 timeout=${timeoutBigInt}, revealDeadline=${revealDeadlineBigInt}`);
+    log(`🔍 timeout=${game.timeout}, revealDeadline=${game.revealDeadline}`);
 
     // Check that Player 2 has joined
-    if (player2 === ethers.ZeroAddress || player2Move === 255) {
+    if (game.state !== GAME_STATE.WAITING_FOR_REVEAL) {
       log("⏳ Waiting for Player 2 to join...");
       return;
     }
 
-    // Convert BigNumber to number
-    const timeoutNum =
-      typeof timeoutBigInt === "bigint"
-        ? Number(timeoutBigInt)
-        : timeoutBigInt !== undefined && timeoutBigInt !== null
-        ? Number(timeoutBigInt.toString())
-        : 0;
-
-    const deadline =
-      typeof revealDeadlineBigInt === "bigint"
-        ? Number(revealDeadlineBigInt)
-        : revealDeadlineBigInt !== undefined && revealDeadlineBigInt !== null
-        ? Number(revealDeadlineBigInt.toString())
-        : 0;
-
-    const now = Math.floor(Date.now() / 1000);
+    const deadline = game.revealDeadline;
+    const now = chainNow();
 
     log(
-      `🔍 Deadline check: timeout=${timeoutNum}s, deadline=${deadline}, now=${now}`
+      `🔍 Deadline check: timeout=${game.timeout}s, deadline=${deadline}, now=${now}`
     );
 
-    if (deadline === 0 || deadline < 1000000000) {
-      log(
-        `❌ Invalid deadline value: ${deadline}. This looks like a timeout value, not a timestamp!`
-      );
-      log(
-        `💡 The deadline should be a Unix timestamp (>= 1000000000), but we got: ${deadline}`
-      );
-      return;
-    }
-
-    if (now > deadline) {
+    if (game.isExpired) {
       log(
         `❌ Deadline has passed. (deadline: ${deadline}, now: ${now}) Game will be forfeited.`
       );
@@ -1502,14 +1367,7 @@ async function resolveGame() {
 
     // Get Player 2's move from contract (already stored)
     const move1 = Number(gameState.move);
-    // Safely access player2Move
-    let move2Value;
-    if (isArray && game.length > 6) {
-      move2Value = game[6];
-    } else {
-      move2Value = game.player2Move;
-    }
-    const move2 = Number(move2Value);
+    const move2 = game.player2Move;
 
     // Validate moves
     if (move1 < 0 || move1 > 2 || move2 < 0 || move2 > 2) {
@@ -1575,32 +1433,24 @@ async function resolveGame() {
       `Calling noir.execute with inputs: player1_move=${move1}, player2_move=${move2}, winner=${winner}`
     );
 
-    let witness;
-    try {
-      const result = await noir.execute(inputs);
-      witness = result.witness;
-      log("✅ Witness computed successfully");
-    } catch (witnessError) {
-      log(`❌ Witness computation failed: ${witnessError.message}`);
-      throw new Error(`Witness computation failed: ${witnessError.message}`);
-    }
-
+    // Witness, keccak proof and local verification run in the proving worker
     let proof;
     try {
-      // Use keccak hash function to match the verifier (generated with --oracle_hash keccak)
-      proof = await backend.generateProof(witness, { keccak: true });
-      log("✅ Proof generated successfully with Keccak256 hash");
+      proof = await prover.prove(inputs, {
+        verify: true,
+        onProgress: (stage) => {
+          if (stage === "witness") {
+            log("✅ Witness computed successfully");
+          } else if (stage === "proof") {
+            log("✅ Proof generated successfully with Keccak256 hash");
+          }
+        },
+      });
     } catch (proofError) {
       log(`❌ Proof generation failed: ${proofError.message}`);
       throw new Error(`Proof generation failed: ${proofError.message}`);
     }
 
-    // Verify proof locally (also use keccak to match)
-    const isValid = await backend.verifyProof(proof, { keccak: true });
-    if (!isValid) {
-      throw new Error("Proof verification failed locally");
-    }
-
     log("✅ Proof generated and verified!");
 
     // Debug: Log proof structure
@@ -1623,9 +1473,6 @@ async function resolveGame() {
       if (proof.proof && proof.proof instanceof Uint8Array) {
         proofBytes = ethers.hexlify(proof.proof);
         log("✅ Proof serialized from proof.proof (Uint8Array)");
-      } else if (backend.serializeProof) {
-        proofBytes = await backend.serializeProof(proof);
-        log("✅ Proof serialized using backend.serializeProof()");
       } else if (proof.serialize) {
         proofBytes = await proof.serialize();
         log("✅ Proof serialized using proof.serialize()");
@@ -1644,7 +1491,6 @@ async function resolveGame() {
     } catch (serializeError) {
       log(`❌ Proof serialization failed: ${serializeError.message}`);
       console.error("Proof object:", proof);
-      console.error("Backend methods:", Object.keys(backend || {}));
       throw serializeError;
     }
 
@@ -1743,11 +1589,9 @@ async function checkDeadline() {
   if (!contract || !gameState.gameId) return;
 
   try {
-    const game = await contract.getGame(gameState.gameId);
-    // Game struct is an array: status is at index 3
-    const isCompleted = (game[3] || game.status) === 3; // GameStatus.Completed
+    const game = await fetchGame(contract, gameState.gameId);
 
-    if (isCompleted) {
+    if (game.state === GAME_STATE.SETTLED) {
       // Game already resolved, stop polling
       if (deadlinePollInterval) {
         clearInterval(deadlinePollInterval);
@@ -1757,60 +1601,23 @@ async function checkDeadline() {
     }
 
     // Only check deadline if Player 2 has joined and deadline is set
-    // Game struct is an array: player2 is at index 2
-    const player2 = game[2] || game.player2;
-    if (player2 === ethers.ZeroAddress) {
-      return;
-    }
-
-    // Game struct is an array: timeout is at index 9, revealDeadline is at index 10
-    const timeoutBigInt = game[9] || game.timeout;
-    const revealDeadlineBigInt = game[10] || game.revealDeadline;
-
-    const timeoutNum =
-      typeof timeoutBigInt === "bigint"
-        ? Number(timeoutBigInt)
-        : timeoutBigInt !== undefined && timeoutBigInt !== null
-        ? Number(timeoutBigInt.toString())
-        : 0;
-
-    const deadlineNum =
-      typeof revealDeadlineBigInt === "bigint"
-        ? Number(revealDeadlineBigInt)
-        : revealDeadlineBigInt !== undefined && revealDeadlineBigInt !== null
-        ? Number(revealDeadlineBigInt.toString())
-        : 0;
-
-    // Validate deadline is a proper timestamp, not a timeout value
-    if (deadlineNum > 0 && deadlineNum < 1000000000) {
-      log(
-        `⚠️ WARNING: Deadline value ${deadlineNum} looks like a timeout (seconds), not a timestamp!`
-      );
-      log(
-        `⚠️ This suggests the contract may have returned timeout instead of revealDeadline`
-      );
-      return; // Don't proceed with invalid deadline
-    }
-
-    // If deadline is 0 or invalid, don't check
-    if (deadlineNum === 0 || isNaN(deadlineNum) || deadlineNum <= 0) {
+    if (
+      game.state !== GAME_STATE.WAITING_FOR_REVEAL ||
+      game.revealDeadline === 0
+    ) {
       return;
     }
 
-    const now = Math.floor(Date.now() / 1000);
-    const timeRemaining = deadlineNum - now;
+    const now = chainNow();
+    const timeRemaining = game.revealDeadline - now;
 
     // Log deadline check details
     log(
-      `🔍 Deadline check: timeout=${timeoutNum}s, deadline=${deadlineNum}, now=${now}, remaining=${timeRemaining}s`
+      `🔍 Deadline check: timeout=${game.timeout}s, deadline=${game.revealDeadline}, now=${now}, remaining=${timeRemaining}s`
     );
 
     // Update deadline display (will show forfeit button for Player 2 if deadline passed)
-    // Only update if game is not already completed
-    const gameStatus = game[3] || game.status;
-    if (gameStatus !== 3) {
-      updateDeadlineDisplay(timeRemaining, gameState.playerNumber);
-    }
+    updateDeadlineDisplay(timeRemaining, gameState.playerNumber);
 
     // Don't auto-forfeit - let Player 2 manually trigger forfeit via button
   } catch (error) {
@@ -1957,10 +1764,8 @@ function showGameResult(announcement, winner, game) {
     document.body.appendChild(resultDiv);
   }
 
-  // Game struct is an array: player1Move is at index 5
-  const p1Move = getMoveName(game[5] || game.player1Move);
-  // Game struct is an array: player2Move is at index 6
-  const p2Move = getMoveName(game[6] || game.player2Move);
+  const p1Move = getMoveName(game.player1Move);
+  const p2Move = getMoveName(game.player2Move);
 
   const isWin = winner === gameState.playerNumber;
   const isTie = winner === 0;
@@ -2097,29 +1902,80 @@ function setupEventListeners() {
   }
 }
 
-// Listen for network changes in MetaMask
-if (typeof window.ethereum !== "undefined") {
-  window.ethereum.on("chainChanged", async (chainId) => {
-    log(`🔄 Network changed to Chain ID: ${parseInt(chainId, 16)}`);
-    // Update provider and signer if wallet is connected
-    if (provider) {
-      provider = new ethers.BrowserProvider(window.ethereum);
-      if (signer) {
-        signer = await provider.getSigner();
-        // Update contract if address is available
-        if (CONTRACT_ADDRESS && CONTRACT_ABI) {
-          contract = new ethers.Contract(
-            CONTRACT_ADDRESS,
-            CONTRACT_ABI,
-            signer
-          );
-        }
+// Listen for network changes on the selected wallet
+onWalletEvent("chainChanged", async (chainId) => {
+  log(`🔄 Network changed to Chain ID: ${parseInt(chainId, 16)}`);
+  // Update provider and signer if wallet is connected
+  if (provider) {
+    provider = new ethers.BrowserProvider(getEthereumProvider());
+    followChainClock();
+    if (signer) {
+      signer = await provider.getSigner();
+      // Update contract if address is available
+      if (CONTRACT_ADDRESS && CONTRACT_ABI) {
+        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
       }
-      // Update display with new network
-      await updateContractAddressDisplay();
     }
-  });
-}
+    // Update display with new network
+    await updateContractAddressDisplay();
+  }
+});
+
+// The wallet switched accounts - the game on screen belongs to the old one
+onWalletEvent("accountsChanged", async (accounts) => {
+  if (!signer) return; // Not connected on this page yet
+  const previousAddress = await signer.getAddress();
+
+  // Stop polling the old account's game and keep its state (and salt) aside
+  clearInterval(gameResultPollInterval);
+  clearInterval(deadlinePollInterval);
+  gameResultPollInterval = null;
+  deadlinePollInterval = null;
+  gameStatesByAccount.set(previousAddress.toLowerCase(), gameState);
+
+  let address = null;
+  if (accounts.length === 0) {
+    signer = null;
+    contract = null;
+    log("⚠️ Wallet disconnected");
+  } else {
+    try {
+      provider = new ethers.BrowserProvider(getEthereumProvider());
+      followChainClock();
+      signer = await provider.getSigner();
+      address = await signer.getAddress();
+      if (CONTRACT_ADDRESS && CONTRACT_ABI) {
+        contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, signer);
+      }
+      log(
+        `👤 Account changed: ${previousAddress.slice(
+          0,
+          6
+        )}...${previousAddress.slice(-4)} → ${address.slice(
+          0,
+          6
+        )}...${address.slice(-4)}`
+      );
+    } catch (error) {
+      signer = null;
+      contract = null;
+      log(`❌ Error switching account: ${error.message}`);
+    }
+  }
+
+  gameState =
+    (address && gameStatesByAccount.get(address.toLowerCase())) ||
+    newGameState();
+  renderWalletInfo(address, previousAddress);
+  updateMoveStatus();
+  updateButtonStates();
+  updateStepCheckmarks();
+  await updateGameStatus();
+  if (signer && gameState.gameId) {
+    log(`🔁 Restored game ${gameState.gameId} for this account`);
+    startGameResultPolling();
+  }
+});
 
 // Initialize on load
 async function init() {
@@ -0,0 +1,40 @@
+// Hand-written ABIs used when deployments.json has no compiled ABI, and by
+// the fund page
+// validate-deployments.js checks every fragment against the compiled
+// DegenRPS/MockERC20 artifacts at build time, so keep them in sync there.
+
+export const DEGEN_RPS_FALLBACK_ABI = [
+  "function createGame(address tokenAddress, uint256 betAmount, bytes32 commitment, bytes calldata proof) external returns (uint256)",
+  "function joinGame(uint256 gameId, uint8 move) external",
+  "function revealAndSettle(uint256 gameId, uint8 move, bytes32 salt, bytes calldata proof) external",
+  "function withdraw(uint256 gameId) external",
+  "function refund(uint256 gameId) external",
+  "function getGame(uint256 gameId) external view returns (tuple(address player1, address player2, address token, uint256 betAmount, bytes32 commitment, bytes proof, uint8 player2Move, uint8 player1Move, uint8 state, uint256 createdAt, uint256 revealDeadline, address winner))",
+  "function getGamesWaitingForPlayer2() external view returns (uint256[])",
+  "function getGamesWaitingForReveal() external view returns (uint256[])",
+  "function getGamesByPlayer(address player) external view returns (uint256[])",
+  "function revealTimeout() external view returns (uint256)",
+  "function verifier() external view returns (address)",
+  "event GameCreated(uint256 indexed gameId, address indexed player1, address indexed token, uint256 betAmount, bytes32 commitment)",
+  "event Player2Joined(uint256 indexed gameId, address indexed player2, uint8 move)",
+  "event MoveRevealed(uint256 indexed gameId, address indexed player1, uint8 move)",
+  "event GameSettled(uint256 indexed gameId, address indexed winner, uint256 amount)",
+  "event PrizeWithdrawn(uint256 indexed gameId, address indexed winner, uint256 amount)",
+  "event GameRefunded(uint256 indexed gameId, address indexed player, uint256 amount)",
+];
+
+// Minimal ERC20 - also used for custom tokens that are not in deployments.json
+export const ERC20_FALLBACK_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)",
+];
+
+// Test tokens (solmate MockERC20) - the fund page mints and names them
+export const MOCK_ERC20_ABI = [
+  ...ERC20_FALLBACK_ABI,
+  "function mint(address to, uint256 value) external",
+  "function name() external view returns (string)",
+];
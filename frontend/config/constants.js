@@ -4,6 +4,7 @@ export const createGameState = () => ({
   role: null, // "maker" or "taker"
   move: null,
   salt: null,
+  saltNonce: null, // Nonce of the wallet-derived salt (null if random)
   commitment: null,
 });
 
@@ -12,12 +12,10 @@ export const state = {
   activeGamesUpdateInterval: null,
   activeGamesData: [], // Store game data for real-time updates
   selectedMovesByGame: {}, // Track which games have moves selected: { gameId: move }
-  autoRefreshInterval: null, // Auto-refresh games list interval
 
-  // Noir and backend
+  // Circuit and proving worker handle (owns Noir and backend)
   circuit: null,
-  noir: null,
-  backend: null,
+  prover: null,
 
   // Provider and signer
   provider: null,
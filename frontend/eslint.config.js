@@ -1,4 +1,7 @@
 export default [
+  {
+    ignores: ["dist/"],
+  },
   {
     languageOptions: {
       ecmaVersion: "latest",
@@ -11,6 +14,21 @@ export default [
         setTimeout: "readonly",
         clearInterval: "readonly",
         setInterval: "readonly",
+        Worker: "readonly",
+        URL: "readonly",
+        self: "readonly",
+        Blob: "readonly",
+        URLSearchParams: "readonly",
+        crypto: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        indexedDB: "readonly",
+        IDBKeyRange: "readonly",
+        BroadcastChannel: "readonly",
+        navigator: "readonly",
+        Event: "readonly",
+        clearTimeout: "readonly",
+        localStorage: "readonly",
       },
     },
     rules: {
@@ -19,5 +37,17 @@ export default [
       "no-undef": "error",
     },
   },
+  {
+    // Build scripts run in Node
+    files: [
+      "generate-deployments.js",
+      "validate-deployments.js",
+      "vite.config.js",
+    ],
+    languageOptions: {
+      globals: {
+        process: "readonly",
+      },
+    },
+  },
 ];
-
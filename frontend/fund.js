@@ -1,4 +1,20 @@
 import { ethers } from "ethers";
+import {
+  chooseWallet,
+  getAnnouncedWallets,
+  getEthereumProvider,
+  onWalletEvent,
+  renderWalletInfo,
+} from "./utils/wallet.js";
+import {
+  getNetworkName,
+  normalizeChainId,
+  getBlockExplorerUrl,
+  getNativeCurrency,
+} from "./utils/network.js";
+import { readManifest, selectChain } from "./utils/manifest.js";
+import { renderNetworkSelector } from "./ui/network.js";
+import { MOCK_ERC20_ABI } from "./config/abis.js";
 
 let provider = null;
 let signer = null;
@@ -11,15 +27,6 @@ let TOKEN1_ADDRESS = null;
 let DEPLOYED_CHAIN_ID = null;
 let DEPLOYED_RPC_URL = null;
 
-// ERC20 ABI (minimal - just what we need)
-const ERC20_ABI = [
-  "function mint(address to, uint256 value) public",
-  "function balanceOf(address account) external view returns (uint256)",
-  "function decimals() external view returns (uint8)",
-  "function symbol() external view returns (string)",
-  "function name() external view returns (string)",
-];
-
 // Logging utility
 let lastLogEntry = null;
 let lastLogMessage = null;
@@ -68,45 +75,13 @@ function log(message) {
   lastLogEmoji = emoji;
 }
 
-// Get network name from chain ID
-function getNetworkName(chainId) {
-  if (!chainId) return "Unknown";
-  
-  const chainIdNum = typeof chainId === "string" 
-    ? (chainId.startsWith("0x") ? parseInt(chainId, 16) : parseInt(chainId))
-    : Number(chainId);
-  
-  const networkMap = {
-    1: "Mainnet",
-    11155111: "Sepolia",
-    31337: "Localhost",
-    1337: "Localhost",
-    5: "Goerli",
-    80001: "Mumbai",
-    137: "Polygon",
-    42161: "Arbitrum",
-    10: "Optimism",
-  };
-  
-  return networkMap[chainIdNum] || `Chain ${chainIdNum}`;
-}
-
-// Normalize chain ID to string for comparison
-function normalizeChainId(chainId) {
-  if (!chainId) return null;
-  if (typeof chainId === "string") {
-    if (chainId.startsWith("0x")) {
-      return parseInt(chainId, 16).toString();
-    }
-    return chainId;
-  }
-  return chainId.toString();
-}
+// getNetworkName and normalizeChainId come from utils/network.js (manifest-driven)
 
 // Ensure we're on the correct network
 async function ensureCorrectNetwork() {
-  if (!window.ethereum) {
-    log("❌ MetaMask not available");
+  const ethereum = getEthereumProvider();
+  if (!ethereum) {
+    log("❌ No wallet available");
     return false;
   }
 
@@ -116,7 +91,7 @@ async function ensureCorrectNetwork() {
   }
 
   try {
-    const currentChainIdHex = await window.ethereum.request({ method: "eth_chainId" });
+    const currentChainIdHex = await ethereum.request({ method: "eth_chainId" });
     const currentChainId = normalizeChainId(currentChainIdHex);
     const targetChainId = normalizeChainId(DEPLOYED_CHAIN_ID);
 
@@ -130,7 +105,7 @@ async function ensureCorrectNetwork() {
     const targetChainIdHex = `0x${BigInt(targetChainId).toString(16)}`;
 
     try {
-      await window.ethereum.request({
+      await ethereum.request({
         method: "wallet_switchEthereumChain",
         params: [{ chainId: targetChainIdHex }],
       });
@@ -138,7 +113,7 @@ async function ensureCorrectNetwork() {
       
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      provider = new ethers.BrowserProvider(window.ethereum);
+      provider = new ethers.BrowserProvider(ethereum);
       if (signer) {
         signer = await provider.getSigner();
         await initializeContracts();
@@ -149,17 +124,15 @@ async function ensureCorrectNetwork() {
       if (switchError.code === 4902 && DEPLOYED_RPC_URL) {
         log(`➕ Adding ${networkName} network...`);
         try {
-          await window.ethereum.request({
+          await ethereum.request({
             method: "wallet_addEthereumChain",
             params: [
               {
                 chainId: targetChainIdHex,
                 chainName: networkName,
-                nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
+                nativeCurrency: getNativeCurrency(targetChainId),
                 rpcUrls: [DEPLOYED_RPC_URL],
-                blockExplorerUrls: getNetworkName(targetChainId) === "Sepolia" 
-                  ? ["https://sepolia.etherscan.io"]
-                  : [],
+                blockExplorerUrls: getBlockExplorerUrl(targetChainId),
               },
             ],
           });
@@ -167,7 +140,7 @@ async function ensureCorrectNetwork() {
           
           await new Promise(resolve => setTimeout(resolve, 500));
           
-          provider = new ethers.BrowserProvider(window.ethereum);
+          provider = new ethers.BrowserProvider(ethereum);
           if (signer) {
             signer = await provider.getSigner();
             await initializeContracts();
@@ -197,7 +170,8 @@ async function loadDeployments() {
     if (!deploymentsResponse.ok) {
       throw new Error(`Failed to load deployments: ${deploymentsResponse.statusText}`);
     }
-    const deployments = await deploymentsResponse.json();
+    const { manifest, deployments } = readManifest(await deploymentsResponse.json());
+    renderNetworkSelector(manifest, deployments.chainId, switchNetwork);
     
     DEPLOYED_CHAIN_ID = deployments.chainId?.toString();
     DEPLOYED_RPC_URL = deployments.rpcUrl;
@@ -245,8 +219,8 @@ async function initializeContracts() {
   }
 
   try {
-    token0Contract = new ethers.Contract(TOKEN0_ADDRESS, ERC20_ABI, signer);
-    token1Contract = new ethers.Contract(TOKEN1_ADDRESS, ERC20_ABI, signer);
+    token0Contract = new ethers.Contract(TOKEN0_ADDRESS, MOCK_ERC20_ABI, signer);
+    token1Contract = new ethers.Contract(TOKEN1_ADDRESS, MOCK_ERC20_ABI, signer);
     log("✅ Contracts initialized");
     await updateBalances();
   } catch (error) {
@@ -289,15 +263,53 @@ async function updateBalances() {
   }
 }
 
+// Move the page to another chain from the manifest
+async function switchNetwork(chainId) {
+  selectChain(chainId);
+  log(`🔄 Switching to ${getNetworkName(chainId)} (Chain ID: ${chainId})...`);
+  token0Contract = null;
+  token1Contract = null;
+  TOKEN0_ADDRESS = null;
+  TOKEN1_ADDRESS = null;
+  document.getElementById("token0Balance").textContent = "Balance: Loading...";
+  document.getElementById("token1Balance").textContent = "Balance: Loading...";
+  try {
+    await loadDeployments();
+    // ensureCorrectNetwork rebinds the contracts once the wallet follows
+    if (signer && !(await ensureCorrectNetwork())) {
+      log("⚠️ Wallet is still on another network - minting is disabled until it switches");
+      setWalletButtonsEnabled(false);
+    } else if (signer) {
+      await initializeContracts();
+      setWalletButtonsEnabled(true);
+    }
+  } catch (error) {
+    log(`❌ Error switching network: ${error.message}`);
+  }
+}
+
+// Mint and balance buttons need a connected wallet
+function setWalletButtonsEnabled(enabled) {
+  ["mintToken0Btn", "mintToken1Btn", "mintToken0CustomBtn", "mintToken1CustomBtn", "mintBothBtn", "refreshBalancesBtn"].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) button.disabled = !enabled;
+  });
+}
+
 // Connect wallet
 async function connectWallet() {
-  if (typeof window.ethereum === "undefined") {
-    log("❌ MetaMask not found. Please install MetaMask.");
+  const ethereum = await chooseWallet();
+  if (!ethereum) {
+    log(
+      getAnnouncedWallets().length > 0
+        ? "❌ No wallet selected"
+        : "❌ No wallet found. Please install a browser wallet such as MetaMask."
+    );
     return;
   }
 
   try {
-    provider = new ethers.BrowserProvider(window.ethereum);
+    provider = new ethers.BrowserProvider(ethereum);
     
     await ensureCorrectNetwork();
     
@@ -305,27 +317,12 @@ async function connectWallet() {
     signer = await provider.getSigner();
     const address = await signer.getAddress();
 
-    document.getElementById("walletInfo").innerHTML = `
-      <div class="px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 rounded-xl border-2 border-green-300">
-        <p class="text-green-800 font-semibold">
-          ✅ Connected: 
-          <span class="font-mono break-all hidden sm:inline">${address}</span>
-          <span class="font-mono sm:hidden">${address.slice(0, 6)}...${address.slice(-4)}</span>
-        </p>
-      </div>
-    `;
+    renderWalletInfo(address);
 
     log(`✅ Connected to wallet: ${address}`);
 
     await initializeContracts();
-    
-    // Enable buttons
-    document.getElementById("mintToken0Btn").disabled = false;
-    document.getElementById("mintToken1Btn").disabled = false;
-    document.getElementById("mintToken0CustomBtn").disabled = false;
-    document.getElementById("mintToken1CustomBtn").disabled = false;
-    document.getElementById("mintBothBtn").disabled = false;
-    document.getElementById("refreshBalancesBtn").disabled = false;
+    setWalletButtonsEnabled(true);
   } catch (error) {
     log(`❌ Error connecting wallet: ${error.message}`);
   }
@@ -587,29 +584,48 @@ function setupEventListeners() {
   }
 }
 
-// Listen for network changes
-if (typeof window.ethereum !== "undefined") {
-  window.ethereum.on("chainChanged", async (chainId) => {
-    log(`🔄 Network changed to Chain ID: ${parseInt(chainId, 16)}`);
-    if (provider) {
-      provider = new ethers.BrowserProvider(window.ethereum);
-      if (signer) {
-        signer = await provider.getSigner();
-        await initializeContracts();
-      }
+// Listen for network and account changes on the selected wallet
+onWalletEvent("chainChanged", async (chainId) => {
+  log(`🔄 Network changed to Chain ID: ${parseInt(chainId, 16)}`);
+  if (provider) {
+    provider = new ethers.BrowserProvider(getEthereumProvider());
+    if (signer) {
+      signer = await provider.getSigner();
+      await initializeContracts();
     }
-  });
-  
-  window.ethereum.on("accountsChanged", async (accounts) => {
-    if (accounts.length === 0) {
-      log("⚠️ Wallet disconnected");
-      document.getElementById("walletInfo").innerHTML = "";
-      signer = null;
-    } else {
-      await connectWallet();
-    }
-  });
-}
+  }
+});
+
+// Rebuild what was bound to the old account - mints must go to the address on screen
+onWalletEvent("accountsChanged", async (accounts) => {
+  if (!signer) return; // Not connected on this page yet
+  const previousAddress = await signer.getAddress();
+
+  // Balances on screen belong to the old account
+  document.getElementById("token0Balance").textContent = "Balance: Loading...";
+  document.getElementById("token1Balance").textContent = "Balance: Loading...";
+
+  if (accounts.length === 0) {
+    signer = null;
+    token0Contract = null;
+    token1Contract = null;
+    setWalletButtonsEnabled(false);
+    renderWalletInfo(null, previousAddress);
+    log("⚠️ Wallet disconnected");
+    return;
+  }
+
+  try {
+    provider = new ethers.BrowserProvider(getEthereumProvider());
+    signer = await provider.getSigner();
+    const address = await signer.getAddress();
+    renderWalletInfo(address, previousAddress);
+    log(`👤 Account changed: ${previousAddress.slice(0, 6)}...${previousAddress.slice(-4)} → ${address.slice(0, 6)}...${address.slice(-4)}`);
+    await initializeContracts();
+  } catch (error) {
+    log(`❌ Error switching account: ${error.message}`);
+  }
+});
 
 // Initialize on load
 async function init() {
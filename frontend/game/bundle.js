@@ -0,0 +1,93 @@
+import { ethers } from "ethers";
+
+// Portable proof bundle for one revealed game
+// Moves use the circuit's frontend format (0=Rock, 1=Paper, 2=Scissors);
+// publicInputs and proof are exactly what revealAndSettle hands the verifier.
+export const PROOF_BUNDLE_FORMAT = "degen-rps-proof-bundle";
+export const PROOF_BUNDLE_VERSION = 1;
+
+export function createProofBundle({
+  gameId = null,
+  contractAddress = null,
+  chainId = null,
+  commitment,
+  makerMove,
+  takerMove,
+  winner,
+  salt,
+  publicInputs,
+  proof,
+  circuitHash = null,
+}) {
+  return {
+    format: PROOF_BUNDLE_FORMAT,
+    version: PROOF_BUNDLE_VERSION,
+    gameId: gameId !== null ? gameId.toString() : null,
+    contractAddress,
+    chainId: chainId !== null ? chainId.toString() : null,
+    commitment,
+    moves: { player1: makerMove, player2: takerMove, winner },
+    salt,
+    publicInputs,
+    proof,
+    circuitHash,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// Parse and sanity-check a bundle loaded from a file
+export function parseProofBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  if (bundle?.format !== PROOF_BUNDLE_FORMAT) {
+    throw new Error("Not a Degen RPS proof bundle");
+  }
+  if (bundle.version !== PROOF_BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version: ${bundle.version}`);
+  }
+  for (const field of ["commitment", "salt", "proof"]) {
+    if (!ethers.isHexString(bundle[field])) {
+      throw new Error(`Bundle field "${field}" must be a hex string`);
+    }
+  }
+  if (!Array.isArray(bundle.publicInputs)) {
+    throw new Error('Bundle field "publicInputs" must be an array');
+  }
+  const { player1, player2, winner } = bundle.moves || {};
+  for (const value of [player1, player2, winner]) {
+    if (![0, 1, 2].includes(value)) {
+      throw new Error("Bundle moves must be 0, 1 or 2");
+    }
+  }
+  return bundle;
+}
+
+// keccak256(uint8(move + 1) || salt) - same as DegenRPS and the circuit
+export function recomputeCommitment(bundle) {
+  return ethers.keccak256(
+    ethers.solidityPacked(
+      ["uint8", "bytes32"],
+      [bundle.moves.player1 + 1, bundle.salt]
+    )
+  );
+}
+
+// Save the bundle as a JSON file
+export function downloadProofBundle(bundle) {
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `degen-rps-game-${bundle.gameId ?? "unknown"}-proof.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,237 @@
+import { ethers } from "ethers";
+import { GAME_STATE, contractToFrontendMove } from "../config/constants.js";
+import { chainNow } from "../utils/chainClock.js";
+
+// Decoding of getGame() results
+// DegenRPS and the basic RockPaperScissors contract lay their Game structs out
+// differently, and ethers hands them over as positional Results while the
+// multicall and indexer paths build named objects. decodeGame() turns any of
+// them into one shape:
+//   { kind, gameId, exists, player1, player2, token, betAmount, commitment,
+//     proof, player1Move, player2Move, state, createdAt, timeout,
+//     revealDeadline, winner, winnerPlayer, isTie, payout,
+//     isExpired, canReveal, canRefund, canWithdraw }
+// Moves are frontend moves (0=Rock, 1=Paper, 2=Scissors, null = not played),
+// state is a GAME_STATE value, times are unix seconds (0 = not set), winner is
+// an address (null for a tie or an unsettled game) and winnerPlayer is 1 or 2
+// (0 for a tie, null while unsettled or when player1 took a refund).
+
+export const GAME_KIND = {
+  DEGEN_RPS: "degenRPS",
+  BASIC_RPS: "basicRPS",
+};
+
+// Struct field offsets - DegenRPS.sol
+const DEGEN_RPS_FIELDS = {
+  player1: 0,
+  player2: 1,
+  token: 2,
+  betAmount: 3,
+  commitment: 4,
+  proof: 5,
+  player2Move: 6,
+  player1Move: 7,
+  state: 8,
+  createdAt: 9,
+  revealDeadline: 10,
+  winner: 11,
+};
+
+// Struct field offsets - RockPaperScissors.sol
+const BASIC_RPS_FIELDS = {
+  gameId: 0,
+  player1: 1,
+  player2: 2,
+  status: 3,
+  player1Commitment: 4,
+  player1Move: 5,
+  player2Move: 6,
+  winner: 7, // 0 = tie, 1 = player1, 2 = player2
+  createdAt: 8,
+  timeout: 9,
+  revealDeadline: 10,
+};
+
+// RockPaperScissors GameStatus (WaitingForPlayer, Committed, Revealed,
+// Completed) -> GAME_STATE. createGame() starts games at Committed.
+const BASIC_STATUS_TO_STATE = [
+  GAME_STATE.WAITING_FOR_PLAYER2,
+  GAME_STATE.WAITING_FOR_PLAYER2,
+  GAME_STATE.WAITING_FOR_REVEAL,
+  GAME_STATE.SETTLED,
+];
+
+const UNSET_BASIC_MOVE = 255; // RockPaperScissors marks unplayed moves with 255
+
+function detectKind(raw) {
+  if (raw.length === Object.keys(BASIC_RPS_FIELDS).length) {
+    return GAME_KIND.BASIC_RPS;
+  }
+  return raw.status !== undefined ? GAME_KIND.BASIC_RPS : GAME_KIND.DEGEN_RPS;
+}
+
+// Named access where there is a name, positional access otherwise
+function readField(raw, fields, name) {
+  const value = raw[name];
+  return value !== undefined ? value : raw[fields[name]];
+}
+
+function toSeconds(value) {
+  return value === null || value === undefined ? 0 : Number(value);
+}
+
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+function isZeroAddress(address) {
+  return !address || sameAddress(address, ethers.ZeroAddress);
+}
+
+function decodeDegenRPS(raw) {
+  const read = (name) => readField(raw, DEGEN_RPS_FIELDS, name);
+  const toMove = (value) =>
+    Number(value) > 0 ? contractToFrontendMove(Number(value)) : null; // 0 = Move.None
+  const state = Number(read("state"));
+  const winner = read("winner");
+  return {
+    player1: read("player1"),
+    player2: read("player2"),
+    token: read("token"),
+    betAmount: BigInt(read("betAmount") ?? 0),
+    commitment: read("commitment"),
+    proof: read("proof") ?? null,
+    player1Move: toMove(read("player1Move")),
+    player2Move: toMove(read("player2Move")),
+    state,
+    createdAt: toSeconds(read("createdAt")),
+    timeout: null, // DegenRPS has one contract-wide revealTimeout
+    revealDeadline: toSeconds(read("revealDeadline")),
+    winner: isZeroAddress(winner) ? null : winner,
+  };
+}
+
+function decodeBasicRPS(raw) {
+  const read = (name) => readField(raw, BASIC_RPS_FIELDS, name);
+  const toMove = (value) =>
+    Number(value) === UNSET_BASIC_MOVE ? null : Number(value);
+  const state =
+    BASIC_STATUS_TO_STATE[Number(read("status"))] ??
+    GAME_STATE.WAITING_FOR_PLAYER2;
+  const winnerPlayer = Number(read("winner"));
+  const player1 = read("player1");
+  const player2 = read("player2");
+  return {
+    gameId: read("gameId")?.toString(),
+    player1,
+    player2,
+    token: null,
+    betAmount: null,
+    commitment: read("player1Commitment"),
+    proof: null,
+    player1Move: toMove(read("player1Move")),
+    player2Move: toMove(read("player2Move")),
+    state,
+    createdAt: toSeconds(read("createdAt")),
+    timeout: toSeconds(read("timeout")),
+    revealDeadline: toSeconds(read("revealDeadline")),
+    winner:
+      state !== GAME_STATE.SETTLED
+        ? null
+        : winnerPlayer === 1
+        ? player1
+        : winnerPlayer === 2
+        ? player2
+        : null,
+  };
+}
+
+// Decode one getGame() result. options:
+//   gameId  - id the game was read with (the DegenRPS struct does not hold it)
+//   now     - unix seconds the deadline flags are evaluated at (default: the
+//             chain clock, utils/chainClock.js)
+//   account - when set, the can* flags also require it to be the right player
+//   payout  - the game index's payout ("withdrawn" | "refunded"). Without it
+//             a DegenRPS refund is still told apart from a tie (see below);
+//             a withdrawal deletes the struct, leaving exists false
+export function decodeGame(raw, options = {}) {
+  if (!raw) return null;
+  const {
+    gameId = null,
+    now = chainNow(),
+    account = null,
+    payout = null,
+  } = options;
+
+  const kind = detectKind(raw);
+  const fields =
+    kind === GAME_KIND.BASIC_RPS ? decodeBasicRPS(raw) : decodeDegenRPS(raw);
+  const game = {
+    kind,
+    ...fields,
+    gameId: gameId !== null ? gameId.toString() : fields.gameId ?? null,
+    payout,
+  };
+
+  // withdraw() deletes a DegenRPS game, leaving an all-zero struct
+  game.exists = !isZeroAddress(game.player1);
+  const settled = game.state === GAME_STATE.SETTLED;
+  // revealAndSettle() always records player1's move, so a settled DegenRPS
+  // game without one was refunded, not a tie
+  if (
+    !game.payout &&
+    kind === GAME_KIND.DEGEN_RPS &&
+    settled &&
+    game.exists &&
+    game.player1Move === null
+  ) {
+    game.payout = "refunded";
+  }
+  if (game.payout === "refunded" && !isZeroAddress(game.player2)) {
+    game.winner = game.player2; // A reveal timeout pays the whole pot to player2
+  }
+  game.isTie =
+    settled && game.exists && !game.winner && game.payout !== "refunded";
+  game.winnerPlayer = !settled
+    ? null
+    : game.isTie
+    ? 0
+    : sameAddress(game.winner, game.player1)
+    ? 1
+    : sameAddress(game.winner, game.player2)
+    ? 2
+    : null;
+
+  // The contracts accept a reveal up to and including the deadline second
+  const awaitingReveal =
+    game.exists && game.state === GAME_STATE.WAITING_FOR_REVEAL;
+  game.isExpired =
+    awaitingReveal && game.revealDeadline > 0 && now > game.revealDeadline;
+
+  const isPlayer = (address) => !account || sameAddress(account, address);
+  game.canReveal = awaitingReveal && !game.isExpired && isPlayer(game.player1);
+  if (kind === GAME_KIND.BASIC_RPS) {
+    // forfeitGame() is open to anyone once the deadline has passed
+    game.canRefund = game.isExpired;
+    game.canWithdraw = false; // Nothing at stake
+  } else {
+    game.canRefund =
+      (game.exists &&
+        game.state === GAME_STATE.WAITING_FOR_PLAYER2 &&
+        isPlayer(game.player1)) ||
+      (game.isExpired && isPlayer(game.player2));
+    game.canWithdraw =
+      settled &&
+      game.exists &&
+      !game.payout &&
+      (game.isTie
+        ? isPlayer(game.player1) || isPlayer(game.player2)
+        : game.winner !== null && isPlayer(game.winner));
+  }
+  return game;
+}
+
+// getGame() and decodeGame() in one go
+export async function fetchGame(contract, gameId, options = {}) {
+  return decodeGame(await contract.getGame(gameId), { ...options, gameId });
+}
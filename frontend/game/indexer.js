@@ -0,0 +1,297 @@
+import { ethers } from "ethers";
+import { log } from "../utils/logger.js";
+import {
+  getIndexCursor,
+  updateIndexedGames,
+  clearIndex,
+  getIndexedGame,
+  listIndexedGamesByPlayer,
+  listIndexedGamesByDeployment,
+} from "../utils/gameStore.js";
+import { GAME_EVENTS } from "../utils/gameEvents.js";
+import { GAME_STATE } from "../config/constants.js";
+
+// Event indexer for DegenRPS game history
+// Backfills the contract's game events from its deployment block in chunks
+// into a game table in IndexedDB (utils/gameStore.js), so lists can show every
+// game - including withdrawn ones, whose struct withdraw() deletes - without a
+// getGame() call per id. syncGameIndex() resumes from the saved cursor; the
+// live event subscription calls it again on every burst of events. When the
+// cursor's block hash no longer matches the chain (a reorg, or a local chain
+// that was restarted) the table is rebuilt from scratch.
+
+const MAX_CHUNK_BLOCKS = 5000;
+const MIN_CHUNK_BLOCKS = 10; // Give up below this - the RPC is not just busy
+const INDEX_VERSION = 2; // Bump when rows gain fields - the table is rebuilt
+
+const startBlocks = new Map(); // lowercase contract address -> deployment block
+const deployments = new WeakMap(); // contract -> { chainId, contract }
+const syncs = new Map(); // deployment id -> sync in progress
+
+// Where to start indexing a contract (deployments.json blockNumber)
+export function setIndexStartBlock(contractAddress, blockNumber) {
+  if (!contractAddress) return;
+  startBlocks.set(contractAddress.toLowerCase(), Number(blockNumber) || 0);
+}
+
+async function getDeployment(rpsContract) {
+  if (!deployments.has(rpsContract)) {
+    const { chainId } = await rpsContract.runner.provider.getNetwork();
+    deployments.set(rpsContract, {
+      chainId: chainId.toString(),
+      contract: rpsContract.target.toLowerCase(),
+    });
+  }
+  return deployments.get(rpsContract);
+}
+
+function emptyRow() {
+  return {
+    player1: null,
+    player2: null,
+    token: null,
+    betAmount: null,
+    commitment: null,
+    player1Move: null,
+    player2Move: null,
+    state: null,
+    createdAt: null,
+    revealDeadline: null,
+    winner: null,
+    settledBlock: null, // GameSettled block, orders recent settlements
+    settledAmount: null,
+    payout: null, // "withdrawn" | "refunded" once the pot has left the contract
+  };
+}
+
+// Replay one event onto a game row; blockTimes maps block number -> timestamp
+function applyEvent(row, event, blockTimes, revealTimeout) {
+  const { args } = event;
+  const timestamp = blockTimes.get(event.blockNumber) ?? null;
+  switch (event.name) {
+    case "GameCreated":
+      return {
+        ...row,
+        player1: args.player1.toLowerCase(),
+        token: args.token.toLowerCase(),
+        betAmount: args.betAmount.toString(),
+        commitment: args.commitment.toLowerCase(),
+        state: GAME_STATE.WAITING_FOR_PLAYER2,
+        createdAt: timestamp,
+      };
+    case "Player2Joined":
+      return {
+        ...row,
+        player2: args.player2.toLowerCase(),
+        player2Move: Number(args.move),
+        state: GAME_STATE.WAITING_FOR_REVEAL,
+        // The contract adds the timeout current at join time; the current one
+        // is the best guess for history
+        revealDeadline: timestamp !== null ? timestamp + revealTimeout : null,
+      };
+    case "MoveRevealed":
+      return { ...row, player1Move: Number(args.move) };
+    case "GameSettled":
+      return {
+        ...row,
+        state: GAME_STATE.SETTLED,
+        winner: args.winner.toLowerCase(),
+        settledBlock: event.blockNumber,
+        settledAmount: args.amount.toString(),
+      };
+    case "GameRefunded":
+      return { ...row, state: GAME_STATE.SETTLED, payout: "refunded" };
+    case "PrizeWithdrawn":
+      return { ...row, payout: "withdrawn" };
+    default:
+      return row;
+  }
+}
+
+// Game events in [fromBlock, toBlock], oldest first
+async function fetchGameEvents(rpsContract, fromBlock, toBlock) {
+  const provider = rpsContract.runner.provider;
+  const topics = [
+    GAME_EVENTS.map((name) => rpsContract.interface.getEvent(name).topicHash),
+  ];
+  const logs = await provider.getLogs({
+    address: rpsContract.target,
+    topics,
+    fromBlock,
+    toBlock,
+  });
+  return logs
+    .map((entry) => {
+      const parsed = rpsContract.interface.parseLog(entry);
+      return parsed && { ...entry, name: parsed.name, args: parsed.args };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+async function fetchBlockTimes(provider, events) {
+  const blockNumbers = new Set(
+    events
+      .filter((e) => e.name === "GameCreated" || e.name === "Player2Joined")
+      .map((e) => e.blockNumber)
+  );
+  const blockTimes = new Map();
+  for (const blockNumber of blockNumbers) {
+    const block = await provider.getBlock(blockNumber);
+    blockTimes.set(blockNumber, block ? block.timestamp : null);
+  }
+  return blockTimes;
+}
+
+async function runSync(rpsContract, deployment) {
+  const provider = rpsContract.runner.provider;
+  const latestBlock = await provider.getBlockNumber();
+  const startBlock = startBlocks.get(deployment.contract) ?? 0;
+
+  let cursor = await getIndexCursor(deployment);
+  if (
+    cursor &&
+    (cursor.startBlock !== startBlock || cursor.version !== INDEX_VERSION)
+  ) {
+    cursor = null;
+  }
+  if (cursor) {
+    const block =
+      cursor.lastBlock <= latestBlock
+        ? await provider.getBlock(cursor.lastBlock)
+        : null;
+    if (!block || block.hash !== cursor.lastBlockHash) {
+      log("🔁 Chain changed since the last index - rebuilding game history");
+      cursor = null;
+    }
+  }
+  if (!cursor) {
+    await clearIndex(deployment);
+  }
+
+  let previousBlock = cursor ? cursor.lastBlock : null;
+  let fromBlock = cursor ? cursor.lastBlock + 1 : startBlock;
+  if (fromBlock > latestBlock) return { fromBlock, toBlock: latestBlock };
+
+  const firstBlock = fromBlock;
+  const backfilling = latestBlock - fromBlock > MAX_CHUNK_BLOCKS;
+  if (backfilling) {
+    log(
+      `📚 Indexing game history from block ${fromBlock} to ${latestBlock}...`
+    );
+  }
+  const revealTimeout = Number(await rpsContract.revealTimeout());
+  let chunkSize = MAX_CHUNK_BLOCKS;
+  let eventCount = 0;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+    let events;
+    try {
+      events = await fetchGameEvents(rpsContract, fromBlock, toBlock);
+    } catch (error) {
+      // Most RPCs cap the block range or result size of eth_getLogs
+      if (chunkSize <= MIN_CHUNK_BLOCKS) throw error;
+      chunkSize = Math.max(MIN_CHUNK_BLOCKS, Math.floor(chunkSize / 2));
+      console.warn(`getLogs failed, retrying with ${chunkSize} blocks:`, error);
+      continue;
+    }
+
+    const blockTimes = await fetchBlockTimes(provider, events);
+    const lastBlock = await provider.getBlock(toBlock);
+    const eventsByGame = new Map();
+    for (const event of events) {
+      const gameId = event.args.gameId.toString();
+      if (!eventsByGame.has(gameId)) eventsByGame.set(gameId, []);
+      eventsByGame.get(gameId).push(event);
+    }
+    const written = await updateIndexedGames(
+      deployment,
+      [...eventsByGame.keys()],
+      (row, gameId) =>
+        eventsByGame
+          .get(gameId)
+          .reduce(
+            (current, event) =>
+              applyEvent(current, event, blockTimes, revealTimeout),
+            row || emptyRow()
+          ),
+      {
+        version: INDEX_VERSION,
+        startBlock,
+        lastBlock: toBlock,
+        lastBlockHash: lastBlock.hash,
+        updatedAt: Date.now(),
+      },
+      previousBlock
+    );
+    if (!written) {
+      // Another tab moved the cursor - carry on from where it got to
+      const stored = await getIndexCursor(deployment);
+      if (!stored || stored.startBlock !== startBlock) {
+        throw new Error("Game index was reset by another tab - try again");
+      }
+      previousBlock = stored.lastBlock;
+      fromBlock = stored.lastBlock + 1;
+      continue;
+    }
+    eventCount += events.length;
+    previousBlock = toBlock;
+    fromBlock = toBlock + 1;
+  }
+
+  if (backfilling) {
+    log(`✅ Indexed ${eventCount} game event(s) up to block ${latestBlock}`);
+  }
+  return { fromBlock: firstBlock, toBlock: latestBlock };
+}
+
+// Bring the game table up to the latest block. Concurrent calls for the same
+// deployment share one sync.
+export async function syncGameIndex(rpsContract) {
+  const deployment = await getDeployment(rpsContract);
+  const key = `${deployment.chainId}:${deployment.contract}`;
+  if (!syncs.has(key)) {
+    syncs.set(
+      key,
+      runSync(rpsContract, deployment).finally(() => syncs.delete(key))
+    );
+  }
+  return syncs.get(key);
+}
+
+export async function findIndexedGame(rpsContract, gameId) {
+  return getIndexedGame(await getDeployment(rpsContract), gameId);
+}
+
+// Indexed rows of the games an address created ("player1") or joined ("player2")
+export async function listIndexedGames(rpsContract, role, address) {
+  return listIndexedGamesByPlayer(
+    await getDeployment(rpsContract),
+    role,
+    address
+  );
+}
+
+// Every indexed row of the contract, for the public stats
+export async function listAllIndexedGames(rpsContract) {
+  return listIndexedGamesByDeployment(await getDeployment(rpsContract));
+}
+
+// An indexed row in the shape of a getGame() result, for the list readers
+export function indexedGameAsStruct(row) {
+  return {
+    player1: row.player1 ?? ethers.ZeroAddress,
+    player2: row.player2 ?? ethers.ZeroAddress,
+    token: row.token ?? ethers.ZeroAddress,
+    betAmount: BigInt(row.betAmount ?? 0),
+    commitment: row.commitment ?? ethers.ZeroHash,
+    proof: "0x",
+    player2Move: row.player2Move ?? 0,
+    player1Move: row.player1Move ?? 0,
+    state: row.state ?? GAME_STATE.WAITING_FOR_PLAYER2,
+    createdAt: BigInt(row.createdAt ?? 0),
+    revealDeadline: BigInt(row.revealDeadline ?? 0),
+    winner: row.winner ?? ethers.ZeroAddress,
+  };
+}
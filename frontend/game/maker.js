@@ -1,9 +1,17 @@
 import { ethers } from "ethers";
 import { log } from "../utils/logger.js";
 import { safeTokenCall, safeTokenCallWithParam } from "../utils/tokens.js";
-import { saveMakerGame } from "../utils/storage.js";
+import {
+  putMakerGame,
+  deletePendingMakerGame,
+  listGames,
+} from "../utils/gameStore.js";
+import { createGameSalt, releaseSaltNonce } from "./salt.js";
+import { ensureVaultUnlocked } from "../utils/vault.js";
 import { generateProofForCreation } from "./proof.js";
-import { frontendToContractMove } from "../config/constants.js";
+import { frontendToContractMove, GAME_STATE } from "../config/constants.js";
+import { broadcast } from "../utils/tabSync.js";
+import { ERC20_FALLBACK_ABI } from "../config/abis.js";
 
 // Select move for Maker
 export function selectMakerMove(
@@ -117,8 +125,7 @@ export async function createMakerGame(
   signer,
   rpsContract,
   gameState,
-  noir,
-  backend,
+  prover,
   erc20ABI,
   TOKEN0_ADDRESS,
   ensureCorrectNetwork,
@@ -186,6 +193,12 @@ export async function createMakerGame(
     return;
   }
 
+  // Salt and move are stored encrypted - the vault must be able to take them
+  if (!(await ensureVaultUnlocked(signer, { create: true }))) {
+    log("🔒 Unlock your vault before creating a game");
+    return;
+  }
+
   // Get token address from dropdown selector
   const tokenSelect = document.getElementById("makerTokenSelect");
   const tokenAddressInput =
@@ -217,18 +230,26 @@ export async function createMakerGame(
 
   log("🚀 Starting game creation process...");
 
+  let unusedSaltNonce = null; // Reserved salt nonce no game has taken (yet)
+
   try {
     // Initialize Noir if not already done
-    if (!noir || !backend) {
+    if (!prover) {
       log("🔧 Initializing Noir...");
       const noirResult = await initNoir();
-      noir = noirResult.noir;
-      backend = noirResult.backend;
+      prover = noirResult.prover;
     }
 
-    // Generate salt and commitment
-    const salt = ethers.randomBytes(32);
-    const saltField = ethers.hexlify(salt);
+    // Derive salt from a wallet signature so the game can be revealed from any device
+    // Nonces of our stored games, so a new salt never repeats one of theirs
+    const usedNonces = (await listGames("maker").catch(() => []))
+      .map((record) => record.saltNonce)
+      .filter((nonce) => nonce !== null && nonce !== undefined);
+    const { salt: saltField, nonce: saltNonce } = await createGameSalt(
+      signer,
+      rpsContract,
+      usedNonces
+    );
     const moveValue = gameState.move; // 0=Rock, 1=Paper, 2=Scissors (frontend format)
     // IMPORTANT: The contract's revealAndSettle verifies commitment using enum format (1,2,3)
     // So we need to create the commitment with enum format to match
@@ -237,7 +258,9 @@ export async function createMakerGame(
       ethers.solidityPacked(["uint8", "bytes32"], [moveEnum, saltField])
     );
 
+    unusedSaltNonce = saltNonce;
     gameState.salt = saltField;
+    gameState.saltNonce = saltNonce;
     gameState.commitment = commitment;
     gameState.role = "maker";
 
@@ -254,13 +277,7 @@ export async function createMakerGame(
     // Get token contract and decimals
     // Ensure erc20ABI is available (use fallback if not initialized)
     if (!erc20ABI) {
-      erc20ABI = [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-        "function balanceOf(address account) external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-        "function symbol() external view returns (string)",
-      ];
+      erc20ABI = ERC20_FALLBACK_ABI;
     }
     const tokenContract = new ethers.Contract(
       tokenAddressInput,
@@ -312,8 +329,29 @@ export async function createMakerGame(
     }
     log(`✅ Approval: ${ethers.formatUnits(allowance, decimals)} tokens`);
 
-    // Generate ZK proof
-    const proofBytes = await generateProofForCreation(noir, backend, moveValue);
+    // Generate ZK proof (runs in the proving worker, the page stays responsive)
+    const proofBytes = await generateProofForCreation(
+      prover,
+      moveValue,
+      saltField,
+      commitment,
+      (stage) => {
+        btn.innerHTML =
+          stage === "witness" ? "⏳ Proving..." : "⏳ Creating...";
+      }
+    );
+
+    // Store salt and move before the bet goes on-chain: a failed write stops
+    // here, and a failed write after confirmation still leaves this record
+    // (found by commitment) to reveal with
+    await putMakerGame(
+      commitment,
+      null,
+      amountInput,
+      saltField,
+      moveValue,
+      gameState
+    );
 
     // Create game in DegenRPS contract
     log("🎮 Creating game in DegenRPS contract...");
@@ -327,8 +365,14 @@ export async function createMakerGame(
         commitment,
         proofBytes
       );
+      unusedSaltNonce = null;
       log(`📤 Transaction sent! Hash: ${createGameTx.hash}`);
       log(`⏳ Waiting for transaction confirmation...`);
+      broadcast("tx-submitted", {
+        action: "create",
+        gameId: null,
+        hash: createGameTx.hash,
+      });
     } catch (error) {
       if (
         error.code === 4001 ||
@@ -336,6 +380,9 @@ export async function createMakerGame(
         error.message?.includes("User denied")
       ) {
         log("❌ Transaction rejected by user in MetaMask");
+        await deletePendingMakerGame(commitment).catch((error) =>
+          console.warn("Could not drop the pending game record:", error)
+        );
         throw new Error("Transaction was rejected. Please try again.");
       }
       throw error;
@@ -351,6 +398,11 @@ export async function createMakerGame(
       log(`❌ Transaction failed: ${error.message}`);
       if (error.receipt) {
         log(`   Block: ${error.receipt.blockNumber}`);
+        // Reverted - no game holds this commitment or its nonce
+        await deletePendingMakerGame(commitment).catch((error) =>
+          console.warn("Could not drop the pending game record:", error)
+        );
+        unusedSaltNonce = saltNonce;
       }
       throw error;
     }
@@ -400,18 +452,32 @@ export async function createMakerGame(
       }
     }
 
-    // Save to localStorage for tracking (needed for reveal - stores salt and move)
+    // File the stored salt and move under the new gameId
     if (gameState.gameId && gameState.commitment) {
-      saveMakerGame(
-        gameState.commitment,
-        gameState.gameId,
-        amountInput,
-        gameState.salt,
-        moveValue,
-        gameState
-      );
+      try {
+        await putMakerGame(
+          gameState.commitment,
+          gameState.gameId,
+          amountInput,
+          gameState.salt,
+          moveValue,
+          gameState
+        );
+      } catch (error) {
+        console.warn("Could not file the game under its gameId:", error);
+        log(
+          `⚠️ Game ${gameState.gameId} stays stored under its commitment - reveal still finds it`
+        );
+      }
     }
 
+    broadcast("tx-confirmed", {
+      action: "create",
+      gameId: gameState.gameId,
+      hash: createGameTx.hash,
+      state: GAME_STATE.WAITING_FOR_PLAYER2,
+    });
+
     // Refresh maker's games list
     await loadMakerGames();
 
@@ -446,6 +512,11 @@ export async function createMakerGame(
       btn.disabled = originalDisabled;
     }, 3000);
   } catch (error) {
+    if (unusedSaltNonce !== null) {
+      await releaseSaltNonce(signer, rpsContract, unusedSaltNonce).catch(
+        (error) => console.warn("Could not release the salt nonce:", error)
+      );
+    }
     log(`❌ Error creating game: ${error.message}`);
     console.error("Full error:", error);
     console.error("Error stack:", error.stack);
@@ -0,0 +1,145 @@
+import { ethers } from "ethers";
+import { log } from "../utils/logger.js";
+import { determineWinnerLocal } from "./proof.js";
+import { contractToFrontendMove } from "../config/constants.js";
+
+// HonkVerifier interface, including its custom errors so reverts can be decoded
+const VERIFIER_ABI = [
+  "function verify(bytes calldata proof, bytes32[] calldata publicInputs) external view returns (bool)",
+  "error ProofLengthWrong()",
+  "error PublicInputsLengthWrong()",
+  "error SumcheckFailed()",
+  "error ShpleminiFailed()",
+];
+
+// DegenRPS revert reasons for revealAndSettle -> failure cause
+const REVEAL_REVERT_CAUSES = {
+  "Invalid commitment": "commitment-mismatch",
+  "Reveal deadline passed": "deadline-passed",
+  "Invalid ZK proof": "proof-rejected",
+  "Only player1 can reveal": "wrong-sender",
+  "Game not in reveal state": "not-revealable",
+  "Invalid move": "invalid-move",
+};
+
+const CAUSE_MESSAGES = {
+  "commitment-mismatch": "Move and salt do not open the stored commitment",
+  "deadline-passed": "The reveal deadline has passed",
+  "proof-rejected": "The verifier rejected the proof",
+  "wrong-sender": "Only the game creator (player1) can reveal",
+  "not-revealable": "The game is not waiting for a reveal",
+  "invalid-move": "The move is not Rock, Paper or Scissors",
+  unknown: "revealAndSettle would revert",
+};
+
+function toBytes32(value) {
+  return ethers.zeroPadValue(ethers.toBeHex(value), 32);
+}
+
+// Rebuild the publicInputs DegenRPS._buildPublicInputs passes to the verifier:
+// player1_move, player2_move (frontend format 0-2), winner, then one input per
+// commitment byte. Moves are given in contract enum format (1-3).
+// Deployments still on the legacy circuit stop after the winner.
+export function buildRevealPublicInputs(
+  makerMoveEnum,
+  takerMoveEnum,
+  commitment,
+  bindsCommitment = true
+) {
+  const makerMove = contractToFrontendMove(Number(makerMoveEnum));
+  const takerMove = contractToFrontendMove(Number(takerMoveEnum));
+  const winner = determineWinnerLocal(makerMove, takerMove);
+
+  return [
+    toBytes32(makerMove),
+    toBytes32(takerMove),
+    toBytes32(winner),
+    ...(bindsCommitment
+      ? Array.from(ethers.getBytes(commitment), toBytes32)
+      : []),
+  ];
+}
+
+// Short description of a failed call: revert string, custom error or message
+function describeCallError(error) {
+  if (error.revert?.name === "Error") return error.revert.args[0];
+  if (error.revert?.name) return error.revert.name;
+  return error.reason || error.shortMessage || error.message;
+}
+
+// Simulate the reveal without sending anything: staticCall verifier.verify with
+// the rebuilt public inputs, then revealAndSettle from the connected signer.
+// Returns { ok, cause, message, publicInputs }.
+export async function simulateReveal(
+  rpsContract,
+  gameId,
+  makerMoveEnum,
+  takerMoveEnum,
+  salt,
+  commitment,
+  proofBytes,
+  bindsCommitment = true
+) {
+  const publicInputs = buildRevealPublicInputs(
+    makerMoveEnum,
+    takerMoveEnum,
+    commitment,
+    bindsCommitment
+  );
+
+  // 1. Ask the verifier directly so a rejected proof is reported precisely
+  let verifierFailure = null;
+  try {
+    const verifierAddress = await rpsContract.verifier();
+    const runner = rpsContract.runner?.provider || rpsContract.runner;
+    const verifier = new ethers.Contract(verifierAddress, VERIFIER_ABI, runner);
+    const valid = await verifier.verify.staticCall(proofBytes, publicInputs);
+    if (!valid) {
+      verifierFailure = "verifier returned false";
+    }
+  } catch (error) {
+    verifierFailure = describeCallError(error);
+  }
+  if (verifierFailure) {
+    log(`   verifier.verify: ${verifierFailure}`);
+  } else {
+    log("   verifier.verify: ✅ proof accepted");
+  }
+
+  // 2. Simulate revealAndSettle itself (sender, deadline, commitment, proof)
+  try {
+    await rpsContract.revealAndSettle.staticCall(
+      gameId,
+      makerMoveEnum,
+      salt,
+      proofBytes
+    );
+  } catch (error) {
+    const reason = describeCallError(error);
+    // HonkVerifier's custom errors bubble up undecoded through DegenRPS, so an
+    // unknown revert after a failed step 1 is the verifier rejecting the proof
+    const cause =
+      REVEAL_REVERT_CAUSES[reason] ||
+      (verifierFailure ? "proof-rejected" : "unknown");
+    const detail =
+      cause === "proof-rejected" && verifierFailure ? verifierFailure : reason;
+    return {
+      ok: false,
+      cause,
+      message: `${CAUSE_MESSAGES[cause]} (${detail})`,
+      publicInputs,
+    };
+  }
+
+  if (verifierFailure) {
+    // revealAndSettle passed but the verifier did not - inputs are out of sync
+    return {
+      ok: false,
+      cause: "proof-rejected",
+      message: `${CAUSE_MESSAGES["proof-rejected"]} (${verifierFailure})`,
+      publicInputs,
+    };
+  }
+
+  return { ok: true, cause: null, message: null, publicInputs };
+}
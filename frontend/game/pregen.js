@@ -0,0 +1,156 @@
+import { log } from "../utils/logger.js";
+import { findMakerGame } from "../utils/gameStore.js";
+import { generateProofForReveal } from "./proof.js";
+import { GAME_STATE } from "../config/constants.js";
+import { fetchGame } from "./decode.js";
+
+// Background reveal-proof scheduler (Maker)
+// As soon as Player2Joined exposes the taker's move on one of our games, the
+// reveal proof is generated and verified in the proving worker and cached per
+// gameId, so clicking reveal only has to send the transaction.
+export function createProofScheduler(getProver) {
+  let rpsContract = null;
+  let signer = null;
+  let listeners = [];
+
+  const cache = new Map(); // gameId -> { fingerprint, promise of { proofBytes, bundle } }
+  let queue = Promise.resolve(); // one proof at a time - the worker is single-threaded
+
+  // A cached proof is only valid for these exact circuit inputs
+  function fingerprint(commitment, makerMove, takerMove) {
+    return `${commitment.toLowerCase()}:${makerMove}:${takerMove}`;
+  }
+
+  function invalidate(gameId) {
+    const gameIdStr = gameId.toString();
+    if (cache.delete(gameIdStr)) {
+      console.log(`Dropped cached reveal proof for game ${gameIdStr}`);
+    }
+  }
+
+  async function schedule(gameId) {
+    const gameIdStr = gameId.toString();
+    const prover = getProver();
+    if (!rpsContract || !signer || !prover) return;
+
+    const game = await fetchGame(rpsContract, BigInt(gameIdStr));
+    const { player1, commitment } = game;
+
+    // Only games waiting for our reveal
+    if (game.state !== GAME_STATE.WAITING_FOR_REVEAL) {
+      invalidate(gameIdStr);
+      return;
+    }
+    const userAddress = await signer.getAddress();
+    if (player1.toLowerCase() !== userAddress.toLowerCase()) return;
+
+    // Locked vault entries have no salt yet, so they are skipped until unlock
+    const stored = await findMakerGame({ gameId: gameIdStr, commitment });
+    if (!stored?.salt || stored.move === null || stored.move === undefined) {
+      return;
+    }
+
+    const makerMove = Number(stored.move);
+    const takerMove = game.player2Move;
+    const key = fingerprint(commitment, makerMove, takerMove);
+    if (cache.get(gameIdStr)?.fingerprint === key) return;
+
+    const network = await rpsContract.runner.provider.getNetwork();
+    log(`⚡ Pre-generating reveal proof for game ${gameIdStr}...`);
+    const promise = queue.then(() =>
+      generateProofForReveal(
+        getProver(),
+        makerMove,
+        takerMove,
+        stored.salt,
+        commitment,
+        null,
+        {
+          gameId: gameIdStr,
+          contractAddress: rpsContract.target,
+          chainId: network.chainId,
+        }
+      )
+    );
+    queue = promise.catch(() => {});
+    cache.set(gameIdStr, { fingerprint: key, promise });
+
+    promise
+      .then(() => log(`✅ Reveal proof ready for game ${gameIdStr}`))
+      .catch((error) => {
+        if (cache.get(gameIdStr)?.promise === promise) {
+          cache.delete(gameIdStr);
+        }
+        log(
+          `⚠️ Proof pre-generation failed for game ${gameIdStr}: ${error.message}`
+        );
+      });
+  }
+
+  // One game failing (getGame, store lookup) must not stop the others
+  function scheduleSafely(gameId) {
+    return schedule(gameId).catch((error) => {
+      console.warn(`Could not schedule proof for game ${gameId}:`, error);
+    });
+  }
+
+  function stop() {
+    if (rpsContract) {
+      for (const [eventName, handler] of listeners) {
+        rpsContract.off(eventName, handler);
+      }
+    }
+    listeners = [];
+  }
+
+  // (Re)bind to the current contract and signer, then catch up on games that
+  // were joined while the page was closed
+  async function start(contract, currentSigner) {
+    stop();
+    rpsContract = contract;
+    signer = currentSigner;
+    if (!rpsContract || !signer) return;
+
+    const onJoined = (gameId) => scheduleSafely(gameId);
+    const onFinished = (gameId) => invalidate(gameId);
+    listeners = [
+      ["Player2Joined", onJoined],
+      ["MoveRevealed", onFinished],
+      ["GameSettled", onFinished],
+      ["GameRefunded", onFinished],
+    ];
+    for (const [eventName, handler] of listeners) {
+      rpsContract.on(eventName, handler);
+    }
+
+    let gameIds;
+    try {
+      const userAddress = await signer.getAddress();
+      gameIds = await rpsContract.getGamesByPlayer(userAddress);
+    } catch (error) {
+      console.warn("Could not scan games for proof pre-generation:", error);
+      return;
+    }
+    for (const gameId of gameIds) {
+      await scheduleSafely(gameId);
+    }
+  }
+
+  // Cached (or in-flight) { proofBytes, bundle } for these inputs, or null
+  async function getProof(gameId, commitment, makerMove, takerMove) {
+    const gameIdStr = gameId.toString();
+    const entry = cache.get(gameIdStr);
+    if (!entry) return null;
+    if (entry.fingerprint !== fingerprint(commitment, makerMove, takerMove)) {
+      invalidate(gameIdStr);
+      return null;
+    }
+    try {
+      return await entry.promise;
+    } catch {
+      return null;
+    }
+  }
+
+  return { start, stop, getProof, invalidate };
+}
@@ -1,5 +1,6 @@
 import { ethers } from "ethers";
 import { log } from "../utils/logger.js";
+import { createProofBundle } from "./bundle.js";
 
 // Helper function to determine winner locally
 export function determineWinnerLocal(move1, move2) {
@@ -69,75 +70,79 @@ export async function serializeProof(proof) {
   }
 }
 
+// Build the circuit inputs: moves and winner in frontend format (0,1,2),
+// plus the commitment (public) and salt (private) as 32-element byte arrays
+export function buildCircuitInputs(player1Move, player2Move, salt, commitment) {
+  return {
+    player1_move: player1Move,
+    player2_move: player2Move,
+    winner: determineWinnerLocal(player1Move, player2Move),
+    commitment: Array.from(ethers.getBytes(commitment)),
+    salt: Array.from(ethers.getBytes(salt)),
+  };
+}
+
+// Log each stage reported by the proving worker, then forward it to the UI
+function trackProgress(onProgress) {
+  return (stage) => {
+    if (stage === "witness") {
+      log("✅ Witness computed successfully");
+    } else if (stage === "proof") {
+      log("✅ Proof generated successfully with Keccak256 hash");
+    } else if (stage === "verified") {
+      log("✅ Proof verified locally");
+    }
+    if (onProgress) {
+      onProgress(stage);
+    }
+  };
+}
+
+// Serialize the proof returned by the worker and log its length
+async function serializeWorkerProof(proof) {
+  try {
+    const proofBytes = await serializeProof(proof);
+    log(`📏 Proof length: ${(proofBytes.length - 2) / 2} bytes`);
+    return proofBytes;
+  } catch (serializeError) {
+    log(`❌ Proof serialization failed: ${serializeError.message}`);
+    throw serializeError;
+  }
+}
+
 // Generate ZK proof for game creation (with placeholder move2)
-export async function generateProofForCreation(noir, backend, moveValue) {
+// The proof shows the commitment opens to (moveValue, salt) with a valid move
+export async function generateProofForCreation(
+  prover,
+  moveValue,
+  salt,
+  commitment,
+  onProgress = null
+) {
   log("🔐 Generating ZK proof...");
 
-  let proofBytes = "0x";
   try {
-    // Generate proof using Noir - the proof should prove the commitment matches the move and salt
-    // We'll use a placeholder player2 move (0/Rock) since we don't know it yet
+    // We'll use a placeholder player2 move (0/Rock) since we don't know it yet;
+    // the winner is recalculated at reveal with the actual moves
     const placeholderPlayer2Move = 0;
-    // Calculate winner with placeholder (will be recalculated at reveal with actual moves)
-    let placeholderWinner = determineWinnerLocal(
+    const inputs = buildCircuitInputs(
       moveValue,
-      placeholderPlayer2Move
+      placeholderPlayer2Move,
+      salt,
+      commitment
     );
 
-    // The circuit expects: player1_move, player2_move, winner
-    const inputs = {
-      player1_move: moveValue,
-      player2_move: placeholderPlayer2Move,
-      winner: placeholderWinner,
-    };
-
     log(
-      `Generating proof with inputs: player1_move=${moveValue}, player2_move=${placeholderPlayer2Move}, winner=${placeholderWinner}`
+      `Generating proof with inputs: player1_move=${moveValue}, player2_move=${placeholderPlayer2Move}, winner=${
+        inputs.winner
+      }, commitment=${commitment.slice(0, 10)}...`
     );
 
-    // Step 1: Execute circuit to get witness
-    let witness;
-    try {
-      const result = await noir.execute(inputs);
-      witness = result.witness;
-      log("✅ Witness computed successfully");
-    } catch (witnessError) {
-      log(`❌ Witness computation failed: ${witnessError.message}`);
-      throw new Error(`Witness computation failed: ${witnessError.message}`);
-    }
-
-    // Step 2: Generate proof from witness
-    let proof;
-    try {
-      proof = await backend.generateProof(witness, { keccak: true });
-      log("✅ Proof generated successfully with Keccak256 hash");
-    } catch (proofError) {
-      log(`❌ Proof generation failed: ${proofError.message}`);
-      throw new Error(`Proof generation failed: ${proofError.message}`);
-    }
-
-    // Step 3: Serialize proof
-    try {
-      if (proof.proof && proof.proof instanceof Uint8Array) {
-        proofBytes = ethers.hexlify(proof.proof);
-        log("✅ Proof serialized from proof.proof (Uint8Array)");
-      } else if (backend.serializeProof) {
-        proofBytes = await backend.serializeProof(proof);
-        log("✅ Proof serialized using backend.serializeProof()");
-      } else {
-        proofBytes = await serializeProof(proof);
-        log("✅ Proof serialized using custom method");
-      }
-
-      const proofLength =
-        typeof proofBytes === "string"
-          ? (proofBytes.length - 2) / 2
-          : proofBytes.length;
-      log(`📏 Proof length: ${proofLength} bytes`);
-    } catch (serializeError) {
-      log(`❌ Proof serialization failed: ${serializeError.message}`);
-      throw serializeError;
-    }
+    // Witness and proof are computed in the proving worker
+    const proof = await prover.prove(inputs, {
+      onProgress: trackProgress(onProgress),
+    });
+    const proofBytes = await serializeWorkerProof(proof);
 
     log("✅ ZK proof generated (with placeholder move2)");
     return proofBytes;
@@ -150,13 +155,19 @@ export async function generateProofForCreation(noir, backend, moveValue) {
 }
 
 // Generate ZK proof for reveal (with actual moves)
+// commitment must be the on-chain one so the proof matches revealAndSettle's public inputs
+// Returns { proofBytes, bundle }; bundleContext ({ gameId, contractAddress, chainId })
+// identifies the game in the downloadable proof bundle
 export async function generateProofForReveal(
-  noir,
-  backend,
+  prover,
   makerMove,
-  takerMove
+  takerMove,
+  salt,
+  commitment,
+  onProgress = null,
+  bundleContext = {}
 ) {
-  log("🔍 Step 8: Generating ZK proof...");
+  log("🔍 Step 9: Generating ZK proof...");
   log(
     `✅ Maker's move: ${
       makerMove === 0 ? "Rock" : makerMove === 1 ? "Paper" : "Scissors"
@@ -176,71 +187,39 @@ export async function generateProofForReveal(
   );
 
   // Generate proof - Noir expects Field values (frontend format: 0,1,2)
-  const inputs = {
-    player1_move: makerMove, // Frontend format: 0=Rock, 1=Paper, 2=Scissors
-    player2_move: takerMove, // Frontend format: 0=Rock, 1=Paper, 2=Scissors
-    winner: winner, // 0=Tie, 1=Player1, 2=Player2
-  };
-
-  log(
-    `Proof inputs: player1_move=${inputs.player1_move}, player2_move=${inputs.player2_move}, winner=${inputs.winner}`
-  );
+  const inputs = buildCircuitInputs(makerMove, takerMove, salt, commitment);
 
   log(
-    `Calling noir.execute with inputs: player1_move=${makerMove}, player2_move=${takerMove}, winner=${winner}`
+    `Proof inputs: player1_move=${inputs.player1_move}, player2_move=${
+      inputs.player2_move
+    }, winner=${inputs.winner}, commitment=${commitment.slice(0, 10)}...`
   );
 
-  let witness;
-  try {
-    const result = await noir.execute(inputs);
-    witness = result.witness;
-    log("✅ Witness computed successfully");
-  } catch (witnessError) {
-    log(`❌ Witness computation failed: ${witnessError.message}`);
-    throw new Error(`Witness computation failed: ${witnessError.message}`);
-  }
-
   let proof;
   try {
-    // Use keccak hash function to match the verifier
-    proof = await backend.generateProof(witness, { keccak: true });
-    log("✅ Proof generated successfully with Keccak256 hash");
+    // Witness, proof and local verification all run in the proving worker
+    proof = await prover.prove(inputs, {
+      verify: true,
+      onProgress: trackProgress(onProgress),
+    });
   } catch (proofError) {
     log(`❌ Proof generation failed: ${proofError.message}`);
     throw new Error(`Proof generation failed: ${proofError.message}`);
   }
 
-  // Verify proof locally
-  const isValid = await backend.verifyProof(proof, { keccak: true });
-  if (!isValid) {
-    throw new Error("Proof verification failed locally");
-  }
-
   log("✅ Proof generated and verified!");
 
-  // Serialize proof
-  let proofBytes;
-  try {
-    if (proof.proof && proof.proof instanceof Uint8Array) {
-      proofBytes = ethers.hexlify(proof.proof);
-      log("✅ Proof serialized from proof.proof (Uint8Array)");
-    } else if (backend.serializeProof) {
-      proofBytes = await backend.serializeProof(proof);
-      log("✅ Proof serialized using backend.serializeProof()");
-    } else {
-      proofBytes = await serializeProof(proof);
-      log("✅ Proof serialized using custom method");
-    }
-
-    const proofLength =
-      typeof proofBytes === "string"
-        ? (proofBytes.length - 2) / 2
-        : proofBytes.length;
-    log(`📏 Proof length: ${proofLength} bytes`);
-  } catch (serializeError) {
-    log(`❌ Proof serialization failed: ${serializeError.message}`);
-    throw serializeError;
-  }
-
-  return proofBytes;
+  const proofBytes = await serializeWorkerProof(proof);
+  const bundle = createProofBundle({
+    ...bundleContext,
+    commitment,
+    makerMove,
+    takerMove,
+    winner,
+    salt,
+    publicInputs: proof.publicInputs,
+    proof: proofBytes,
+    circuitHash: prover.circuitHash,
+  });
+  return { proofBytes, bundle };
 }
@@ -0,0 +1,113 @@
+import { ethers } from "ethers";
+
+// Main-thread handle for the proving worker (game/prover.worker.js)
+// Returns a prover whose calls resolve once the worker answers
+export function createProver(circuit) {
+  const worker = new Worker(new URL("./prover.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+  let nextJobId = 0;
+  const jobs = new Map(); // id -> { resolve, reject, onProgress }
+  let readyCallbacks = null;
+
+  const ready = new Promise((resolve, reject) => {
+    readyCallbacks = { resolve, reject };
+  });
+
+  worker.onmessage = (event) => {
+    const { type, id } = event.data;
+
+    if (type === "ready") {
+      readyCallbacks.resolve();
+      return;
+    }
+
+    // Errors without a job id come from initialization
+    if (type === "error" && id === null) {
+      readyCallbacks.reject(new Error(event.data.message));
+      return;
+    }
+
+    const job = jobs.get(id);
+    if (!job) return;
+
+    if (type === "progress") {
+      if (job.onProgress) {
+        job.onProgress(event.data.stage);
+      }
+    } else if (type === "result") {
+      jobs.delete(id);
+      job.resolve(event.data);
+    } else if (type === "error") {
+      jobs.delete(id);
+      job.reject(new Error(event.data.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(event.message || "Prover worker crashed");
+    readyCallbacks.reject(error);
+    jobs.forEach((job) => job.reject(error));
+    jobs.clear();
+  };
+
+  function send(message, onProgress = null) {
+    return ready.then(
+      () =>
+        new Promise((resolve, reject) => {
+          const id = nextJobId++;
+          jobs.set(id, { resolve, reject, onProgress });
+          worker.postMessage({ ...message, id });
+        })
+    );
+  }
+
+  worker.postMessage({ type: "init", circuit });
+
+  // The legacy three-input circuit has no commitment/salt parameters
+  const parameters = new Set(circuit.abi.parameters.map(({ name }) => name));
+
+  return {
+    ready,
+
+    // keccak256 of the ACIR bytecode - identifies the circuit in proof bundles
+    circuitHash: ethers.keccak256(ethers.decodeBase64(circuit.bytecode)),
+
+    // Whether the commitment bytes are public inputs after the winner
+    bindsCommitment: parameters.has("commitment"),
+
+    // Execute the circuit and generate a keccak UltraHonk proof
+    // onProgress receives "witness", "proof" and (when verify is set) "verified"
+    // Inputs the circuit does not declare are dropped
+    async prove(inputs, { verify = false, onProgress = null } = {}) {
+      const circuitInputs = Object.fromEntries(
+        Object.entries(inputs).filter(([name]) => parameters.has(name))
+      );
+      const { proof, publicInputs } = await send(
+        { type: "prove", inputs: circuitInputs, verify },
+        onProgress
+      );
+      return { proof, publicInputs };
+    },
+
+    // Verify a proof (raw bytes) against its public inputs
+    async verify(proof, publicInputs) {
+      const { valid } = await send({ type: "verify", proof, publicInputs });
+      return valid;
+    },
+
+    // Verification key (raw bytes) for the loaded circuit
+    async getVerificationKey() {
+      const { vk } = await send({ type: "vk" });
+      return vk;
+    },
+
+    terminate() {
+      worker.terminate();
+      const error = new Error("Prover worker terminated");
+      jobs.forEach((job) => job.reject(error));
+      jobs.clear();
+    },
+  };
+}
@@ -0,0 +1,88 @@
+import { Noir } from "@noir-lang/noir_js";
+import { UltraHonkBackend } from "@aztec/bb.js";
+
+// Proving worker - owns the Noir and UltraHonkBackend instances so witness
+// generation and proving never block the page's main thread.
+//
+// Messages in:
+//   { type: "init", circuit }
+//   { type: "prove", id, inputs, verify }
+//   { type: "verify", id, proof, publicInputs }
+//   { type: "vk", id }
+// Messages out:
+//   { type: "ready" }
+//   { type: "progress", id, stage }  stage: "witness" | "proof" | "verified"
+//   { type: "result", id, ... }
+//   { type: "error", id, message }
+
+let noir = null;
+let backend = null;
+
+async function prove(id, inputs, verify) {
+  const { witness } = await noir.execute(inputs);
+  self.postMessage({ type: "progress", id, stage: "witness" });
+
+  // Use keccak hash function to match the verifier
+  const proof = await backend.generateProof(witness, { keccak: true });
+  self.postMessage({ type: "progress", id, stage: "proof" });
+
+  if (verify) {
+    const isValid = await backend.verifyProof(proof, { keccak: true });
+    if (!isValid) {
+      throw new Error("Proof verification failed locally");
+    }
+    self.postMessage({ type: "progress", id, stage: "verified" });
+  }
+
+  self.postMessage(
+    {
+      type: "result",
+      id,
+      proof: proof.proof,
+      publicInputs: proof.publicInputs,
+    },
+    [proof.proof.buffer]
+  );
+}
+
+async function verify(id, proof, publicInputs) {
+  const valid = await backend.verifyProof(
+    { proof, publicInputs },
+    { keccak: true }
+  );
+  self.postMessage({ type: "result", id, valid });
+}
+
+async function verificationKey(id) {
+  // Keccak flavour matches the key baked into the Solidity verifier
+  const vk = await backend.getVerificationKey({ keccak: true });
+  self.postMessage({ type: "result", id, vk }, [vk.buffer]);
+}
+
+self.onmessage = async (event) => {
+  const { type, id = null } = event.data;
+  try {
+    if (type === "init") {
+      noir = new Noir(event.data.circuit);
+      backend = new UltraHonkBackend(event.data.circuit.bytecode);
+      self.postMessage({ type: "ready" });
+      return;
+    }
+
+    if (!noir || !backend) {
+      throw new Error("Prover not initialized");
+    }
+
+    if (type === "prove") {
+      await prove(id, event.data.inputs, event.data.verify);
+    } else if (type === "verify") {
+      await verify(id, event.data.proof, event.data.publicInputs);
+    } else if (type === "vk") {
+      await verificationKey(id);
+    } else {
+      throw new Error(`Unknown prover message: ${type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message });
+  }
+};
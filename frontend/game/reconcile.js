@@ -0,0 +1,162 @@
+import { log } from "../utils/logger.js";
+import {
+  listGames,
+  setGameStatus,
+  archiveGames,
+  pruneArchive,
+} from "../utils/gameStore.js";
+import { GAME_STATE } from "../config/constants.js";
+import { fetchGame } from "./decode.js";
+import { syncGameIndex, findIndexedGame } from "./indexer.js";
+
+// Reconcile stored games with on-chain state
+// Every record in the active store context gets a status from getGame() and the
+// payout the event index (game/indexer.js) recorded for it. Withdrawn and
+// refunded games are finished and move to the archive, which is pruned after
+// ARCHIVE_RETENTION_MS. A maker record whose game can still be revealed is
+// never archived, whatever its status says.
+
+export const RECORD_STATUS = {
+  ACTIVE: "active",
+  SETTLED: "settled",
+  WITHDRAWN: "withdrawn",
+  REFUNDED: "refunded",
+  ORPHANED: "orphaned",
+};
+
+const FINISHED = [RECORD_STATUS.WITHDRAWN, RECORD_STATUS.REFUNDED];
+const ARCHIVE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// "withdrawn" or "refunded" from the indexed events, null if neither happened
+async function indexedPayout(rpsContract, gameId, indexed) {
+  if (!indexed) throw new Error("game index is not synced");
+  const row = await findIndexedGame(rpsContract, gameId);
+  return row?.payout ?? null;
+}
+
+// { status, state, revealable } for one stored record
+async function classifyRecord(rpsContract, record, indexed) {
+  const gameId = BigInt(record.gameId);
+  const game = await fetchGame(rpsContract, gameId);
+  const { commitment, state } = game;
+
+  // withdraw() deletes the struct; without a withdrawal the id never held our game
+  if (!game.exists) {
+    const withdrawn =
+      (await indexedPayout(rpsContract, gameId, indexed)) === "withdrawn";
+    return {
+      status: withdrawn ? RECORD_STATUS.WITHDRAWN : RECORD_STATUS.ORPHANED,
+      state: null,
+      revealable: false,
+    };
+  }
+
+  // Same id, different game - e.g. a local chain that was redeployed
+  if (
+    record.commitment &&
+    record.commitment.toLowerCase() !== commitment.toLowerCase()
+  ) {
+    return { status: RECORD_STATUS.ORPHANED, state: null, revealable: false };
+  }
+
+  if (state === GAME_STATE.SETTLED) {
+    const refunded =
+      (await indexedPayout(rpsContract, gameId, indexed)) === "refunded";
+    return {
+      status: refunded ? RECORD_STATUS.REFUNDED : RECORD_STATUS.SETTLED,
+      state,
+      revealable: false,
+    };
+  }
+
+  // Open games and reveals within the deadline (by the chain clock)
+  return { status: RECORD_STATUS.ACTIVE, state, revealable: !game.isExpired };
+}
+
+// Returns { counts: { status: n }, archived, pruned, protected, failed }
+export async function reconcileStoredGames(rpsContract) {
+  log("🧹 Reconciling stored games with the chain...");
+  // Without the index, withdrawn and refunded games are left as they are
+  let indexed = true;
+  try {
+    await syncGameIndex(rpsContract);
+  } catch (error) {
+    indexed = false;
+    console.warn("Could not sync the game index:", error);
+  }
+  const records = [
+    ...(await listGames("maker")),
+    ...(await listGames("taker")),
+  ];
+
+  const counts = Object.fromEntries(
+    Object.values(RECORD_STATUS).map((status) => [status, 0])
+  );
+  const finished = [];
+  const protectedGames = [];
+  let failed = 0;
+
+  for (const record of records) {
+    if (!record.gameId) continue;
+
+    let result;
+    try {
+      result = await classifyRecord(rpsContract, record, indexed);
+    } catch (error) {
+      // Unknown is never a reason to drop anything
+      failed++;
+      console.warn(`Could not reconcile game ${record.gameId}:`, error);
+      continue;
+    }
+    counts[result.status]++;
+    await setGameStatus(
+      record.role,
+      record.gameId,
+      result.status,
+      result.state
+    );
+
+    // A salt that may still be needed must never be archived or pruned
+    const holdsSecret =
+      record.role === "maker" && (record.salt || record.locked);
+    if (holdsSecret && result.revealable) {
+      protectedGames.push(record);
+      continue;
+    }
+    if (FINISHED.includes(result.status)) {
+      finished.push(record);
+    }
+  }
+
+  for (const record of protectedGames) {
+    log(
+      `⚠️⚠️ Game ${
+        record.gameId
+      } can still be revealed and its salt is stored in this browser${
+        record.saltNonce ? "" : " only"
+      } - do NOT clear site data before revealing (export a backup to be safe)`
+    );
+  }
+
+  const archived = finished.length > 0 ? await archiveGames(finished) : 0;
+  const pruned = await pruneArchive(ARCHIVE_RETENTION_MS);
+
+  log(
+    `✅ Reconciled ${records.length} stored game(s): ${Object.entries(counts)
+      .map(([status, count]) => `${count} ${status}`)
+      .join(", ")}`
+  );
+  if (archived > 0 || pruned > 0) {
+    log(`   🗄️ Archived ${archived} finished game(s), pruned ${pruned}`);
+  }
+  if (failed > 0) {
+    log(`   ⚠️ ${failed} game(s) could not be checked and were left as is`);
+  }
+  return {
+    counts,
+    archived,
+    pruned,
+    protected: protectedGames.length,
+    failed,
+  };
+}
@@ -1,8 +1,20 @@
 import { ethers } from "ethers";
 import { log } from "../utils/logger.js";
-import { getMakerGames } from "../utils/storage.js";
+import {
+  findMakerGame,
+  listGames,
+  putMakerGame,
+  putProofBundle,
+  updateGameState,
+} from "../utils/gameStore.js";
 import { generateProofForReveal } from "./proof.js";
-import { frontendToContractMove } from "../config/constants.js";
+import { simulateReveal } from "./preflight.js";
+import { recoverSaltAndMove } from "./salt.js";
+import { fetchGame } from "./decode.js";
+import { chainNow } from "../utils/chainClock.js";
+import { ensureVaultUnlocked, isVaultUnlocked } from "../utils/vault.js";
+import { broadcast } from "../utils/tabSync.js";
+import { frontendToContractMove, GAME_STATE } from "../config/constants.js";
 
 // Reveal move (Maker) with ZK proof
 export async function revealMakerMove(
@@ -10,13 +22,13 @@ export async function revealMakerMove(
   commitmentHash,
   signer,
   rpsContract,
-  noir,
-  backend,
+  prover,
   erc20ABI,
   gameState,
   ensureCorrectNetwork,
   frontendToContractMoveFn,
-  loadMakerGamesFn
+  loadMakerGamesFn,
+  proofScheduler = null
 ) {
   console.log("revealMakerMove called with:", {
     gameId,
@@ -26,13 +38,12 @@ export async function revealMakerMove(
   });
   log("🔓 Reveal Move button clicked!");
 
-  if (!signer || !rpsContract || !noir || !backend) {
+  if (!signer || !rpsContract || !prover) {
     log("❌ Contracts or Noir not initialized");
     console.error("Missing:", {
       signer: !!signer,
       rpsContract: !!rpsContract,
-      noir: !!noir,
-      backend: !!backend,
+      prover: !!prover,
     });
     return;
   }
@@ -50,74 +61,35 @@ export async function revealMakerMove(
     gameState.role = "maker";
 
     // Get the game data to find the salt and move
-    log("🔍 Step 2: Getting game data from localStorage...");
-    const trackedGames = getMakerGames();
-    console.log("Tracked games:", trackedGames);
+    log("🔍 Step 2: Getting game data from the vault...");
+    // Salts are encrypted at rest - signature vaults unlock with one signature
+    await ensureVaultUnlocked(signer);
+    const gameIdStr = gameId?.toString();
     console.log(
       "Looking for commitmentHash:",
       commitmentHash,
       "or gameId:",
-      gameId
+      gameIdStr
     );
 
-    // Try multiple lookup strategies
-    let gameData = null;
-    const gameIdStr = gameId?.toString();
-    const commitmentHashLower = commitmentHash?.toLowerCase();
-
-    // Strategy 1: Direct lookup by commitment hash (exact match)
-    if (commitmentHash && trackedGames[commitmentHash]) {
-      gameData = trackedGames[commitmentHash];
-      console.log("✅ Found game data by commitment hash (exact match)");
-    }
-    // Strategy 2: Lookup by commitment hash (case-insensitive)
-    else if (commitmentHashLower) {
-      for (const key in trackedGames) {
-        if (key.toLowerCase() === commitmentHashLower) {
-          gameData = trackedGames[key];
-          console.log(
-            `✅ Found game data by commitment hash (case-insensitive): ${key}`
-          );
-          break;
-        }
-      }
-    }
-    // Strategy 3: Lookup by gameId
-    if (!gameData && gameIdStr && trackedGames[gameIdStr]) {
-      gameData = trackedGames[gameIdStr];
-      console.log("✅ Found game data by gameId");
-    }
-    // Strategy 4: Search all games for matching gameId or commitment
-    if (!gameData) {
-      for (const key in trackedGames) {
-        const stored = trackedGames[key];
-        if (
-          (stored.gameId && stored.gameId === gameIdStr) ||
-          (stored.commitment &&
-            (stored.commitment.toLowerCase() === commitmentHashLower ||
-              stored.commitment === commitmentHash))
-        ) {
-          gameData = stored;
-          console.log(`✅ Found game data by searching: key=${key}`);
-          break;
-        }
-      }
+    // Strategy 1: Lookup by gameId, then by the commitment passed in
+    let gameData = await findMakerGame({
+      gameId: gameIdStr,
+      commitment: commitmentHash,
+    });
+    if (gameData) {
+      console.log(`✅ Found game data in the game store: ${gameData.id}`);
     }
 
-    // Strategy 5: If still not found, try to get commitment from contract and match
+    // Strategy 2: Look up the commitment stored on-chain for this game
     if (!gameData && rpsContract) {
       try {
         const gameIdBigInt =
           typeof gameId === "bigint" ? gameId : BigInt(gameId.toString());
         log(`🔍 Fetching game ${gameIdBigInt} from contract...`);
-        const game = await rpsContract.getGame(gameIdBigInt);
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" &&
-            game !== null &&
-            game.length !== undefined);
-        const contractCommitment = isArray ? game[4] : game.commitment;
-        const contractPlayer1 = isArray ? game[0] : game.player1;
+        const game = await fetchGame(rpsContract, gameIdBigInt);
+        const contractCommitment = game.commitment;
+        const contractPlayer1 = game.player1;
         const userAddress = await signer.getAddress();
 
         console.log("Contract game data:", {
@@ -137,37 +109,12 @@ export async function revealMakerMove(
         }
 
         if (contractCommitment) {
-          const contractCommitmentLower = contractCommitment.toLowerCase();
-          log(`🔍 Searching for commitment: ${contractCommitmentLower}`);
-
-          // Try to find by contract commitment (exact match)
-          for (const key in trackedGames) {
-            const stored = trackedGames[key];
-            if (
-              stored.commitment &&
-              (stored.commitment.toLowerCase() === contractCommitmentLower ||
-                stored.commitment === contractCommitment)
-            ) {
-              gameData = stored;
-              console.log(
-                `✅ Found game data by contract commitment: key=${key}`
-              );
-              break;
-            }
-          }
-
-          // If still not found, try case-insensitive search on keys
-          if (!gameData) {
-            for (const key in trackedGames) {
-              const keyLower = key.toLowerCase();
-              if (keyLower === contractCommitmentLower) {
-                gameData = trackedGames[key];
-                console.log(
-                  `✅ Found game data by commitment key (case-insensitive): key=${key}`
-                );
-                break;
-              }
-            }
+          log(`🔍 Searching for commitment: ${contractCommitment}`);
+          gameData = await findMakerGame({ commitment: contractCommitment });
+          if (gameData) {
+            console.log(
+              `✅ Found game data by contract commitment: ${gameData.id}`
+            );
           }
         }
       } catch (error) {
@@ -176,21 +123,48 @@ export async function revealMakerMove(
       }
     }
 
-    // Strategy 6: If still not found, try to find by gameId in all stored games (deep search)
-    if (!gameData && gameIdStr) {
-      log(
-        `🔍 Deep search: Looking for gameId ${gameIdStr} in all stored games...`
-      );
-      for (const key in trackedGames) {
-        const stored = trackedGames[key];
-        // Check if stored gameId matches (as string)
-        if (stored.gameId && stored.gameId.toString() === gameIdStr) {
-          gameData = stored;
-          console.log(
-            `✅ Found game data by gameId (deep search): key=${key}, gameId=${stored.gameId}`
+    // Strategy 3: Re-derive salt and move from a wallet signature (works on any device)
+    if ((!gameData || !gameData.salt) && rpsContract) {
+      try {
+        const gameIdBigInt =
+          typeof gameId === "bigint" ? gameId : BigInt(gameId.toString());
+        const { commitment: contractCommitment } = await fetchGame(
+          rpsContract,
+          gameIdBigInt
+        );
+
+        log("🔍 Salt not stored locally - trying wallet-derived salt...");
+        const recovered = await recoverSaltAndMove(
+          signer,
+          rpsContract,
+          gameIdBigInt,
+          contractCommitment
+        );
+        if (recovered) {
+          gameData = {
+            commitment: contractCommitment,
+            gameId: gameIdStr,
+            salt: recovered.salt,
+            move: recovered.move,
+            saltNonce: recovered.nonce,
+          };
+          // Store it again so the next reveal doesn't need a signature
+          await putMakerGame(
+            contractCommitment,
+            gameIdStr,
+            null,
+            recovered.salt,
+            recovered.move,
+            { saltNonce: recovered.nonce }
+          );
+          log(
+            `✅ Salt and move recovered from wallet signature (nonce ${recovered.nonce})`
           );
-          break;
+        } else {
+          log("⚠️ No wallet-derived salt matches this game's commitment");
         }
+      } catch (error) {
+        log(`⚠️ Could not re-derive salt from wallet: ${error.message}`);
       }
     }
 
@@ -200,25 +174,20 @@ export async function revealMakerMove(
       log("❌ Game data not found. Cannot reveal without salt.");
       log(`   Searched for commitmentHash: ${commitmentHash}`);
       log(`   Searched for gameId: ${gameIdStr}`);
-      log(
-        `   Available keys in localStorage: ${Object.keys(trackedGames).join(
-          ", "
-        )}`
-      );
 
       // Show what games are stored
-      if (Object.keys(trackedGames).length > 0) {
+      const storedGames = await listGames("maker");
+      if (storedGames.length > 0) {
         log(`   Stored games:`);
-        for (const key in trackedGames) {
-          const stored = trackedGames[key];
+        for (const stored of storedGames) {
           log(
-            `     - Key: ${key}, gameId: ${
+            `     - gameId: ${
               stored.gameId
             }, commitment: ${stored.commitment?.slice(0, 20)}...`
           );
         }
       } else {
-        log(`   No games found in localStorage.`);
+        log(`   No games found in the game store.`);
       }
 
       // Try to get game info from contract for better error message
@@ -226,14 +195,9 @@ export async function revealMakerMove(
         try {
           const gameIdBigInt =
             typeof gameId === "bigint" ? gameId : BigInt(gameId.toString());
-          const game = await rpsContract.getGame(gameIdBigInt);
-          const isArray =
-            Array.isArray(game) ||
-            (typeof game === "object" &&
-              game !== null &&
-              game.length !== undefined);
-          const contractCommitment = isArray ? game[4] : game.commitment;
-          const contractPlayer1 = isArray ? game[0] : game.player1;
+          const game = await fetchGame(rpsContract, gameIdBigInt);
+          const contractCommitment = game.commitment;
+          const contractPlayer1 = game.player1;
           const userAddress = await signer.getAddress();
 
           log(`   Contract game info:`);
@@ -249,14 +213,14 @@ export async function revealMakerMove(
             log(`   ⚠️ This game was created by a different address.`);
           } else {
             log(
-              `   ⚠️ This game was created by you, but the salt/move data is not in localStorage.`
+              `   ⚠️ This game was created by you, but the salt/move data is not in the game store.`
             );
             log(`   💡 Possible reasons:`);
             log(`      - Game was created before the refactoring`);
             log(`      - Browser data was cleared`);
             log(`      - Game was created in a different browser/session`);
             log(
-              `   💡 Unfortunately, without the salt stored locally, you cannot reveal this game.`
+              `   💡 The salt was not stored locally and could not be re-derived from your wallet (random salt or different wallet), so this game cannot be revealed.`
             );
           }
         } catch (error) {
@@ -269,7 +233,7 @@ export async function revealMakerMove(
       return;
     }
 
-    // Get salt and move from localStorage (stored when game was created)
+    // Get salt and move from the game store (saved when the game was created)
     log("🔍 Step 3: Extracting salt and move...");
     const salt = gameData.salt || gameState.salt;
     const move =
@@ -280,7 +244,11 @@ export async function revealMakerMove(
 
     if (!salt) {
       log("❌ Salt not found. Cannot reveal this game.");
-      log(`   Game data: ${JSON.stringify(gameData)}`);
+      if (gameData.locked && !isVaultUnlocked()) {
+        log("   🔒 The vault is locked - unlock it with your passphrase first");
+      } else {
+        log(`   Game data: ${JSON.stringify(gameData)}`);
+      }
       return;
     }
 
@@ -303,52 +271,31 @@ export async function revealMakerMove(
     }
 
     log("Getting game state from DegenRPS contract...");
-    const game = await rpsContract.getGame(gameIdBigInt);
-
-    // Check if it's an array or object
-    const isArray =
-      Array.isArray(game) ||
-      (typeof game === "object" && game.length !== undefined);
-
-    // Safely access fields
-    let taker, takerMove, revealDeadlineBigInt;
-    if (isArray && game.length > 10) {
-      taker = game[1]; // player2 (index 1 in the struct)
-      takerMove = game[6]; // player2Move (index 6 in the struct)
-      revealDeadlineBigInt = game[10];
-    } else {
-      taker = game.player2;
-      takerMove = game.player2Move;
-      revealDeadlineBigInt = game.revealDeadline;
-    }
+    const game = await fetchGame(rpsContract, gameIdBigInt);
 
     log(`🔍 Step 6: Checking game state...`);
-    log(`   Taker: ${taker}`);
-    log(`   Taker move (from contract): ${takerMove}`);
+    log(`   Taker: ${game.player2}`);
+    log(`   Taker move: ${game.player2Move}`);
 
     // Check that Taker has joined
-    if (taker === ethers.ZeroAddress || takerMove === 0 || takerMove === 255) {
+    if (game.state !== GAME_STATE.WAITING_FOR_REVEAL) {
       log("⏳ Waiting for taker to join...");
       return;
     }
 
-    const deadline =
-      typeof revealDeadlineBigInt === "bigint"
-        ? Number(revealDeadlineBigInt)
-        : Number(revealDeadlineBigInt.toString());
-
-    const now = Math.floor(Date.now() / 1000);
-    if (deadline > 0 && now > deadline) {
-      log(`❌ Deadline has passed. (deadline: ${deadline}, now: ${now})`);
+    if (game.isExpired) {
+      const now = chainNow();
+      log(
+        `❌ Deadline has passed. (deadline: ${game.revealDeadline}, now: ${now})`
+      );
       return;
     }
 
     log("🔍 Step 7: Converting moves...");
     const makerMove = Number(move); // Frontend format: 0=Rock, 1=Paper, 2=Scissors
-    const takerMoveContract = Number(takerMove); // DegenRPS enum: 1=Rock, 2=Paper, 3=Scissors
-
-    // Convert taker's move from DegenRPS enum (1,2,3) to frontend format (0,1,2)
-    const takerMoveNum = takerMoveContract - 1;
+    const takerMoveNum = game.player2Move; // Decoded to frontend format
+    // DegenRPS enum (1=Rock, 2=Paper, 3=Scissors), for the simulated call
+    const takerMoveContract = frontendToContractMoveFn(takerMoveNum);
 
     log(
       `   Maker move (frontend): ${makerMove} (${
@@ -374,6 +321,7 @@ export async function revealMakerMove(
     if (
       makerMove < 0 ||
       makerMove > 2 ||
+      takerMoveNum === null ||
       takerMoveNum < 0 ||
       takerMoveNum > 2
     ) {
@@ -385,31 +333,11 @@ export async function revealMakerMove(
       );
     }
 
-    log("🔍 Step 8: Generating ZK proof...");
-    log(
-      `✅ Maker's move: ${
-        makerMove === 0 ? "Rock" : makerMove === 1 ? "Paper" : "Scissors"
-      } (${makerMove})`
-    );
-    log(
-      `✅ Taker's move: ${
-        takerMoveNum === 0 ? "Rock" : takerMoveNum === 1 ? "Paper" : "Scissors"
-      } (${takerMoveNum})`
-    );
-
-    // Generate proof using module
-    const proofBytes = await generateProofForReveal(
-      noir,
-      backend,
-      makerMove,
-      takerMoveNum
-    );
-
     // Convert move to DegenRPS enum (1=Rock, 2=Paper, 3=Scissors) for the contract call
     const moveEnum = frontendToContractMoveFn(makerMove);
 
-    // Verify commitment matches before sending transaction
-    log("🔍 Step 9: Verifying commitment...");
+    // Verify commitment matches before proving - the circuit binds the proof to it
+    log("🔍 Step 8: Verifying commitment...");
     // IMPORTANT: The contract verifies commitment using the enum move (1,2,3), not frontend format (0,1,2)
     // But when we created the game, we used frontend format. Let's check both to see which one matches.
     const commitmentCheckFrontend = ethers.keccak256(
@@ -418,7 +346,7 @@ export async function revealMakerMove(
     const commitmentCheckEnum = ethers.keccak256(
       ethers.solidityPacked(["uint8", "bytes32"], [moveEnum, salt])
     );
-    const storedCommitment = isArray ? game[4] : game.commitment;
+    const storedCommitment = game.commitment;
     log(
       `   Calculated commitment (frontend move ${makerMove}): ${commitmentCheckFrontend}`
     );
@@ -455,8 +383,78 @@ export async function revealMakerMove(
       );
     }
 
+    // Use the proof pre-generated when the taker joined, if its inputs still match
+    let proofResult = proofScheduler
+      ? await proofScheduler.getProof(
+          gameId,
+          storedCommitment,
+          makerMove,
+          takerMoveNum
+        )
+      : null;
+
+    if (proofResult) {
+      log("⚡ Step 9: Using pre-generated ZK proof");
+    } else {
+      // Generate proof in the proving worker, showing progress on the reveal button
+      const revealBtn = document.getElementById(`reveal-btn-${gameId}`);
+      const stageLabels = {
+        witness: "⏳ Witness ready, proving...",
+        proof: "⏳ Proof ready, verifying...",
+        verified: "✅ Proof verified",
+      };
+      if (revealBtn) {
+        revealBtn.disabled = true;
+        revealBtn.innerHTML = "⏳ Computing witness...";
+      }
+      try {
+        const network = await signer.provider.getNetwork();
+        proofResult = await generateProofForReveal(
+          prover,
+          makerMove,
+          takerMoveNum,
+          salt,
+          storedCommitment,
+          (stage) => {
+            if (revealBtn && stageLabels[stage]) {
+              revealBtn.innerHTML = stageLabels[stage];
+            }
+          },
+          {
+            gameId: gameIdBigInt,
+            contractAddress: rpsContract.target,
+            chainId: network.chainId,
+          }
+        );
+      } finally {
+        if (revealBtn) {
+          revealBtn.disabled = false;
+          revealBtn.innerHTML = "🔓 Reveal Move";
+        }
+      }
+    }
+    const { proofBytes, bundle } = proofResult;
+
+    // Dry-run against the chain so failures surface before any gas is spent
+    log("🔍 Step 10: Simulating reveal (pre-flight)...");
+    const preflight = await simulateReveal(
+      rpsContract,
+      gameIdBigInt,
+      moveEnum,
+      takerMoveContract,
+      salt,
+      storedCommitment,
+      proofBytes,
+      prover.bindsCommitment
+    );
+    if (!preflight.ok) {
+      log(`❌ Pre-flight failed [${preflight.cause}]: ${preflight.message}`);
+      throw new Error(`Reveal would fail: ${preflight.message}`);
+    }
+    log("✅ Pre-flight simulation passed");
+
     try {
-      log("🔍 Step 10: Estimating gas...");
+      log("🔍 Step 11: Estimating gas...");
       const gasEstimate = await rpsContract.revealAndSettle.estimateGas(
         gameIdBigInt,
         moveEnum,
@@ -465,7 +463,7 @@ export async function revealMakerMove(
       );
       log(`⛽ Gas estimate: ${gasEstimate.toString()}`);
 
-      log("🔍 Step 11: Sending reveal transaction...");
+      log("🔍 Step 12: Sending reveal transaction...");
       log(`   gameId: ${gameIdBigInt}`);
       log(`   moveEnum: ${moveEnum} (frontend move: ${makerMove})`);
       log(`   salt: ${salt.slice(0, 10)}...`);
@@ -480,27 +478,46 @@ export async function revealMakerMove(
       );
 
       log(`📤 Transaction sent: ${tx.hash}`);
+      broadcast("tx-submitted", {
+        action: "reveal",
+        gameId: gameIdStr,
+        hash: tx.hash,
+      });
       const receipt = await tx.wait();
       log(
         `✅ Game settled! Transaction confirmed in block ${receipt.blockNumber}`
       );
+      if (proofScheduler) {
+        proofScheduler.invalidate(gameId);
+      }
+
+      // Keep the proof bundle of the confirmed reveal as evidence
+      try {
+        if (await putProofBundle(gameIdStr, bundle)) {
+          log("📦 Proof bundle saved - download it from the game card");
+        }
+      } catch (error) {
+        console.warn("Could not save proof bundle:", error);
+      }
+      broadcast("tx-confirmed", {
+        action: "reveal",
+        gameId: gameIdStr,
+        hash: tx.hash,
+        state: GAME_STATE.SETTLED,
+      });
+      updateGameState("maker", gameIdStr, GAME_STATE.SETTLED).catch((error) =>
+        console.warn("Could not update stored game state:", error)
+      );
 
       // Get updated game state to see winner
-      const updatedGame = await rpsContract.getGame(gameId);
-      const gameWinner = Array.isArray(updatedGame)
-        ? updatedGame[11]
-        : updatedGame.winner;
-      const winnerAddress = gameWinner;
+      const updatedGame = await fetchGame(rpsContract, gameId);
 
-      if (winnerAddress === ethers.ZeroAddress) {
+      if (updatedGame.isTie) {
         log(`🎉 Result: Tie! Both players can withdraw their bet.`);
+      } else if (updatedGame.winnerPlayer === 1) {
+        log(`🎉 You won! You can withdraw the prize pool.`);
       } else {
-        const userAddress = await signer.getAddress();
-        if (winnerAddress.toLowerCase() === userAddress.toLowerCase()) {
-          log(`🎉 You won! You can withdraw the prize pool.`);
-        } else {
-          log(`😔 You lost. The winner can withdraw the prize pool.`);
-        }
+        log(`😔 You lost. The winner can withdraw the prize pool.`);
       }
 
       // Refresh maker's games list
@@ -0,0 +1,257 @@
+import { ethers } from "ethers";
+import { log } from "../utils/logger.js";
+import { frontendToContractMove } from "../config/constants.js";
+
+// Wallet-derived maker salts
+// The salt key is keccak256 of one signature per account; each salt hashes it
+// with the chain, the DegenRPS contract and a per-game nonce (normally the
+// gameId expected at creation, see reserveSaltNonce). Wallets that sign
+// deterministically (RFC 6979) reproduce the same salts on any device, so a
+// game can be revealed even after localStorage is lost.
+// Games from before the salt key used one signature per nonce (v1 below).
+
+// Games created in the same block can shift our gameId past the nonce we used
+const MAX_NONCE_LOOKBACK = 4;
+// A reserved nonce whose create never landed pushes later nonces past their gameId
+const MAX_NONCE_LOOKAHEAD = 2;
+
+const signatureCache = new Map(); // message -> signature (avoids repeat prompts)
+const deterministicChecks = new Map(); // address -> Promise<boolean>
+
+export function saltKeyMessage(address) {
+  return [
+    "Degen RPS commitment salt v2",
+    "",
+    "Sign to derive the secret salts for your moves. This does not send a transaction.",
+    "",
+    `Account: ${ethers.getAddress(address)}`,
+  ].join("\n");
+}
+
+// v1: one signed message per chain, contract and nonce
+export function saltMessage(chainId, contractAddress, nonce) {
+  return [
+    "Degen RPS commitment salt v1",
+    "",
+    "Sign to derive the secret salt for your move. This does not send a transaction.",
+    "",
+    `Chain: ${chainId.toString()}`,
+    `Contract: ${ethers.getAddress(contractAddress)}`,
+    `Nonce: ${nonce.toString()}`,
+  ].join("\n");
+}
+
+async function signCached(signer, message) {
+  const address = await signer.getAddress();
+  const key = `${address.toLowerCase()}:${message}`;
+  if (!signatureCache.has(key)) {
+    signatureCache.set(key, await signer.signMessage(message));
+  }
+  return signatureCache.get(key);
+}
+
+export async function deriveSalt(signer, chainId, contractAddress, nonce) {
+  const signature = await signCached(
+    signer,
+    saltKeyMessage(await signer.getAddress())
+  );
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "uint256", "address", "uint256"],
+      [ethers.keccak256(signature), chainId, contractAddress, nonce]
+    )
+  );
+}
+
+async function deriveLegacySalt(signer, chainId, contractAddress, nonce) {
+  const signature = await signCached(
+    signer,
+    saltMessage(chainId, contractAddress, nonce)
+  );
+  return ethers.keccak256(signature);
+}
+
+// Move (frontend 0-2) whose commitment, in contract enum format, is commitment
+function matchMove(salt, commitment) {
+  return [0, 1, 2].find(
+    (move) =>
+      ethers
+        .keccak256(
+          ethers.solidityPacked(
+            ["uint8", "bytes32"],
+            [frontendToContractMove(move), salt]
+          )
+        )
+        .toLowerCase() === commitment.toLowerCase()
+  );
+}
+
+// A wallet that randomizes signatures (e.g. some smart-contract wallets) would
+// make the salt unrecoverable, so check once per address before relying on it.
+// The answer is kept in memory and in localStorage - the check costs two prompts.
+export function hasDeterministicSignatures(signer) {
+  return signer.getAddress().then((address) => {
+    const key = address.toLowerCase();
+    if (!deterministicChecks.has(key)) {
+      const check = checkDeterministicSignatures(signer, key);
+      deterministicChecks.set(key, check);
+      check.catch(() => deterministicChecks.delete(key));
+    }
+    return deterministicChecks.get(key);
+  });
+}
+
+async function checkDeterministicSignatures(signer, address) {
+  const storageKey = `deterministicSignatures:${address}`;
+  try {
+    const known = localStorage.getItem(storageKey);
+    if (known !== null) return known === "true";
+  } catch (error) {
+    console.warn("Could not read the signature check result:", error);
+  }
+
+  const message = `Degen RPS signature check\n\nAddress: ${ethers.getAddress(
+    address
+  )}`;
+  const first = await signer.signMessage(message);
+  const second = await signer.signMessage(message);
+  const deterministic = first === second;
+  try {
+    localStorage.setItem(storageKey, deterministic.toString());
+  } catch (error) {
+    console.warn("Could not store the signature check result:", error);
+  }
+  return deterministic;
+}
+
+function nonceStorageKey(chainId, contractAddress, address) {
+  return `saltNonce:${chainId}:${contractAddress.toLowerCase()}:${address.toLowerCase()}`;
+}
+
+// Nonce for a new game: the expected gameId, unless this browser already
+// handed it out or a stored game (usedNonces) has it - two games created
+// before either is mined would otherwise share a salt, and revealing one would
+// expose the other's move. The read and write of the high-water mark happen
+// in one task, so tabs sharing localStorage cannot take the same nonce.
+export async function reserveSaltNonce(signer, rpsContract, usedNonces = []) {
+  const [network, address, nextGameId] = await Promise.all([
+    signer.provider.getNetwork(),
+    signer.getAddress(),
+    rpsContract.nextGameId(),
+  ]);
+  const storageKey = nonceStorageKey(
+    network.chainId,
+    rpsContract.target,
+    address
+  );
+
+  let highest = -1n;
+  const stored = localStorage.getItem(storageKey);
+  for (const used of [stored, ...usedNonces]) {
+    if (used !== null && used !== undefined && BigInt(used) > highest) {
+      highest = BigInt(used);
+    }
+  }
+  const nonce = nextGameId > highest ? nextGameId : highest + 1n;
+  localStorage.setItem(storageKey, nonce.toString());
+  return { chainId: network.chainId, nonce };
+}
+
+// Hand back a nonce whose create never reached the chain (failed before
+// sending, rejected or reverted), so failed attempts don't push later nonces
+// out of the range recoverSaltAndMove scans. Only the latest reservation can
+// be undone - one taken after it keeps the mark where it is.
+export async function releaseSaltNonce(signer, rpsContract, nonce) {
+  const [network, address] = await Promise.all([
+    signer.provider.getNetwork(),
+    signer.getAddress(),
+  ]);
+  const storageKey = nonceStorageKey(
+    network.chainId,
+    rpsContract.target,
+    address
+  );
+  if (localStorage.getItem(storageKey) === nonce.toString()) {
+    localStorage.setItem(storageKey, (BigInt(nonce) - 1n).toString());
+  }
+}
+
+// Salt for a new game; falls back to random bytes if the wallet can't reproduce it
+// usedNonces are the saltNonces of the maker's stored games
+// Returns { salt, nonce, derived }
+export async function createGameSalt(signer, rpsContract, usedNonces = []) {
+  try {
+    if (await hasDeterministicSignatures(signer)) {
+      const { chainId, nonce } = await reserveSaltNonce(
+        signer,
+        rpsContract,
+        usedNonces
+      );
+      const salt = await deriveSalt(signer, chainId, rpsContract.target, nonce);
+      log(`🔑 Salt derived from wallet signature (nonce ${nonce})`);
+      return { salt, nonce: nonce.toString(), derived: true };
+    }
+    log(
+      "⚠️ Wallet signatures are not deterministic - using a random salt (keep this browser's data!)"
+    );
+  } catch (error) {
+    log(`⚠️ Could not derive salt from wallet: ${error.message}`);
+  }
+  return {
+    salt: ethers.hexlify(ethers.randomBytes(32)),
+    nonce: null,
+    derived: false,
+  };
+}
+
+// Re-derive salt and move for an existing game by matching its commitment
+// Tries nonce = gameId first, then earlier and a few later nonces - all from
+// the one salt key signature. Older v1 games need a signature per nonce.
+// Returns { salt, move, nonce } or null
+export async function recoverSaltAndMove(
+  signer,
+  rpsContract,
+  gameId,
+  commitment
+) {
+  const network = await signer.provider.getNetwork();
+  const gameIdBigInt = BigInt(gameId.toString());
+
+  const nonces = [];
+  for (let offset = 0n; offset <= BigInt(MAX_NONCE_LOOKBACK); offset++) {
+    if (gameIdBigInt - offset >= 0n) nonces.push(gameIdBigInt - offset);
+  }
+  for (let offset = 1n; offset <= BigInt(MAX_NONCE_LOOKAHEAD); offset++) {
+    nonces.push(gameIdBigInt + offset);
+  }
+
+  log("🔑 Re-deriving salt from wallet signature (one prompt)...");
+  for (const nonce of nonces) {
+    const salt = await deriveSalt(
+      signer,
+      network.chainId,
+      rpsContract.target,
+      nonce
+    );
+    const move = matchMove(salt, commitment);
+    if (move !== undefined) return { salt, move, nonce: nonce.toString() };
+  }
+
+  log(
+    `⚠️ No match - trying the older per-game salts: up to ${nonces.length} signature prompts`
+  );
+  for (const [index, nonce] of nonces.entries()) {
+    log(
+      `🔑 Signature ${index + 1} of up to ${nonces.length} (nonce ${nonce})...`
+    );
+    const salt = await deriveLegacySalt(
+      signer,
+      network.chainId,
+      rpsContract.target,
+      nonce
+    );
+    const move = matchMove(salt, commitment);
+    if (move !== undefined) return { salt, move, nonce: nonce.toString() };
+  }
+  return null;
+}
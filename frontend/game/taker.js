@@ -1,7 +1,15 @@
 import { ethers } from "ethers";
 import { log } from "../utils/logger.js";
 import { safeTokenCall, safeTokenCallWithParam } from "../utils/tokens.js";
-import { MOVE_NAMES, frontendToContractMove } from "../config/constants.js";
+import {
+  MOVE_NAMES,
+  GAME_STATE,
+  frontendToContractMove,
+} from "../config/constants.js";
+import { putTakerGame } from "../utils/gameStore.js";
+import { fetchGame } from "./decode.js";
+import { broadcast } from "../utils/tabSync.js";
+import { ERC20_FALLBACK_ABI } from "../config/abis.js";
 
 // Select move for a specific game (Taker)
 export function selectMoveForGame(
@@ -195,7 +203,7 @@ export async function joinGame(
     // Get game details to check bet amount and token
     let game;
     try {
-      game = await rpsContract.getGame(gameIdBigInt);
+      game = await fetchGame(rpsContract, gameIdBigInt);
       console.log("Game details:", game);
       log("✅ Game details retrieved");
     } catch (gameError) {
@@ -208,22 +216,15 @@ export async function joinGame(
       throw gameError;
     }
 
-    // Handle both array and object responses
-    const isArray =
-      Array.isArray(game) ||
-      (typeof game === "object" && game !== null && game.length !== undefined);
-    const tokenAddress = isArray ? game[2] : game.token;
-    const betAmount = isArray ? game[3] : game.betAmount;
-    const gameState_enum = isArray ? Number(game[8]) : Number(game.state);
+    const { token: tokenAddress, betAmount } = game;
 
     log(
-      `Game state: ${gameState_enum} (0=WaitingForPlayer2, 1=WaitingForReveal, 2=Settled)`
+      `Game state: ${game.state} (0=WaitingForPlayer2, 1=WaitingForReveal, 2=Settled)`
     );
 
     // Check game state
-    if (gameState_enum !== 0) {
-      // 0 = WaitingForPlayer2
-      log(`❌ Game is not available to join (state: ${gameState_enum})`);
+    if (game.state !== GAME_STATE.WAITING_FOR_PLAYER2) {
+      log(`❌ Game is not available to join (state: ${game.state})`);
       if (joinBtn) {
         joinBtn.disabled = originalBtnDisabled;
         joinBtn.innerHTML = originalBtnText;
@@ -232,16 +233,7 @@ export async function joinGame(
     }
 
     // Get token contract
-    let tokenABI = erc20ABI;
-    if (!tokenABI) {
-      tokenABI = [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-        "function balanceOf(address account) external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-        "function symbol() external view returns (string)",
-      ];
-    }
+    const tokenABI = erc20ABI || ERC20_FALLBACK_ABI;
     const tokenContract = new ethers.Contract(tokenAddress, tokenABI, signer);
     const decimals = await safeTokenCallFn(
       tokenContract,
@@ -429,6 +421,11 @@ export async function joinGame(
       log("📤 Calling rpsContract.joinGame()...");
       joinTx = await rpsContract.joinGame(gameIdBigInt, moveEnum);
       log(`✅ Transaction sent! Hash: ${joinTx.hash}`);
+      broadcast("tx-submitted", {
+        action: "join",
+        gameId: gameIdBigInt.toString(),
+        hash: joinTx.hash,
+      });
       console.log("Transaction object:", joinTx);
     } catch (txError) {
       if (
@@ -455,6 +452,12 @@ export async function joinGame(
       joinReceipt = await joinTx.wait();
       log(`✅ Transaction confirmed in block ${joinReceipt.blockNumber}`);
       log(`🎉 Successfully joined game ${gameIdBigInt}!`);
+      broadcast("tx-confirmed", {
+        action: "join",
+        gameId: gameIdBigInt.toString(),
+        hash: joinTx.hash,
+        state: GAME_STATE.WAITING_FOR_REVEAL,
+      });
     } catch (waitError) {
       log(`❌ Transaction failed: ${waitError.message}`);
       if (waitError.receipt) {
@@ -467,6 +470,13 @@ export async function joinGame(
       throw waitError;
     }
 
+    // Track the joined game so its commitment is known after settlement
+    try {
+      await putTakerGame(gameIdBigInt, game.commitment, betAmount);
+    } catch (error) {
+      console.warn("Could not save joined game:", error);
+    }
+
     // Update game state
     gameState.gameId = gameIdBigInt.toString();
     gameState.role = "taker";
@@ -12,6 +12,8 @@ const rpcUrl = process.env.VITE_RPC_URL;
 const degenRPSAddress = process.env.VITE_DEGEN_RPS_ADDRESS;
 const token0Address = process.env.VITE_TOKEN0_ADDRESS;
 const token1Address = process.env.VITE_TOKEN1_ADDRESS;
+const verifierAddress = process.env.VITE_VERIFIER_ADDRESS;
+const verifierVkHash = process.env.VITE_VERIFIER_VK_HASH;
 
 // If no env vars are set, ensure we still have a valid deployments.json
 // This is important for Vercel builds where files must exist
@@ -37,37 +39,75 @@ try {
   existingDeployments = {};
 }
 
-// Build deployments object
-const deployments = {
-  chainId: chainId || existingDeployments.chainId || '11155111',
-  rpcUrl: rpcUrl || existingDeployments.rpcUrl || 'https://sepolia.infura.io/v3/4656866d4b76456fb395cd6c1b744830',
+// deployments.json is a multi-chain manifest (see utils/manifest.js). A
+// pre-manifest single-chain file becomes its only chain.
+const deployments = existingDeployments.chains
+  ? existingDeployments
+  : {
+      version: 2,
+      defaultChainId: existingDeployments.chainId?.toString() || '11155111',
+      chains: existingDeployments.chainId
+        ? {
+            [existingDeployments.chainId]: {
+              rpcUrl: existingDeployments.rpcUrl,
+              deploymentBlock: existingDeployments.contracts?.degenRPS?.blockNumber ?? null,
+              contracts: existingDeployments.contracts || {},
+            },
+          }
+        : {},
+    };
+
+// Env vars override one chain - VITE_CHAIN_ID (which also becomes the default), else the default
+const targetChainId = (chainId || deployments.defaultChainId || '11155111').toString();
+if (chainId) deployments.defaultChainId = targetChainId;
+const existingChain = deployments.chains[targetChainId] || {};
+const chain = {
+  ...existingChain,
+  // No built-in default: validate-deployments.js fails the build if the chain has no RPC URL
+  rpcUrl: rpcUrl || existingChain.rpcUrl,
   contracts: {
-    ...(existingDeployments.contracts || {}),
+    ...(existingChain.contracts || {}),
   }
 };
+deployments.chains[targetChainId] = chain;
 
 // Update contract addresses from env vars if provided
 if (degenRPSAddress) {
-  deployments.contracts.degenRPS = {
-    ...(existingDeployments.contracts?.degenRPS || {}),
+  chain.contracts.degenRPS = {
+    ...(existingChain.contracts?.degenRPS || {}),
     address: degenRPSAddress
   };
 }
 
 if (token0Address) {
-  deployments.contracts.token0 = {
-    ...(existingDeployments.contracts?.token0 || {}),
+  chain.contracts.token0 = {
+    ...(existingChain.contracts?.token0 || {}),
     address: token0Address
   };
 }
 
 if (token1Address) {
-  deployments.contracts.token1 = {
-    ...(existingDeployments.contracts?.token1 || {}),
+  chain.contracts.token1 = {
+    ...(existingChain.contracts?.token1 || {}),
     address: token1Address
   };
 }
 
+// vkHash is keccak256 of the verification key the verifier was generated from
+// (degen-rps/src/Verifier.vkhash, from circuit/regenerate-verifier.sh); the frontend checks circuit.json against it
+if (verifierAddress || verifierVkHash) {
+  const existingVerifier = { ...(existingChain.contracts?.verifier || {}) };
+  // A different verifier was generated from the current circuit, not the recorded one
+  if (verifierAddress && verifierAddress.toLowerCase() !== existingVerifier.address?.toLowerCase()) {
+    delete existingVerifier.circuit;
+  }
+  chain.contracts.verifier = {
+    ...existingVerifier,
+    ...(verifierAddress ? { address: verifierAddress } : {}),
+    ...(verifierVkHash ? { vkHash: verifierVkHash } : {}),
+  };
+}
+
 // Write deployments.json to both root (for git) and public (for Vite build)
 const rootPath = join(__dirname, 'deployments.json');
 const publicDir = join(__dirname, 'public');
@@ -102,9 +142,12 @@ if (!existsSync(publicPath)) {
 }
 
 console.log('✅ Generated deployments.json from environment variables');
-console.log(`   Chain ID: ${deployments.chainId}`);
-console.log(`   RPC URL: ${deployments.rpcUrl}`);
-console.log(`   Contracts found: ${Object.keys(deployments.contracts || {}).length}`);
+console.log(`   Chains: ${Object.keys(deployments.chains).join(', ')} (default ${deployments.defaultChainId})`);
+console.log(`   Chain ID: ${targetChainId}`);
+console.log(`   RPC URL: ${chain.rpcUrl || '(not set)'}`);
+console.log(`   Contracts found: ${Object.keys(chain.contracts || {}).length}`);
 if (degenRPSAddress) console.log(`   DegenRPS: ${degenRPSAddress}`);
 if (token0Address) console.log(`   Token0: ${token0Address}`);
 if (token1Address) console.log(`   Token1: ${token1Address}`);
+if (verifierAddress) console.log(`   Verifier: ${verifierAddress}`);
+if (verifierVkHash) console.log(`   Verifier vk hash: ${verifierVkHash}`);
@@ -9,12 +9,12 @@ import {
   getTimeAgo,
   formatTimeRemaining,
 } from "./utils/network.js";
-import { connectWallet as connectWalletFromModule } from "./utils/wallet.js";
 import {
-  saveMakerGame,
-  getMakerGames,
-  getTakerGames,
-} from "./utils/storage.js";
+  connectWallet as connectWalletFromModule,
+  getEthereumProvider,
+  onWalletEvent,
+  renderWalletInfo,
+} from "./utils/wallet.js";
 import {
   safeTokenCall,
   safeTokenCallWithParam,
@@ -25,8 +25,12 @@ import {
 import {
   loadDeployments as loadDeploymentsFromModule,
   initializeContracts as initializeContractsFromModule,
+  initializeReadOnlyContracts,
   updateContractAddressDisplay,
   initNoir as initNoirFromModule,
+  circuitPathFor,
+  checkVerifierCompatibility,
+  updateVerifierCompatibilityDisplay,
 } from "./utils/contracts.js";
 
 // Import game modules
@@ -56,8 +60,42 @@ import {
   loadAwaitingRevealGames,
   loadCompletedGames,
   loadAllTakerGames,
+  loadGameStats,
+  loadRecentSettlements,
+  applyGameUpdate,
 } from "./ui/games.js";
 import { createTimers } from "./ui/timers.js";
+import { createGameEventSubscription } from "./utils/gameEvents.js";
+import {
+  onClockSync,
+  startChainClock,
+  stopChainClock,
+} from "./utils/chainClock.js";
+import { createProofScheduler } from "./game/pregen.js";
+import { downloadProofBundle } from "./game/bundle.js";
+import {
+  setupVaultControls,
+  setupBackupControls,
+  setupOrphanControls,
+  setupReconcileControls,
+} from "./ui/vault.js";
+import { renderNetworkSelector } from "./ui/network.js";
+import { selectChain } from "./utils/manifest.js";
+import {
+  ensureVaultUnlocked,
+  onVaultChange,
+  lockVault,
+  setVaultAccount,
+} from "./utils/vault.js";
+import {
+  setStoreContext,
+  clearStoreContext,
+  claimUnscopedGames,
+  getProofBundle,
+} from "./utils/gameStore.js";
+import { broadcast, onSync, withTabLock } from "./utils/tabSync.js";
+import { reconcileStoredGames } from "./game/reconcile.js";
+import { setIndexStartBlock, syncGameIndex } from "./game/indexer.js";
 import {
   switchView as switchViewFromModule,
   updateGameStatus as updateGameStatusFromModule,
@@ -75,6 +113,7 @@ import {
 
 // Circuit will be loaded dynamically
 let circuit = null;
+let circuitPath = null; // Where circuit was loaded from
 
 // Game state
 let gameState = {
@@ -95,8 +134,13 @@ let selectedMovesByGame = {}; // Track which games have moves selected: { gameId
 // Timer functions (created from ui/timers.js)
 let timers = null;
 
-let noir = null;
-let backend = null;
+let prover = null; // Proving worker handle (owns Noir and backend)
+let verifierCheck = null; // Circuit vs deployed verifier compatibility result
+let reconciledContext = null; // Store context already reconciled this session
+// Pre-generates reveal proofs as soon as a taker joins one of our games
+const proofScheduler = createProofScheduler(() =>
+  verifierCheck?.compatible === false ? null : prover
+);
 let provider = null;
 let signer = null;
 
@@ -115,7 +159,8 @@ let DEPLOYED_CHAIN_ID = null;
 let DEPLOYED_RPC_URL = null;
 
 // Deployments data (loaded from deployments.json)
-let deployments = null;
+let deployments = null; // The selected chain's block of the manifest
+let manifest = null; // Every chain in deployments.json
 
 // ERC20 ABI (will be loaded from deployments or use fallback)
 let erc20ABI = null;
@@ -131,6 +176,12 @@ async function loadDeployments() {
       TOKEN1_ADDRESS = loaded.TOKEN1_ADDRESS;
       RPS_ADDRESS = loaded.RPS_ADDRESS;
       deployments = loaded.deployments;
+      manifest = loaded.manifest;
+      setIndexStartBlock(
+        RPS_ADDRESS,
+        deployments?.contracts?.degenRPS?.blockNumber || 0
+      );
+      renderNetworkSelector(manifest, DEPLOYED_CHAIN_ID, switchNetwork);
     }
     await updateContractAddressDisplay(
       rpsContract,
@@ -148,12 +199,22 @@ async function loadDeployments() {
 // Initialize Noir
 async function initNoir() {
   try {
-    const noirResult = await initNoirFromModule();
+    // Each chain proves with the circuit its verifier was generated from
+    const path = circuitPathFor(deployments);
+    const noirResult = await initNoirFromModule(path);
     if (noirResult) {
       circuit = noirResult.circuit;
-      noir = noirResult.noir;
-      backend = noirResult.backend;
+      circuitPath = path;
+      prover = noirResult.prover;
+      // A stale circuit would only surface as an "Invalid ZK proof" revert
+      verifierCheck = await checkVerifierCompatibility(
+        prover,
+        deployments,
+        DEPLOYED_RPC_URL
+      );
+      updateVerifierCompatibilityDisplay(verifierCheck);
     }
+    return noirResult;
   } catch (error) {
     log(`❌ Error initializing Noir: ${error.message}`);
     log("💡 Make sure circuit.json exists in frontend/target/");
@@ -171,7 +232,7 @@ async function ensureCorrectNetwork() {
     initializeContracts
   );
   if (result && provider) {
-    provider = new ethers.BrowserProvider(window.ethereum);
+    provider = new ethers.BrowserProvider(getEthereumProvider());
     if (signer) {
       signer = await provider.getSigner();
       await initializeContracts();
@@ -196,6 +257,17 @@ async function initializeContracts(signerParam = null) {
   }
 
   try {
+    // Bound to a wallet on another chain, the contracts and the store context
+    // would point at the wrong network
+    const { chainId: walletChainId } =
+      await currentSigner.provider.getNetwork();
+    if (walletChainId.toString() !== DEPLOYED_CHAIN_ID) {
+      log(
+        `⚠️ Wallet is on chain ${walletChainId}, not ${DEPLOYED_CHAIN_ID} - read-only until it switches`
+      );
+      return null;
+    }
+
     const contracts = await initializeContractsFromModule(
       currentSigner,
       deployments,
@@ -212,6 +284,30 @@ async function initializeContracts(signerParam = null) {
       if (signerParam && signerParam !== signer) {
         signer = signerParam;
       }
+      // Stored games are scoped to this chain, contract and account, and the
+      // vault to the account
+      setStoreContext({
+        chainId: DEPLOYED_CHAIN_ID,
+        contract: rpsContract.target,
+        account: await currentSigner.getAddress(),
+      });
+      await setVaultAccount(await currentSigner.getAddress());
+      await claimUnscopedGames(rpsContract).catch((error) =>
+        console.warn("Could not claim unscoped games:", error)
+      );
+      proofScheduler.start(rpsContract, currentSigner);
+      startLiveUpdates();
+
+      // Catch stored games up with the chain once per context, in the background
+      const contextKey = `${DEPLOYED_CHAIN_ID}:${
+        rpsContract.target
+      }:${await currentSigner.getAddress()}`;
+      if (reconciledContext !== contextKey) {
+        reconciledContext = contextKey;
+        reconcileStoredGames(rpsContract).catch((error) =>
+          console.warn("Reconciliation failed:", error)
+        );
+      }
     }
     await updateContractAddressDisplay(
       rpsContract,
@@ -228,6 +324,53 @@ async function initializeContracts(signerParam = null) {
   }
 }
 
+// Browse without a wallet: read-only contracts on the deployments RPC
+async function initializeReadOnly() {
+  const contracts = await initializeReadOnlyContracts(
+    deployments,
+    DEPLOYED_RPC_URL,
+    RPS_ADDRESS,
+    TOKEN0_ADDRESS,
+    TOKEN1_ADDRESS
+  );
+  // Contracts bound to a wallet win
+  if (!contracts || (signer && rpsContract)) return;
+  rpsContract = contracts.rpsContract;
+  token0Contract = contracts.token0Contract;
+  token1Contract = contracts.token1Contract;
+  erc20ABI = contracts.erc20ABI;
+  log(
+    "👀 Read-only mode - connect a wallet to create, join, reveal or withdraw"
+  );
+  await loadPublicGames();
+  startLiveUpdates();
+}
+
+// Stats and recent settlements - public, so they load with or without a wallet
+async function loadPublicGames() {
+  if (!rpsContract) return;
+  await syncGameIndex(rpsContract).catch((error) =>
+    console.warn("Could not update the game index:", error)
+  );
+  await renderPublicGames();
+}
+
+// Both read the game index only - callers sync it first
+async function renderPublicGames() {
+  await Promise.all([
+    loadGameStats(rpsContract),
+    loadRecentSettlements(rpsContract, erc20ABI),
+  ]);
+}
+
+// Write actions ask for a wallet only when they are used
+async function requireWallet(action) {
+  if (signer) return true;
+  log(`🔗 Connect a wallet to ${action}`);
+  await connectWallet();
+  return !!signer;
+}
+
 // connectWallet is imported from utils/wallet.js
 async function connectWallet() {
   const providerRef = { current: provider };
@@ -253,7 +396,6 @@ async function connectWallet() {
         withdrawPrize
       ),
     () => loadAllTakerGamesHelper(),
-    startAutoRefresh,
     currentView,
     providerRef,
     signerRef
@@ -306,19 +448,16 @@ function updateButtonStates() {
 
 // createMakerGame is imported from game/maker.js - call it directly with all parameters
 
-// LocalStorage functions are now imported from utils/storage.js
-// Using: saveMakerGame, getMakerGames, getTakerGames from modules
+// Tracked games live in IndexedDB - see utils/gameStore.js
 
 // Timer functions are imported from ui/timers.js
 // Initialize timers after contracts are ready
 function initializeTimers() {
   if (!timers && rpsContract) {
     timers = createTimers(
-      rpsContract,
+      () => rpsContract, // Getter - the read-only contract is replaced on connect
       activeGamesData,
-      selectedMovesByGame,
-      () => loadAllTakerGamesHelper(),
-      signer
+      selectedMovesByGame
     );
   }
 }
@@ -337,17 +476,59 @@ function stopActiveGamesTimer() {
   }
 }
 
-function startAutoRefresh() {
-  initializeTimers();
-  if (timers) {
-    timers.startAutoRefresh();
-  }
+// Game lists follow DegenRPS events, and fall back to polling the visible
+// lists while the tab is hidden or the RPC cannot filter logs
+const gameEvents = createGameEventSubscription(
+  () => rpsContract,
+  applyGameEvents,
+  () => reloadVisibleLists()
+);
+
+function startLiveUpdates() {
+  gameEvents
+    .start()
+    .catch((error) => console.warn("Could not start live updates:", error));
+  startChainClock(rpsContract?.runner?.provider).catch((error) =>
+    console.warn("Could not start the chain clock:", error)
+  );
 }
 
-function stopAutoRefresh() {
-  if (timers) {
-    timers.stopAutoRefresh();
+// Deadline-based buttons are drawn once per card, so redraw the lists when
+// block time jumps (e.g. evm_increaseTime on anvil)
+onClockSync(({ jumped }) => {
+  if (!jumped) return;
+  reloadVisibleLists().catch((error) =>
+    console.warn("Could not redraw games after a time jump:", error)
+  );
+});
+
+// Redraw only the cards of the games the events touched
+async function applyGameEvents(gameIds) {
+  const openGameCount = activeGamesData.length;
+  await syncGameIndex(rpsContract).catch((error) =>
+    console.warn("Could not update the game index:", error)
+  );
+  for (const gameId of gameIds) {
+    await applyGameUpdate(
+      signer,
+      rpsContract,
+      erc20ABI,
+      provider,
+      gameId,
+      (id, move) => window.joinGame(id, move),
+      activeGamesData,
+      selectedMovesByGame
+    ).catch((error) => console.warn(`Could not update game ${gameId}:`, error));
+  }
+  // Countdowns on open games only run while there are some
+  if (openGameCount === 0 && activeGamesData.length > 0) {
+    await startActiveGamesTimer();
+  }
+  if (gameIds.includes(gameState.gameId?.toString())) {
+    await updateGameStatus();
   }
+  // The index was synced above
+  await renderPublicGames();
 }
 
 // loadActiveGames, loadAwaitingRevealGames, loadCompletedGames, loadAllTakerGames are imported from ui/games.js
@@ -360,7 +541,7 @@ async function loadTakerAvailableGames() {
     provider,
     initializeContracts,
     startActiveGamesTimer,
-    startAutoRefresh,
+    startLiveUpdates,
     (gameId, move) => window.joinGame(gameId, move),
     stopActiveGamesTimer,
     activeGamesData,
@@ -377,7 +558,7 @@ async function loadAllTakerGamesHelper() {
     provider,
     initializeContracts,
     startActiveGamesTimer,
-    startAutoRefresh,
+    startLiveUpdates,
     (gameId, move) => window.joinGame(gameId, move),
     stopActiveGamesTimer,
     activeGamesData,
@@ -401,6 +582,7 @@ window.selectMoveForGame = function (gameIdDisplay, move, gameId) {
 };
 
 window.joinGame = async function (gameId, move) {
+  if (!(await requireWallet("join a game"))) return;
   await joinGame(
     gameId,
     move,
@@ -442,34 +624,67 @@ window.joinGame = async function (gameId, move) {
 // determineWinnerLocal and serializeProof are now imported from game/proof.js
 // revealMakerMove is imported from game/reveal.js
 async function revealMakerMove(gameId, commitmentHash) {
-  await revealMakerMoveFromModule(
-    gameId,
-    commitmentHash,
-    signer,
-    rpsContract,
-    noir,
-    backend,
-    erc20ABI,
-    gameState,
-    ensureCorrectNetwork,
-    frontendToContractMove,
-    () =>
-      loadMakerGames(
-        signer,
-        rpsContract,
-        erc20ABI,
-        revealMakerMove,
-        withdrawPrize
-      )
+  if (!(await requireWallet("reveal"))) return;
+  if (verifierCheck?.compatible === false) {
+    log(`❌ Reveal blocked: ${verifierCheck.reason}`);
+    return;
+  }
+  // Only one open tab may reveal a given game
+  const { acquired } = await withTabLock(`reveal:${gameId}`, () =>
+    revealMakerMoveFromModule(
+      gameId,
+      commitmentHash,
+      signer,
+      rpsContract,
+      prover,
+      erc20ABI,
+      gameState,
+      ensureCorrectNetwork,
+      frontendToContractMove,
+      () =>
+        loadMakerGames(
+          signer,
+          rpsContract,
+          erc20ABI,
+          revealMakerMove,
+          withdrawPrize
+        ),
+      proofScheduler
+    )
   );
+  if (!acquired) {
+    log(`⏳ Game ${gameId} is already being revealed in another tab`);
+  }
 }
 
 // Make revealMakerMove available globally for onclick handlers
 window.revealMakerMove = revealMakerMove;
 
+// Download the proof bundle saved when the game was revealed
+window.downloadProofBundle = async function (gameId) {
+  let bundle;
+  try {
+    if (!(await ensureVaultUnlocked(signer))) {
+      log("🔒 Unlock the vault to download the proof bundle");
+      return;
+    }
+    bundle = await getProofBundle(gameId);
+  } catch (error) {
+    log(`❌ Could not read the proof bundle: ${error.message}`);
+    return;
+  }
+  if (!bundle) {
+    log(`❌ No proof bundle saved for game ${gameId}`);
+    return;
+  }
+  downloadProofBundle(bundle);
+  log(`📦 Proof bundle for game ${gameId} downloaded`);
+};
+
 // Withdraw prize (for winners or ties)
-window.withdrawPrize = async function (gameId) {
-  if (!signer || !rpsContract) {
+async function withdrawPrize(gameId) {
+  if (!(await requireWallet("withdraw"))) return;
+  if (!rpsContract) {
     log("❌ Contracts not initialized");
     return;
   }
@@ -478,10 +693,22 @@ window.withdrawPrize = async function (gameId) {
     log(`💰 Withdrawing prize for game ${gameId}...`);
     const withdrawTx = await rpsContract.withdraw(gameId);
     log(`📤 Transaction sent: ${withdrawTx.hash}`);
+    broadcast("tx-submitted", {
+      action: "withdraw",
+      gameId: gameId.toString(),
+      hash: withdrawTx.hash,
+    });
     const receipt = await withdrawTx.wait();
     log(
       `✅ Prize withdrawn! Transaction confirmed in block ${receipt.blockNumber}`
     );
+    // withdraw() deletes the game struct
+    broadcast("tx-confirmed", {
+      action: "withdraw",
+      gameId: gameId.toString(),
+      hash: withdrawTx.hash,
+      state: null,
+    });
 
     // Refresh games list - check which view is active
     const makerView = document.getElementById("makerView");
@@ -503,11 +730,13 @@ window.withdrawPrize = async function (gameId) {
     log(`❌ Error withdrawing prize: ${error.message}`);
     console.error("Withdraw error:", error);
   }
-};
+}
+window.withdrawPrize = withdrawPrize;
 
 // Claim refund (for player 2 when player 1 fails to reveal)
 window.claimRefund = async function (gameId) {
-  if (!signer || !rpsContract) {
+  if (!(await requireWallet("claim a refund"))) return;
+  if (!rpsContract) {
     log("❌ Contracts not initialized");
     return;
   }
@@ -522,10 +751,21 @@ window.claimRefund = async function (gameId) {
     log(`💰 Claiming refund for game ${gameId}...`);
     const refundTx = await rpsContract.refund(gameId);
     log(`📤 Transaction sent: ${refundTx.hash}`);
+    broadcast("tx-submitted", {
+      action: "refund",
+      gameId: gameId.toString(),
+      hash: refundTx.hash,
+    });
     const receipt = await refundTx.wait();
     log(
       `✅ Refund claimed! Transaction confirmed in block ${receipt.blockNumber}`
     );
+    broadcast("tx-confirmed", {
+      action: "refund",
+      gameId: gameId.toString(),
+      hash: refundTx.hash,
+      state: GAME_STATE.SETTLED,
+    });
 
     // Refresh games list - check which view is active
     const makerView = document.getElementById("makerView");
@@ -622,29 +862,252 @@ function setupEventListeners() {
     initializeContracts,
     loadDeployments,
     () => DEPLOYED_CHAIN_ID, // Getter function
-    () => noir, // Getter function
-    () => backend, // Getter function
+    () => prover, // Getter function
     () => TOKEN0_ADDRESS, // Getter function
     initNoir,
     revealMakerMove,
     withdrawPrize,
     updateMakerMoveStatus,
-    updateMakerButtonStates
+    updateMakerButtonStates,
+    requireWallet
   );
 }
 
-// Listen for network changes
-if (typeof window.ethereum !== "undefined") {
-  window.ethereum.on("chainChanged", async (chainId) => {
-    log(`🔄 Network changed to Chain ID: ${parseInt(chainId, 16)}`);
-    if (provider) {
-      provider = new ethers.BrowserProvider(window.ethereum);
-      if (signer) {
-        signer = await provider.getSigner();
-        await initializeContracts();
-      }
+// Listen for network changes on the selected wallet. The page follows the
+// wallet to any chain in the manifest; on any other chain it stays on its own
+// chain, read-only, until the wallet comes back.
+onWalletEvent("chainChanged", async (chainIdHex) => {
+  const chainId = normalizeChainId(chainIdHex);
+  log(`🔄 Network changed to Chain ID: ${chainId}`);
+  await lockVault();
+  if (!provider) return;
+  provider = new ethers.BrowserProvider(getEthereumProvider());
+  if (!signer) return;
+  signer = await provider.getSigner();
+
+  if (chainId === DEPLOYED_CHAIN_ID) {
+    await initializeContracts();
+    return;
+  }
+  if (manifest?.chains?.[chainId]) {
+    await switchNetwork(chainId);
+    return;
+  }
+
+  log(
+    `⚠️ DegenRPS is not deployed on chain ${chainId} - browsing ${getNetworkName(
+      DEPLOYED_CHAIN_ID
+    )} read-only until the wallet switches back`
+  );
+  resetGameSession();
+  rpsContract = null;
+  token0Contract = null;
+  token1Contract = null;
+  clearStoreContext();
+  try {
+    await initializeReadOnly();
+    updateStepCheckmarks();
+    await updateGameStatus();
+    await reloadVisibleLists();
+  } catch (error) {
+    console.error("Error going read-only after a network change:", error);
+  }
+});
+
+// Reload the lists of the visible view and the public stats
+async function reloadVisibleLists() {
+  if (!rpsContract) return;
+  const makerView = document.getElementById("makerView");
+  const takerView = document.getElementById("takerView");
+  if (makerView && !makerView.classList.contains("hidden")) {
+    await loadMakerGames(
+      signer,
+      rpsContract,
+      erc20ABI,
+      revealMakerMove,
+      withdrawPrize
+    );
+  }
+  if (takerView && !takerView.classList.contains("hidden")) {
+    await loadAllTakerGamesHelper();
+  }
+  await loadPublicGames();
+}
+
+// Drop everything tied to the current account and chain: pending proofs,
+// live updates, timers, selected moves, the game in progress and the maker's
+// balance
+function resetGameSession() {
+  proofScheduler.stop();
+  gameEvents.stop();
+  stopChainClock();
+  stopActiveGamesTimer(); // Also clears activeGamesData and selectedMovesByGame
+  for (const key of Object.keys(gameState)) {
+    gameState[key] = null;
+  }
+  updateMakerMoveStatus(gameState);
+  updateMakerButtonStates(gameState);
+  for (const id of ["makerTokenBalance", "makerApprovalStatus"]) {
+    const element = document.getElementById(id);
+    if (element) element.innerHTML = "";
+  }
+}
+
+// Move the page to another chain from the manifest: deployments, contracts,
+// store context, verifier check and lists all follow the selection
+async function switchNetwork(chainId) {
+  if (chainId === DEPLOYED_CHAIN_ID) return;
+  selectChain(chainId);
+  log(`🔀 Switching to ${getNetworkName(chainId)} (Chain ID: ${chainId})...`);
+
+  await lockVault();
+  resetGameSession();
+  rpsContract = null;
+  token0Contract = null;
+  token1Contract = null;
+  clearStoreContext();
+
+  try {
+    await loadDeployments();
+    const tokenAddressInput = document.getElementById("makerTokenAddress");
+    if (tokenAddressInput) {
+      tokenAddressInput.value =
+        document.getElementById("makerTokenSelect")?.value || "";
+    }
+    if (prover && circuitPath !== circuitPathFor(deployments)) {
+      // This chain's verifier expects the other circuit
+      prover.terminate();
+      prover = null;
+      verifierCheck = null;
+      await initNoir();
+    } else if (prover) {
+      verifierCheck = await checkVerifierCompatibility(
+        prover,
+        deployments,
+        DEPLOYED_RPC_URL
+      );
+      updateVerifierCompatibilityDisplay(verifierCheck);
+    }
+    // Asks the wallet to follow and rebinds the contracts if it does
+    if (signer && !(await ensureCorrectNetwork())) {
+      log(
+        "⚠️ Wallet is on another network - browsing read-only until it switches"
+      );
+    }
+    await initializeReadOnly();
+    if (signer && rpsContract?.runner === signer) {
+      await updateMakerTokenBalance(
+        signer,
+        token0Contract,
+        token1Contract,
+        TOKEN0_ADDRESS,
+        TOKEN1_ADDRESS,
+        provider
+      );
     }
-  });
+    updateStepCheckmarks();
+    await updateGameStatus();
+    await reloadVisibleLists();
+  } catch (error) {
+    log(`❌ Error switching network: ${error.message}`);
+    console.error("Network switch error:", error);
+  }
+}
+
+// The wallet switched accounts or disconnected. Contracts, the game store
+// context, the proof scheduler and per-account caches follow the new identity.
+onWalletEvent("accountsChanged", async (accounts) => {
+  if (!signer) return; // Not connected on this page yet
+  const previousAddress = await signer.getAddress();
+
+  await lockVault();
+  resetGameSession();
+
+  let address = null;
+  if (accounts.length === 0) {
+    signer = null;
+    clearStoreContext();
+    await setVaultAccount(null);
+    log("⚠️ Wallet disconnected - back to read-only mode");
+    await initializeReadOnly();
+  } else {
+    try {
+      provider = new ethers.BrowserProvider(getEthereumProvider());
+      signer = await provider.getSigner();
+      address = await signer.getAddress();
+      log(
+        `👤 Account changed: ${previousAddress.slice(
+          0,
+          6
+        )}...${previousAddress.slice(-4)} → ${address.slice(
+          0,
+          6
+        )}...${address.slice(-4)}`
+      );
+      // Rebinds the contracts and rescopes the game store
+      await initializeContracts();
+      await updateMakerTokenBalance(
+        signer,
+        token0Contract,
+        token1Contract,
+        TOKEN0_ADDRESS,
+        TOKEN1_ADDRESS,
+        provider
+      );
+    } catch (error) {
+      signer = null;
+      clearStoreContext();
+      await setVaultAccount(null);
+      log(`❌ Error switching account: ${error.message}`);
+      await initializeReadOnly();
+    }
+  }
+
+  renderWalletInfo(address, previousAddress);
+  updateStepCheckmarks();
+  await updateGameStatus();
+  try {
+    await reloadVisibleLists();
+  } catch (error) {
+    console.error("Error reloading lists after account change:", error);
+  }
+});
+
+// Another tab changed stored games or sent a transaction - refresh the lists
+// of the visible view, at most once per burst of messages
+let syncRefreshTimeout = null;
+function scheduleSyncRefresh() {
+  clearTimeout(syncRefreshTimeout);
+  syncRefreshTimeout = setTimeout(async () => {
+    try {
+      await reloadVisibleLists();
+    } catch (error) {
+      console.error("Error refreshing after tab sync:", error);
+    }
+  }, 500);
+}
+
+function handleSyncMessage(message) {
+  if (message.type === "tx-submitted") {
+    log(
+      `📡 Another tab sent a ${message.action} transaction${
+        message.gameId ? ` for game ${message.gameId}` : ""
+      }: ${message.hash}`
+    );
+    return;
+  }
+  if (message.type === "tx-confirmed") {
+    log(
+      `📡 ${message.action} confirmed in another tab${
+        message.gameId ? ` (game ${message.gameId})` : ""
+      }`
+    );
+    // The status card reads the chain again for the current game
+    if (message.gameId && message.gameId === gameState.gameId?.toString()) {
+      updateGameStatus();
+    }
+  }
+  scheduleSyncRefresh();
 }
 
 // Initialize on load
@@ -653,8 +1116,29 @@ async function init() {
     // Setup event listeners FIRST, before any async operations
     // This ensures buttons work even if deployment loading fails
     setupEventListeners();
+    setupVaultControls(() => signer);
+    setupBackupControls(
+      () => signer,
+      () => rpsContract
+    );
+    setupOrphanControls(() => manifest);
+    setupReconcileControls(() => rpsContract);
+    document
+      .getElementById("publicRefreshBtn")
+      ?.addEventListener("click", () => loadPublicGames());
+    onSync(handleSyncMessage);
+    // Secrets only become readable on unlock - catch up on proof pre-generation
+    onVaultChange((unlocked) => {
+      if (unlocked && rpsContract && signer) {
+        proofScheduler.start(rpsContract, signer);
+      }
+    });
 
     await loadDeployments();
+    // Open games and stats are public - show them before any wallet prompt
+    await initializeReadOnly().catch((error) =>
+      log(`⚠️ Read-only mode unavailable: ${error.message}`)
+    );
     await initNoir();
     log("🚀 Swap RPS application ready!");
   } catch (error) {
@@ -1,5 +1,7 @@
 import { log } from "../utils/logger.js";
 import { ethers } from "ethers";
+import { fetchGame } from "../game/decode.js";
+import { GAME_STATE } from "../config/constants.js";
 
 // Switch between Maker and Taker views
 export function switchView(
@@ -67,9 +69,8 @@ export function switchView(
     makerTabBtn?.classList.add("bg-gray-200", "text-gray-700");
     // Load taker's games when switching to taker view
     // Timer will be started by loadActiveGames()
-    if (signer) {
-      loadAllTakerGames();
-    }
+    // Open games are public, so this runs in read-only mode too
+    loadAllTakerGames();
   }
 }
 
@@ -106,42 +107,35 @@ export async function updateGameStatus(
     // Try to get status from DegenRPS contract if we have gameId
     if (gameState.gameId && rpsContract) {
       try {
-        game = await rpsContract.getGame(gameState.gameId);
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" && game.length !== undefined);
-        const status = isArray ? game[3] : game.status;
-        const statusNum = Number(status);
-
-        switch (statusNum) {
-          case 0: // WaitingForPlayer
-            statusText = "Waiting for Player 2";
-            statusColor = "yellow";
-            details = "Waiting for Player 2 to join with opposite swap.";
-            break;
-          case 1: // Committed
-            statusText = "Committed";
-            statusColor = "blue";
-            details = "Player 1 committed move. Waiting for Player 2...";
-            break;
-          case 2: // Revealed (Player 2 joined, waiting for reveal)
-            statusText = "Waiting for Reveal";
-            statusColor = "orange";
-            details = "Player 2 has joined. Player 1 must reveal their move.";
-            break;
-          case 3: // Completed
-            statusText = "Completed";
-            statusColor = "green";
-            const winner = isArray ? game[7] : game.winner;
-            const winnerNum = Number(winner);
-            if (winnerNum === 0) {
-              details = "Game completed: It's a tie! 🤝";
-            } else if (winnerNum === gameState.playerNumber) {
-              details = "Game completed: You won! 🎉";
-            } else {
-              details = "Game completed: You lost. 😔";
-            }
-            break;
+        game = await fetchGame(rpsContract, BigInt(gameState.gameId));
+
+        if (!game.exists) {
+          // withdraw() deletes the game once the pot is paid out
+          statusText = "Completed";
+          statusColor = "green";
+          details = "Game completed: the prize has been withdrawn.";
+        } else if (game.state === GAME_STATE.WAITING_FOR_PLAYER2) {
+          statusText = "Waiting for Player 2";
+          statusColor = "yellow";
+          details = "Waiting for Player 2 to join with opposite swap.";
+        } else if (game.state === GAME_STATE.WAITING_FOR_REVEAL) {
+          statusText = "Waiting for Reveal";
+          statusColor = "orange";
+          details = "Player 2 has joined. Player 1 must reveal their move.";
+        } else {
+          statusText = "Completed";
+          statusColor = "green";
+          if (game.payout === "refunded") {
+            details = game.winner
+              ? "Game refunded: Player 1 did not reveal in time, the pot went to Player 2."
+              : "Game refunded: no one joined, the bet went back to Player 1.";
+          } else if (game.isTie) {
+            details = "Game completed: It's a tie! 🤝";
+          } else if (game.winnerPlayer === gameState.playerNumber) {
+            details = "Game completed: You won! 🎉";
+          } else {
+            details = "Game completed: You lost. 😔";
+          }
         }
       } catch (rpsError) {
         log(`⚠️ Error reading from DegenRPS contract: ${rpsError.message}`);
@@ -182,16 +176,9 @@ export async function updateGameStatus(
 
     // Show reveal button if Player 1 and Player 2 has joined
     if (gameState.playerNumber === 1 && game && rpsContract) {
-      const isArray =
-        Array.isArray(game) ||
-        (typeof game === "object" && game.length !== undefined);
-      const status = isArray ? game[3] : game.status;
-      const player2 = isArray ? game[2] : game.player2;
-      const statusNum = Number(status);
-
       if (
-        statusNum === 2 &&
-        player2 !== ethers.ZeroAddress &&
+        game.state === GAME_STATE.WAITING_FOR_REVEAL &&
+        game.player2 !== ethers.ZeroAddress &&
         !gameState.isRevealed
       ) {
         const revealStatusDiv = document.getElementById("revealStatus");
@@ -280,14 +267,14 @@ export function setupEventListeners(
   initializeContracts,
   loadDeployments,
   getDeployedChainId, // Getter function or value
-  getNoir, // Getter function or value
-  getBackend, // Getter function or value
+  getProver, // Getter function or value
   getToken0AddressForCreate, // Getter function or value
   initNoir,
   revealMakerMove,
   withdrawPrize,
   updateMakerMoveStatus,
-  updateMakerButtonStates
+  updateMakerButtonStates,
+  requireWallet // async (action) => true once a wallet is connected
 ) {
   // Helper to get value (handles both functions and direct values)
   const getValue = (getter) =>
@@ -338,6 +325,7 @@ export function setupEventListeners(
       e.preventDefault();
       e.stopPropagation();
       console.log("Maker approve button clicked!");
+      if (!(await requireWallet("approve tokens"))) return;
       try {
         await approveTokenFn(
           "maker",
@@ -411,13 +399,13 @@ export function setupEventListeners(
         return;
       }
 
+      if (!(await requireWallet("create a game"))) return;
       try {
         await createMakerGameFn(
           getValue(getSigner),
           getValue(getRpsContract),
           gameState,
-          getValue(getNoir),
-          getValue(getBackend),
+          getValue(getProver),
           getValue(getErc20ABI),
           getValue(getToken0AddressForCreate),
           ensureCorrectNetwork,
@@ -1,168 +1,55 @@
 import { ethers } from "ethers";
 import { log } from "../utils/logger.js";
-import { safeTokenCall, safeTokenCallWithParam } from "../utils/tokens.js";
 import { formatTimeRemaining, getTimeAgo } from "../utils/network.js";
+import { chainNow, secondsUntil } from "../utils/chainClock.js";
 import { MOVE_NAMES, GAME_STATE } from "../config/constants.js";
-import { contractToFrontendMove } from "../config/constants.js";
-import { getTakerGames } from "../utils/storage.js";
-
-// Load Maker games
-export async function loadMakerGames(
-  signer,
-  rpsContract,
-  erc20ABI,
-  revealMakerMove,
-  withdrawPrize
-) {
-  if (!signer || !rpsContract) {
-    const gamesListDiv = document.getElementById("makerGamesList");
-    if (gamesListDiv) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">Please connect your wallet first</p>
-        </div>
-      `;
+import {
+  listGames,
+  listProofBundleGameIds,
+  updateGameState,
+} from "../utils/gameStore.js";
+import { getGames, getTokenInfo } from "../utils/multicall.js";
+import { decodeGame, fetchGame } from "../game/decode.js";
+import {
+  syncGameIndex,
+  findIndexedGame,
+  listIndexedGames,
+  listAllIndexedGames,
+  indexedGameAsStruct,
+} from "../game/indexer.js";
+
+// Maker list card for a decoded game (game/decode.js) read for the maker's
+// account; token is its { decimals, symbol } from getTokenInfo(), hasBundle
+// whether the store holds the proof bundle of its reveal
+function renderMakerGameCard(game, token, hasBundle = false) {
+  let statusText = "Waiting for Player 2";
+  let statusColor = "yellow";
+  let actionButton = "";
+
+  // Format the bet with the token's decimals
+  let betAmountFormatted = "0";
+  if (game.token && game.betAmount) {
+    try {
+      betAmountFormatted = ethers.formatUnits(game.betAmount, token.decimals);
+    } catch (e) {
+      betAmountFormatted = game.betAmount.toString();
     }
-    return;
   }
 
-  try {
-    const userAddress = await signer.getAddress();
-    const gamesListDiv = document.getElementById("makerGamesList");
-
-    if (!gamesListDiv) return;
-
-    log("📋 Loading maker games from contract...");
-
-    // Use the new getGamesByPlayer function to get only games where user is player1
-    const gameIds = await rpsContract.getGamesByPlayer(userAddress);
-
-    if (!gameIds || gameIds.length === 0) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No games created yet. Create your first game above!</p>
-        </div>
-      `;
-      return;
-    }
-
-    log(`Found ${gameIds.length} game(s) created by ${userAddress}...`);
-
-    const makerGames = [];
-
-    // Query each game by ID
-    for (const gameIdBigInt of gameIds) {
-      const gameId =
-        typeof gameIdBigInt === "bigint"
-          ? gameIdBigInt.toString()
-          : gameIdBigInt.toString();
-      try {
-        const game = await rpsContract.getGame(gameId);
-
-        // Handle both array and object responses
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" &&
-            game !== null &&
-            game.length !== undefined);
-        const state = isArray ? game[8] : game.state;
-        const player2 = isArray ? game[1] : game.player2;
-        const tokenAddress = isArray ? game[2] : game.token;
-        const betAmount = isArray ? game[3] : game.betAmount;
-        const player2Move = isArray ? game[6] : game.player2Move;
-        const revealDeadline = isArray ? game[10] : game.revealDeadline;
-        const winner = isArray ? game[11] : game.winner;
-        const createdAt = isArray ? game[9] : game.createdAt;
-        const commitment = isArray ? game[4] : game.commitment;
-
-        makerGames.push({
-          gameId: gameId,
-          betAmount: betAmount,
-          tokenAddress: tokenAddress,
-          state: Number(state),
-          player2: player2,
-          player2Move:
-            player2Move !== null && player2Move !== undefined
-              ? Number(player2Move)
-              : null,
-          revealDeadline: revealDeadline ? Number(revealDeadline) : null,
-          winner: winner,
-          timestamp: createdAt ? Number(createdAt) : null,
-          commitment: commitment,
-        });
-      } catch (error) {
-        // Game might not exist (deleted or invalid ID), skip it
-        console.log(`Game ${gameId} not found or error:`, error.message);
-        continue;
-      }
-    }
-
-    // Sort by timestamp (newest first)
-    makerGames.sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
-
-    if (makerGames.length === 0) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No games created yet. Create your first game above!</p>
-        </div>
-      `;
-      return;
-    }
-
-    // Display maker games
-    const gameHTMLs = await Promise.all(
-      makerGames.map(async (game) => {
-        let statusText = "Waiting for Player 2";
-        let statusColor = "yellow";
-        let actionButton = "";
-
-        // Get token decimals for display
-        let betAmountFormatted = "0";
-        if (game.tokenAddress && game.betAmount) {
-          try {
-            // Ensure erc20ABI is available
-            let tokenABI = erc20ABI;
-            if (!tokenABI) {
-              tokenABI = [
-                "function balanceOf(address account) external view returns (uint256)",
-                "function decimals() external view returns (uint8)",
-                "function symbol() external view returns (string)",
-              ];
-            }
-            const tokenContract = new ethers.Contract(
-              game.tokenAddress,
-              tokenABI,
-              signer
-            );
-            const decimals = await safeTokenCall(tokenContract, "decimals", 18);
-            betAmountFormatted = ethers.formatUnits(game.betAmount, decimals);
-          } catch (e) {
-            betAmountFormatted = game.betAmount.toString();
-          }
-        }
-
-        // DegenRPS GameState: 0=WaitingForPlayer2, 1=WaitingForReveal, 2=Settled
-        if (game.state === null || game.state === undefined) {
-          statusText = "Unknown";
-          statusColor = "gray";
-        } else if (game.state === GAME_STATE.WAITING_FOR_PLAYER2) {
-          statusText = "Waiting for Player 2";
-          statusColor = "yellow";
-        } else if (game.state === GAME_STATE.WAITING_FOR_REVEAL) {
-          statusText = "Waiting for Reveal";
-          statusColor = "orange";
-          // Convert player2Move from DegenRPS enum (1,2,3) to frontend (0,1,2)
-          const player2MoveFrontend =
-            game.player2Move !== null && game.player2Move !== undefined
-              ? contractToFrontendMove(game.player2Move)
-              : null;
-          const player2MoveName =
-            player2MoveFrontend !== null
-              ? MOVE_NAMES[player2MoveFrontend]
-              : "Unknown";
-          // Get commitment hash from game data or use gameId as fallback
-          const commitmentHash = game.commitment || game.gameId;
-          actionButton = `
+  if (game.state === null || game.state === undefined) {
+    statusText = "Unknown";
+    statusColor = "gray";
+  } else if (game.state === GAME_STATE.WAITING_FOR_PLAYER2) {
+    statusText = "Waiting for Player 2";
+    statusColor = "yellow";
+  } else if (game.state === GAME_STATE.WAITING_FOR_REVEAL) {
+    statusText = "Waiting for Reveal";
+    statusColor = "orange";
+    const player2MoveName =
+      game.player2Move !== null ? MOVE_NAMES[game.player2Move] : "Unknown";
+    // Get commitment hash from game data or use gameId as fallback
+    const commitmentHash = game.commitment || game.gameId;
+    actionButton = `
           <div class="mt-3 pt-3 border-t border-gray-200">
             <p class="text-xs text-gray-600 mb-2">Player 2's Move: ${player2MoveName}</p>
             <button
@@ -174,30 +61,40 @@ export async function loadMakerGames(
             </button>
           </div>
         `;
-        } else if (game.state === GAME_STATE.SETTLED) {
-          statusText = "Settled";
-          statusColor = "green";
-          const userAddress = await signer.getAddress();
-          const isWinner =
-            game.winner &&
-            game.winner.toLowerCase() === userAddress.toLowerCase();
-          const isTie = !game.winner || game.winner === ethers.ZeroAddress;
-          const winnerText = isTie
-            ? "Tie 🤝"
-            : isWinner
-            ? "You Won! 🎉"
-            : "You Lost 😔";
-          actionButton = `
+  } else if (game.state === GAME_STATE.SETTLED) {
+    statusText = "Settled";
+    statusColor = "green";
+    const isWinner = game.winnerPlayer === 1;
+    const isTie = game.isTie;
+    const isCancelled = game.winnerPlayer === null; // Refunded before anyone joined
+    const winnerText = isCancelled
+      ? "Cancelled"
+      : isTie
+      ? "Tie 🤝"
+      : isWinner
+      ? "You Won! 🎉"
+      : "You Lost 😔";
+    actionButton = `
           <div class="mt-3 pt-3 border-t border-gray-200">
             <p class="text-sm font-semibold ${
-              isWinner
+              isCancelled
+                ? "text-gray-600"
+                : isWinner
                 ? "text-green-600"
                 : isTie
                 ? "text-yellow-600"
                 : "text-red-600"
             } mb-2">${winnerText}</p>
             ${
-              isWinner || isTie
+              game.payout
+                ? `
+              <p class="text-xs text-gray-500">${
+                game.payout === "refunded"
+                  ? "↩️ Refunded"
+                  : "💸 Prize withdrawn"
+              }</p>
+            `
+                : game.canWithdraw
                 ? `
               <button
                 onclick="window.withdrawPrize('${game.gameId}')"
@@ -210,30 +107,57 @@ export async function loadMakerGames(
             }
           </div>
         `;
-        }
+  }
+
+  // Anyone can re-verify a settled game from chain data
+  if (game.state === GAME_STATE.SETTLED) {
+    actionButton += `
+          <a
+            href="/verify.html?game=${game.gameId}"
+            target="_blank"
+            class="block text-center w-full mt-2 px-4 py-2 bg-white border-2 border-gray-300 text-gray-700 font-semibold rounded-lg hover:bg-gray-50 transition-all"
+          >
+            🔍 Audit Game
+          </a>
+        `;
+  }
+
+  // Offer the saved proof bundle as dispute evidence
+  if (hasBundle) {
+    actionButton += `
+          <button
+            onclick="window.downloadProofBundle('${game.gameId}')"
+            class="w-full mt-2 px-4 py-2 bg-white border-2 border-purple-300 text-purple-700 font-semibold rounded-lg hover:bg-purple-50 transition-all"
+          >
+            📦 Download Proof Bundle
+          </button>
+        `;
+  }
 
-        const bgClass =
-          {
-            gray: "bg-gray-50",
-            yellow: "bg-yellow-50",
-            orange: "bg-orange-50",
-            green: "bg-green-50",
-          }[statusColor] || "bg-gray-50";
-
-        const borderClass =
-          {
-            gray: "border-gray-200",
-            yellow: "border-yellow-200",
-            orange: "border-orange-200",
-            green: "border-green-200",
-          }[statusColor] || "border-gray-200";
-
-        const timeInfo = game.revealDeadline
-          ? formatTimeRemaining(game.revealDeadline)
-          : null;
-
-        return `
-        <div class="${bgClass} border-2 ${borderClass} rounded-xl p-4">
+  const bgClass =
+    {
+      gray: "bg-gray-50",
+      yellow: "bg-yellow-50",
+      orange: "bg-orange-50",
+      green: "bg-green-50",
+    }[statusColor] || "bg-gray-50";
+
+  const borderClass =
+    {
+      gray: "border-gray-200",
+      yellow: "border-yellow-200",
+      orange: "border-orange-200",
+      green: "border-green-200",
+    }[statusColor] || "border-gray-200";
+
+  const timeInfo = game.revealDeadline
+    ? formatTimeRemaining(game.revealDeadline)
+    : null;
+
+  return `
+        <div data-game-card="${
+          game.gameId
+        }" class="${bgClass} border-2 ${borderClass} rounded-xl p-4">
           <div class="flex flex-col gap-2">
             <div class="flex justify-between items-center">
               <span class="text-sm font-semibold text-gray-700">Game ID:</span>
@@ -286,9 +210,84 @@ export async function loadMakerGames(
           </div>
         </div>
       `;
+}
+
+// Load Maker games
+export async function loadMakerGames(
+  signer,
+  rpsContract,
+  erc20ABI,
+  revealMakerMove,
+  withdrawPrize
+) {
+  if (!signer || !rpsContract) {
+    const gamesListDiv = document.getElementById("makerGamesList");
+    if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
+      gamesListDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">Please connect your wallet first</p>
+        </div>
+      `;
+    }
+    return;
+  }
+
+  try {
+    const userAddress = await signer.getAddress();
+    const gamesListDiv = document.getElementById("makerGamesList");
+
+    if (!gamesListDiv) return;
+
+    log("📋 Loading maker games from the game index...");
+
+    // Indexed from contract events, so withdrawn games are listed too
+    await syncGameIndex(rpsContract);
+    const indexedGames = await listIndexedGames(
+      rpsContract,
+      "player1",
+      userAddress
+    );
+    // The list now shows real results, so live updates may edit it
+    gamesListDiv.dataset.live = "true";
+
+    log(`Found ${indexedGames.length} game(s) created by ${userAddress}...`);
+
+    const makerGames = indexedGames.map((row) =>
+      decodeGame(indexedGameAsStruct(row), {
+        gameId: row.gameId,
+        account: userAddress,
+        payout: row.payout,
       })
     );
 
+    // Sort by creation time (newest first)
+    makerGames.sort((a, b) => b.createdAt - a.createdAt);
+
+    if (makerGames.length === 0) {
+      gamesListDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">No games created yet. Create your first game above!</p>
+        </div>
+      `;
+      return;
+    }
+
+    // Display maker games, with every token read in one batch
+    const tokens = await getTokenInfo(
+      rpsContract.runner.provider,
+      makerGames.map((game) => game.token),
+      erc20ABI
+    );
+    const bundleIds = await listProofBundleGameIds().catch(() => new Set());
+    const gameHTMLs = makerGames.map((game) =>
+      renderMakerGameCard(
+        game,
+        tokens.get(game.token.toLowerCase()),
+        bundleIds.has(game.gameId)
+      )
+    );
+
     gamesListDiv.innerHTML = gameHTMLs.join("");
 
     log(`✅ Loaded ${makerGames.length} maker game(s)`);
@@ -297,6 +296,7 @@ export async function loadMakerGames(
     console.error("Error loading maker games:", error);
     const gamesListDiv = document.getElementById("makerGamesList");
     if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
       gamesListDiv.innerHTML = `
         <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
           <p class="text-sm text-red-600 text-center">Error loading games: ${error.message}</p>
@@ -357,6 +357,158 @@ export async function loadMakerGamesWithFeedback(
 }
 
 // Taker game loading functions
+// Open games a user can join: not their own, a real maker and a non-zero bet
+function isJoinableGame(gameId, game, userAddress) {
+  const zeroAddress = ethers.ZeroAddress.toLowerCase();
+  const { player1, betAmount } = game;
+  const player1Lower = player1 ? player1.toLowerCase() : "";
+  const isOwnGame =
+    userAddress !== null && player1Lower === userAddress.toLowerCase();
+
+  const hasZeroBalance = betAmount === 0n;
+
+  const isZeroAddress =
+    !player1 || player1Lower === zeroAddress || player1Lower === "0x0";
+
+  if (isOwnGame) {
+    console.log(
+      `Filtering out game ${gameId} - user is player1 (${player1Lower})`
+    );
+  }
+  if (hasZeroBalance) {
+    console.log(
+      `Filtering out game ${gameId} - zero balance (betAmount: ${betAmount.toString()})`
+    );
+  }
+  if (isZeroAddress) {
+    console.log(
+      `Filtering out game ${gameId} - invalid player1 address (${player1Lower})`
+    );
+  }
+
+  return player1 && !isOwnGame && !hasZeroBalance && !isZeroAddress;
+}
+
+// Card data for an open game, with the token formatted for display
+function describeAvailableGame(game, token) {
+  return {
+    gameId: game.gameId,
+    tokenAddress: game.token,
+    betAmount: game.betAmount,
+    betAmountFormatted: ethers.formatUnits(game.betAmount, token.decimals),
+    tokenSymbol: token.symbol,
+    player1: game.player1,
+    createdAt: game.createdAt,
+    decimals: token.decimals,
+  };
+}
+
+// Open game card; the outer id is what the countdown timers look up
+function renderAvailableGameCard({
+  gameId,
+  tokenAddress,
+  betAmountFormatted,
+  tokenSymbol,
+  player1,
+  createdAt,
+}) {
+  const gameIdDisplay = `game-${gameId}`;
+  const timeAgo = createdAt
+    ? getTimeAgo(createdAt * 1000, chainNow() * 1000)
+    : "Unknown";
+  return `
+        <div class="bg-white border-2 border-purple-200 rounded-xl p-4 hover:border-purple-300 transition-colors" id="${gameId}" data-game-card="${gameId}">
+          <div class="flex flex-col gap-3">
+            <div class="flex justify-between items-center">
+              <span class="text-sm font-semibold text-gray-700">Game ID:</span>
+              <span class="text-xs font-mono text-purple-600 font-bold">#${gameId}</span>
+            </div>
+            <div class="flex justify-between items-center">
+              <span class="text-sm text-gray-600">Created by:</span>
+              <span class="text-xs font-mono text-gray-700" title="${player1}">${player1.slice(
+    0,
+    6
+  )}...${player1.slice(-4)}</span>
+            </div>
+            <div class="flex justify-between items-center">
+              <span class="text-sm text-gray-600">Bet Amount:</span>
+              <span class="text-sm font-semibold text-purple-600">${betAmountFormatted} ${tokenSymbol}</span>
+            </div>
+            <div class="flex justify-between items-center">
+              <span class="text-sm text-gray-600">Token:</span>
+              <span class="text-xs font-mono text-gray-700" title="${tokenAddress}">${
+    tokenSymbol || tokenAddress.slice(0, 6) + "..." + tokenAddress.slice(-4)
+  }</span>
+            </div>
+            <div class="flex justify-between items-center">
+              <span class="text-sm text-gray-600">Created:</span>
+              <span class="text-xs text-gray-500">${timeAgo}</span>
+            </div>
+            <div class="flex justify-between items-center">
+              <span class="text-sm text-orange-600">⏳ Time Remaining:</span>
+              <span id="${gameId}-time-remaining" class="text-sm font-semibold text-orange-600">Calculating...</span>
+            </div>
+            
+            <!-- Move Selection for this game -->
+            <div class="mt-2 pt-3 border-t border-gray-200">
+              <p class="text-xs text-gray-600 mb-2">Select your move:</p>
+              <div class="flex gap-2 mb-3">
+                <button 
+                  class="move-btn rock-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
+                  onclick="window.selectMoveForGame('${gameIdDisplay}', 0, '${gameId}')"
+                >
+                  🪨 Rock
+                </button>
+                <button 
+                  class="move-btn paper-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
+                  onclick="window.selectMoveForGame('${gameIdDisplay}', 1, '${gameId}')"
+                >
+                  📄 Paper
+                </button>
+                <button 
+                  class="move-btn scissors-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
+                  onclick="window.selectMoveForGame('${gameIdDisplay}', 2, '${gameId}')"
+                >
+                  ✂️ Scissors
+                </button>
+              </div>
+              <div id="${gameIdDisplay}-move-status" class="text-xs text-gray-500 mb-2"></div>
+              <button 
+                id="${gameIdDisplay}-join-btn"
+                class="w-full px-4 py-2 bg-gray-300 text-gray-600 cursor-not-allowed font-semibold rounded-lg"
+                disabled
+                data-game-id="${gameId}"
+              >
+                🎮 Join This Game
+              </button>
+            </div>
+          </div>
+        </div>
+      `;
+}
+
+// Wire the join button of an open game card to the selected move
+function attachJoinHandler(gameId, joinGame, selectedMovesByGame) {
+  const gameIdDisplay = `game-${gameId}`;
+  const joinBtn = document.getElementById(`${gameIdDisplay}-join-btn`);
+  if (joinBtn) {
+    const newBtn = joinBtn.cloneNode(true);
+    joinBtn.parentNode.replaceChild(newBtn, joinBtn);
+
+    newBtn.addEventListener("click", function () {
+      if (!this.disabled) {
+        const gameIdNum = this.getAttribute("data-game-id");
+        const selectedMove = selectedMovesByGame[gameIdDisplay];
+        if (selectedMove !== undefined) {
+          joinGame(gameIdNum, selectedMove);
+        } else {
+          log("❌ Please select a move first");
+        }
+      }
+    });
+  }
+}
+
 export async function loadActiveGames(
   signer,
   rpsContract,
@@ -364,17 +516,13 @@ export async function loadActiveGames(
   provider,
   initializeContracts,
   startActiveGamesTimer,
-  startAutoRefresh,
+  startLiveUpdates,
   joinGame,
   stopActiveGamesTimer,
   activeGamesData,
   selectedMovesByGame
 ) {
-  if (!signer) {
-    log("❌ Please connect your wallet first");
-    return;
-  }
-
+  // Without a signer rpsContract is the read-only instance - open games are public
   if (!rpsContract) {
     log("❌ DegenRPS contract not initialized. Initializing now...");
     try {
@@ -407,6 +555,7 @@ export async function loadActiveGames(
       log("❌ Games list div not found");
       return;
     }
+    gamesListDiv.dataset.live = "true";
 
     if (!activeGameIds || activeGameIds.length === 0) {
       log("ℹ️ No active games waiting for Player 2");
@@ -421,93 +570,38 @@ export async function loadActiveGames(
 
     log(`✅ Found ${activeGameIds.length} game(s) waiting for Player 2`);
 
-    // Fetch details for each game
+    // Fetch every game in a handful of batched calls
     log(`Fetching details for ${activeGameIds.length} game(s)...`);
-    const gamePromises = activeGameIds.map(async (gameId) => {
-      try {
-        const gameIdBigInt =
-          typeof gameId === "bigint" ? gameId : BigInt(gameId.toString());
-        const gameIdNum = gameIdBigInt.toString();
-        console.log(
-          `Fetching game details for gameId: ${gameIdNum} (type: ${typeof gameId})`
-        );
-        const game = await rpsContract.getGame(gameIdBigInt);
-        console.log(`Game details for ${gameIdNum}:`, game);
-
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" &&
-            game !== null &&
-            game.length !== undefined);
-        const gameState = isArray ? Number(game[8]) : Number(game.state);
-        console.log(
-          `Game ${gameIdNum} state: ${gameState} (0=WaitingForPlayer2, 1=WaitingForReveal, 2=Settled)`
-        );
-
-        if (gameState !== 0) {
+    const fetchedGames = await getGames(
+      rpsContract,
+      activeGameIds.map((gameId) => gameId.toString())
+    );
+    const games = fetchedGames
+      .map((game, i) => {
+        if (!game) {
+          log(`⚠️ Error fetching game ${activeGameIds[i]}`);
+          return null;
+        }
+        if (game.state !== GAME_STATE.WAITING_FOR_PLAYER2) {
           console.warn(
-            `⚠️ Game ${gameIdNum} is not in WaitingForPlayer2 state (state=${gameState}), skipping`
+            `⚠️ Game ${game.gameId} is not in WaitingForPlayer2 state (state=${game.state}), skipping`
           );
           return null;
         }
-
-        return { gameId: gameIdNum, game };
-      } catch (error) {
-        log(`⚠️ Error fetching game ${gameId}: ${error.message}`);
-        console.error("Error fetching game:", error);
-        return null;
-      }
-    });
-
-    const games = (await Promise.all(gamePromises)).filter((g) => g !== null);
+        return { gameId: game.gameId, game };
+      })
+      .filter((g) => g !== null);
     console.log(
       `Successfully fetched ${games.length} game(s) in WaitingForPlayer2 state`
     );
 
     // Filter out games where current user is player1 (can't join your own game)
     // Also filter out games with zero balance and games created by zero address
-    const userAddress = await signer.getAddress();
+    const userAddress = signer ? await signer.getAddress() : null;
     console.log(`Current user address: ${userAddress}`);
-    const zeroAddress = ethers.ZeroAddress.toLowerCase();
-    const availableGames = games.filter(({ game, gameId }) => {
-      const isArray =
-        Array.isArray(game) ||
-        (typeof game === "object" &&
-          game !== null &&
-          game.length !== undefined);
-      const player1 = isArray ? game[0] : game.player1;
-      const betAmount = isArray ? game[3] : game.betAmount;
-      const player1Lower = player1 ? player1.toLowerCase() : "";
-      const userLower = userAddress.toLowerCase();
-      const isOwnGame = player1Lower === userLower;
-
-      const betAmountBigInt =
-        typeof betAmount === "bigint"
-          ? betAmount
-          : BigInt(betAmount?.toString() || "0");
-      const hasZeroBalance = betAmountBigInt === 0n;
-
-      const isZeroAddress =
-        !player1 || player1Lower === zeroAddress || player1Lower === "0x0";
-
-      if (isOwnGame) {
-        console.log(
-          `Filtering out game ${gameId} - user is player1 (${player1Lower})`
-        );
-      }
-      if (hasZeroBalance) {
-        console.log(
-          `Filtering out game ${gameId} - zero balance (betAmount: ${betAmountBigInt.toString()})`
-        );
-      }
-      if (isZeroAddress) {
-        console.log(
-          `Filtering out game ${gameId} - invalid player1 address (${player1Lower})`
-        );
-      }
-
-      return player1 && !isOwnGame && !hasZeroBalance && !isZeroAddress;
-    });
+    const availableGames = games.filter(({ game, gameId }) =>
+      isJoinableGame(gameId, game, userAddress)
+    );
 
     console.log(
       `Filtered to ${availableGames.length} game(s) available to join (excluding own games)`
@@ -536,74 +630,17 @@ export async function loadActiveGames(
     }
 
     // Sort by createdAt (most recent first)
-    availableGames.sort((a, b) => {
-      const aCreatedAt =
-        a.game &&
-        (Array.isArray(a.game)
-          ? Number(a.game[9])
-          : Number(a.game.createdAt || 0));
-      const bCreatedAt =
-        b.game &&
-        (Array.isArray(b.game)
-          ? Number(b.game[9])
-          : Number(b.game.createdAt || 0));
-      return (bCreatedAt || 0) - (aCreatedAt || 0);
-    });
+    availableGames.sort((a, b) => b.game.createdAt - a.game.createdAt);
 
-    // Display games - get token decimals and symbol for each
-    const gamePromisesWithDecimals = availableGames.map(
-      async ({ gameId, game }) => {
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" &&
-            game !== null &&
-            game.length !== undefined);
-        const tokenAddress = isArray ? game[2] : game.token;
-        const betAmount = isArray ? game[3] : game.betAmount;
-        const player1 = isArray ? game[0] : game.player1;
-        const createdAt = isArray ? game[9] : game.createdAt;
-
-        let tokenABI = erc20ABI;
-        if (!tokenABI) {
-          tokenABI = [
-            "function balanceOf(address account) external view returns (uint256)",
-            "function decimals() external view returns (uint8)",
-            "function symbol() external view returns (string)",
-          ];
-        }
-        const tokenContract = new ethers.Contract(
-          tokenAddress,
-          tokenABI,
-          signer
-        );
-        const decimals = await safeTokenCall(
-          tokenContract,
-          "decimals",
-          18,
-          provider
-        );
-        const tokenSymbol = await safeTokenCall(
-          tokenContract,
-          "symbol",
-          "TOKEN",
-          provider
-        );
-        const betAmountFormatted = ethers.formatUnits(betAmount, decimals);
-
-        return {
-          gameId,
-          tokenAddress,
-          betAmount,
-          betAmountFormatted,
-          tokenSymbol,
-          player1,
-          createdAt: Number(createdAt),
-          decimals,
-        };
-      }
+    // Display games - token decimals and symbols in one batch
+    const tokens = await getTokenInfo(
+      provider || rpsContract.runner.provider,
+      availableGames.map(({ game }) => game.token),
+      erc20ABI
+    );
+    const gamesWithDetails = availableGames.map(({ game }) =>
+      describeAvailableGame(game, tokens.get(game.token.toLowerCase()))
     );
-
-    const gamesWithDetails = await Promise.all(gamePromisesWithDecimals);
     console.log("Games with details:", gamesWithDetails);
 
     log(`✅ Displaying ${gamesWithDetails.length} game(s)`);
@@ -620,129 +657,23 @@ export async function loadActiveGames(
 
     // Display games in a two-column grid
     gamesListDiv.innerHTML = `
-      <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
-        ${gamesWithDetails
-          .map(
-            ({
-              gameId,
-              tokenAddress,
-              betAmountFormatted,
-              tokenSymbol,
-              player1,
-              createdAt,
-            }) => {
-              const gameIdDisplay = `game-${gameId}`;
-              const timeAgo = createdAt
-                ? getTimeAgo(createdAt * 1000)
-                : "Unknown";
-              return `
-        <div class="bg-white border-2 border-purple-200 rounded-xl p-4 hover:border-purple-300 transition-colors" id="${gameId}">
-          <div class="flex flex-col gap-3">
-            <div class="flex justify-between items-center">
-              <span class="text-sm font-semibold text-gray-700">Game ID:</span>
-              <span class="text-xs font-mono text-purple-600 font-bold">#${gameId}</span>
-            </div>
-            <div class="flex justify-between items-center">
-              <span class="text-sm text-gray-600">Created by:</span>
-              <span class="text-xs font-mono text-gray-700" title="${player1}">${player1.slice(
-                0,
-                6
-              )}...${player1.slice(-4)}</span>
-            </div>
-            <div class="flex justify-between items-center">
-              <span class="text-sm text-gray-600">Bet Amount:</span>
-              <span class="text-sm font-semibold text-purple-600">${betAmountFormatted} ${tokenSymbol}</span>
-            </div>
-            <div class="flex justify-between items-center">
-              <span class="text-sm text-gray-600">Token:</span>
-              <span class="text-xs font-mono text-gray-700" title="${tokenAddress}">${
-                tokenSymbol ||
-                tokenAddress.slice(0, 6) + "..." + tokenAddress.slice(-4)
-              }</span>
-            </div>
-            <div class="flex justify-between items-center">
-              <span class="text-sm text-gray-600">Created:</span>
-              <span class="text-xs text-gray-500">${timeAgo}</span>
-            </div>
-            <div class="flex justify-between items-center">
-              <span class="text-sm text-orange-600">⏳ Time Remaining:</span>
-              <span id="${gameId}-time-remaining" class="text-sm font-semibold text-orange-600">Calculating...</span>
-            </div>
-            
-            <!-- Move Selection for this game -->
-            <div class="mt-2 pt-3 border-t border-gray-200">
-              <p class="text-xs text-gray-600 mb-2">Select your move:</p>
-              <div class="flex gap-2 mb-3">
-                <button 
-                  class="move-btn rock-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
-                  onclick="window.selectMoveForGame('${gameIdDisplay}', 0, '${gameId}')"
-                >
-                  🪨 Rock
-                </button>
-                <button 
-                  class="move-btn paper-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
-                  onclick="window.selectMoveForGame('${gameIdDisplay}', 1, '${gameId}')"
-                >
-                  📄 Paper
-                </button>
-                <button 
-                  class="move-btn scissors-btn px-3 py-1.5 text-white text-xs font-semibold rounded-lg shadow"
-                  onclick="window.selectMoveForGame('${gameIdDisplay}', 2, '${gameId}')"
-                >
-                  ✂️ Scissors
-                </button>
-              </div>
-              <div id="${gameIdDisplay}-move-status" class="text-xs text-gray-500 mb-2"></div>
-              <button 
-                id="${gameIdDisplay}-join-btn"
-                class="w-full px-4 py-2 bg-gray-300 text-gray-600 cursor-not-allowed font-semibold rounded-lg"
-                disabled
-                data-game-id="${gameId}"
-              >
-                🎮 Join This Game
-              </button>
-            </div>
-          </div>
-        </div>
-      `;
-            }
-          )
-          .join("")}
+      <div data-game-cards class="grid grid-cols-1 md:grid-cols-2 gap-4">
+        ${gamesWithDetails.map(renderAvailableGameCard).join("")}
       </div>
     `;
 
     log(`✅ Loaded ${gamesWithDetails.length} active game(s)`);
 
     // Attach event listeners to join buttons
-    gamesWithDetails.forEach(({ gameId }) => {
-      const gameIdDisplay = `game-${gameId}`;
-      const joinBtn = document.getElementById(`${gameIdDisplay}-join-btn`);
-      if (joinBtn) {
-        const newBtn = joinBtn.cloneNode(true);
-        joinBtn.parentNode.replaceChild(newBtn, joinBtn);
-
-        newBtn.addEventListener("click", function () {
-          if (!this.disabled) {
-            const gameIdNum = this.getAttribute("data-game-id");
-            const selectedMove = selectedMovesByGame[gameIdDisplay];
-            if (selectedMove !== undefined) {
-              joinGame(gameIdNum, selectedMove);
-            } else {
-              log("❌ Please select a move first");
-            }
-          }
-        });
-      }
-    });
+    gamesWithDetails.forEach(({ gameId }) =>
+      attachJoinHandler(gameId, joinGame, selectedMovesByGame)
+    );
 
     // Start real-time timeout updates
     await startActiveGamesTimer();
 
-    // Ensure auto-refresh is running (if on taker view)
-    const takerView = document.getElementById("takerView");
-    if (takerView && !takerView.classList.contains("hidden")) {
-      startAutoRefresh();
-    }
+    // Keep the lists current from now on
+    startLiveUpdates();
   } catch (error) {
     log(`❌ Error loading active games: ${error.message}`);
     console.error("Full error loading active games:", error);
@@ -751,6 +682,7 @@ export async function loadActiveGames(
     }
     const gamesListDiv = document.getElementById("takerAvailableGamesList");
     if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
       gamesListDiv.innerHTML = `
         <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
           <p class="text-sm text-red-600 text-center">Error loading games: ${error.message}</p>
@@ -762,161 +694,39 @@ export async function loadActiveGames(
   }
 }
 
-export async function loadAwaitingRevealGames(
-  signer,
-  rpsContract,
-  erc20ABI,
-  provider
-) {
-  if (!signer || !rpsContract) {
-    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
-    if (gamesListDiv) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">Please connect your wallet first</p>
-        </div>
-      `;
-    }
-    return;
-  }
-
-  try {
-    const userAddress = await signer.getAddress();
-    log("Loading games awaiting reveal...");
-
-    const awaitingRevealGameIds = await rpsContract.getGamesWaitingForReveal();
-    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
-
-    if (!gamesListDiv) return;
-
-    if (!awaitingRevealGameIds || awaitingRevealGameIds.length === 0) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No games awaiting reveal</p>
-        </div>
-      `;
-      return;
-    }
-
-    log(`Found ${awaitingRevealGameIds.length} game(s) waiting for reveal`);
-
-    const userGames = [];
-    for (const gameIdBigInt of awaitingRevealGameIds) {
-      const gameId =
-        typeof gameIdBigInt === "bigint"
-          ? gameIdBigInt.toString()
-          : gameIdBigInt.toString();
-      try {
-        const game = await rpsContract.getGame(gameId);
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" &&
-            game !== null &&
-            game.length !== undefined);
-        const player2 = isArray ? game[1] : game.player2;
-
-        if (player2 && player2.toLowerCase() === userAddress.toLowerCase()) {
-          const player2Move = isArray ? game[6] : game.player2Move;
-          const tokenAddress = isArray ? game[2] : game.token;
-          const betAmount = isArray ? game[3] : game.betAmount;
-          const revealDeadline = isArray ? game[10] : game.revealDeadline;
-
-          userGames.push({
-            gameId: gameId,
-            player2Move: Number(player2Move),
-            tokenAddress: tokenAddress,
-            betAmount: betAmount,
-            revealDeadline: revealDeadline ? Number(revealDeadline) : null,
-          });
-        }
-      } catch (error) {
-        console.error(`Error processing game ${gameId}:`, error);
-      }
-    }
-
-    if (userGames.length === 0) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No games awaiting reveal where you are Player 2</p>
-        </div>
-      `;
-      return;
-    }
-
-    const gamesWithDetails = await Promise.all(
-      userGames.map(
-        async ({
-          gameId,
-          player2Move,
-          tokenAddress,
-          betAmount,
-          revealDeadline,
-        }) => {
-          let tokenABI = erc20ABI;
-          if (!tokenABI) {
-            tokenABI = [
-              "function balanceOf(address account) external view returns (uint256)",
-              "function decimals() external view returns (uint8)",
-              "function symbol() external view returns (string)",
-            ];
-          }
-          const tokenContract = new ethers.Contract(
-            tokenAddress,
-            tokenABI,
-            signer
-          );
-          const decimals = await safeTokenCall(
-            tokenContract,
-            "decimals",
-            18,
-            provider
-          );
-          const tokenSymbol = await safeTokenCall(
-            tokenContract,
-            "symbol",
-            "TOKEN",
-            provider
-          );
-          const betAmountFormatted = ethers.formatUnits(betAmount, decimals);
-
-          return {
-            gameId,
-            player2Move,
-            tokenAddress,
-            betAmountFormatted,
-            tokenSymbol,
-            revealDeadline,
-          };
-        }
-      )
-    );
-
-    gamesListDiv.innerHTML = gamesWithDetails
-      .map(
-        ({
-          gameId,
-          player2Move,
-          betAmountFormatted,
-          tokenSymbol,
-          revealDeadline,
-        }) => {
-          const now = Math.floor(Date.now() / 1000);
-          const timeRemaining = revealDeadline ? revealDeadline - now : null;
-          const isOverdue = timeRemaining !== null && timeRemaining < 0;
-          const minutes =
-            timeRemaining !== null
-              ? Math.floor(Math.abs(timeRemaining) / 60)
-              : 0;
-          const seconds =
-            timeRemaining !== null ? Math.abs(timeRemaining) % 60 : 0;
-          const timeStr = `${minutes}:${seconds.toString().padStart(2, "0")}`;
-
-          const moveNames = ["Rock 🪨", "Paper 📄", "Scissors ✂️"];
-          const player2MoveFrontend = player2Move - 1;
-          const player2MoveName = moveNames[player2MoveFrontend] || "Unknown";
+// Awaiting-reveal card data, with the token formatted for display
+function describeAwaitingRevealGame(game, token) {
+  return {
+    gameId: game.gameId,
+    player2Move: game.player2Move,
+    tokenAddress: game.token,
+    betAmountFormatted: ethers.formatUnits(game.betAmount, token.decimals),
+    tokenSymbol: token.symbol,
+    revealDeadline: game.revealDeadline || null,
+    canRefund: game.canRefund,
+  };
+}
 
-          return `
-        <div class="bg-orange-50 border-2 border-orange-200 rounded-xl p-4">
+// Awaiting-reveal card, with a refund button once the deadline has passed
+function renderAwaitingRevealCard({
+  gameId,
+  player2Move,
+  betAmountFormatted,
+  tokenSymbol,
+  revealDeadline,
+  canRefund,
+}) {
+  const timeRemaining = revealDeadline ? secondsUntil(revealDeadline) : null;
+  const isOverdue = timeRemaining !== null && timeRemaining < 0;
+  const minutes =
+    timeRemaining !== null ? Math.floor(Math.abs(timeRemaining) / 60) : 0;
+  const seconds = timeRemaining !== null ? Math.abs(timeRemaining) % 60 : 0;
+  const timeStr = `${minutes}:${seconds.toString().padStart(2, "0")}`;
+
+  const player2MoveName = MOVE_NAMES[player2Move] || "Unknown";
+
+  return `
+        <div data-game-card="${gameId}" class="bg-orange-50 border-2 border-orange-200 rounded-xl p-4">
           <div class="flex flex-col gap-2">
             <div class="flex justify-between items-center">
               <span class="text-sm font-semibold text-gray-700">Game ID:</span>
@@ -944,7 +754,7 @@ export async function loadAwaitingRevealGames(
                 }">${isOverdue ? `${timeStr} ago` : timeStr}</span>
               </div>
               ${
-                isOverdue
+                canRefund
                   ? `
                 <div class="mt-2 p-2 bg-red-100 border border-red-300 rounded-lg">
                   <p class="text-xs text-red-800 text-center mb-2">Player 1 failed to reveal. You can claim a refund!</p>
@@ -965,201 +775,134 @@ export async function loadAwaitingRevealGames(
           </div>
         </div>
       `;
-        }
-      )
-      .join("");
-
-    log(`✅ Loaded ${gamesWithDetails.length} game(s) awaiting reveal`);
-  } catch (error) {
-    log(`❌ Error loading games awaiting reveal: ${error.message}`);
-    console.error("Error loading awaiting reveal games:", error);
-    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
-    if (gamesListDiv) {
-      gamesListDiv.innerHTML = `
-        <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
-          <p class="text-sm text-red-600 text-center">Error loading games: ${error.message}</p>
-        </div>
-      `;
-    }
-  }
 }
 
-export async function loadCompletedGames(
+export async function loadAwaitingRevealGames(
   signer,
   rpsContract,
   erc20ABI,
   provider
 ) {
   if (!signer || !rpsContract) {
+    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
+    if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
+      gamesListDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">Please connect your wallet first</p>
+        </div>
+      `;
+    }
     return;
   }
 
   try {
     const userAddress = await signer.getAddress();
-    const gamesListDiv = document.getElementById("takerCompletedGamesList");
-
-    if (!gamesListDiv) {
-      console.warn("takerCompletedGamesList div not found");
-      return;
-    }
+    log("Loading games awaiting reveal...");
 
-    log("🔍 Loading completed games from contract...");
+    const awaitingRevealGameIds = await rpsContract.getGamesWaitingForReveal();
+    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
 
-    const nextGameId = await rpsContract.nextGameId();
-    const totalGames = Number(nextGameId);
+    if (!gamesListDiv) return;
+    gamesListDiv.dataset.live = "true";
 
-    if (totalGames === 0) {
+    if (!awaitingRevealGameIds || awaitingRevealGameIds.length === 0) {
       gamesListDiv.innerHTML = `
         <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No completed games yet</p>
+          <p class="text-sm text-gray-600 text-center">No games awaiting reveal</p>
         </div>
       `;
       return;
     }
 
-    log(
-      `📊 Checking ${totalGames} game(s) for completed games where you are player2...`
-    );
-
-    const completedGames = [];
-    const trackedGames = getTakerGames();
-
-    const startGameId = Math.max(0, totalGames - 100);
-
-    for (let i = startGameId; i < totalGames; i++) {
-      try {
-        const game = await rpsContract.getGame(i);
-        const isArray =
-          Array.isArray(game) ||
-          (typeof game === "object" && game.length !== undefined);
-        const state = isArray ? game[8] : game.state;
-        const player2 = isArray ? game[1] : game.player2;
-        const stateNum = Number(state);
-
-        if (
-          stateNum === 2 &&
-          player2 &&
-          player2.toLowerCase() === userAddress.toLowerCase()
-        ) {
-          const winner = isArray ? game[11] : game.winner;
-          const player1MoveRaw = isArray ? game[7] : game.player1Move;
-          const player2MoveRaw = isArray ? game[6] : game.player2Move;
-          const createdAt = isArray ? game[9] : game.createdAt;
-          const tokenAddress = isArray ? game[2] : game.token;
-          const betAmount = isArray ? game[3] : game.betAmount;
-
-          const player1Move = Number(player1MoveRaw) - 1;
-          const player2Move = Number(player2MoveRaw) - 1;
-
-          const gameKey = i.toString();
-          const trackedData = trackedGames[gameKey] || {};
-
-          completedGames.push({
-            gameId: i.toString(),
-            commitment: trackedData.commitment || null,
-            winner:
-              winner && winner !== ethers.ZeroAddress
-                ? winner.toLowerCase() === userAddress.toLowerCase()
-                  ? 2
-                  : 1
-                : 0,
-            player1Move: player1Move,
-            player2Move: player2Move,
-            createdAt: Number(createdAt),
-            tokenAddress: tokenAddress,
-            betAmount: betAmount,
-            timestamp: trackedData.timestamp || Number(createdAt),
-          });
-        }
-      } catch (error) {
-        if (
-          !error.message.includes("revert") &&
-          !error.message.includes("Game does not exist")
-        ) {
-          console.error(`Error checking game ${i}:`, error);
-        }
-      }
-    }
+    log(`Found ${awaitingRevealGameIds.length} game(s) waiting for reveal`);
 
-    completedGames.sort((a, b) => b.createdAt - a.createdAt);
+    const userGames = (
+      await getGames(
+        rpsContract,
+        awaitingRevealGameIds.map((gameId) => gameId.toString())
+      )
+    ).filter(
+      (game) => game && game.player2.toLowerCase() === userAddress.toLowerCase()
+    );
 
-    if (completedGames.length === 0) {
+    if (userGames.length === 0) {
       gamesListDiv.innerHTML = `
         <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
-          <p class="text-sm text-gray-600 text-center">No completed games yet</p>
+          <p class="text-sm text-gray-600 text-center">No games awaiting reveal where you are Player 2</p>
         </div>
       `;
       return;
     }
 
-    const gamesWithDetails = await Promise.all(
-      completedGames.map(async (game) => {
-        let tokenABI = erc20ABI;
-        if (!tokenABI) {
-          tokenABI = [
-            "function balanceOf(address account) external view returns (uint256)",
-            "function decimals() external view returns (uint8)",
-            "function symbol() external view returns (string)",
-          ];
-        }
-        const tokenContract = new ethers.Contract(
-          game.tokenAddress,
-          tokenABI,
-          signer
-        );
-        const decimals = await safeTokenCall(
-          tokenContract,
-          "decimals",
-          18,
-          provider
-        );
-        const tokenSymbol = await safeTokenCall(
-          tokenContract,
-          "symbol",
-          "TOKEN",
-          provider
-        );
-        const betAmountFormatted = ethers.formatUnits(game.betAmount, decimals);
-
-        return {
-          ...game,
-          betAmountFormatted,
-          tokenSymbol,
-        };
-      })
+    const tokens = await getTokenInfo(
+      provider || rpsContract.runner.provider,
+      userGames.map((game) => game.token),
+      erc20ABI
+    );
+    const gamesWithDetails = userGames.map((game) =>
+      describeAwaitingRevealGame(game, tokens.get(game.token.toLowerCase()))
     );
 
-    const moveNames = ["Rock 🪨", "Paper 📄", "Scissors ✂️"];
     gamesListDiv.innerHTML = gamesWithDetails
-      .map((game) => {
-        const isWin = game.winner === 2;
-        const isTie = game.winner === 0;
-        const resultText = isTie
-          ? "Tie 🤝"
-          : isWin
-          ? "You Won! 🎉"
-          : "You Lost 😔";
-        const bgClass = isTie
-          ? "bg-yellow-50"
-          : isWin
-          ? "bg-green-50"
-          : "bg-red-50";
-        const borderClass = isTie
-          ? "border-yellow-200"
-          : isWin
-          ? "border-green-200"
-          : "border-red-200";
-        const textClass = isTie
-          ? "text-yellow-600"
-          : isWin
-          ? "text-green-600"
-          : "text-red-600";
-        const date = new Date(game.createdAt * 1000);
-        const dateStr = date.toLocaleString();
-
-        const withdrawButton =
-          isWin || isTie
-            ? `
+      .map(renderAwaitingRevealCard)
+      .join("");
+
+    log(`✅ Loaded ${gamesWithDetails.length} game(s) awaiting reveal`);
+  } catch (error) {
+    log(`❌ Error loading games awaiting reveal: ${error.message}`);
+    console.error("Error loading awaiting reveal games:", error);
+    const gamesListDiv = document.getElementById("takerAwaitingRevealList");
+    if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
+      gamesListDiv.innerHTML = `
+        <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
+          <p class="text-sm text-red-600 text-center">Error loading games: ${error.message}</p>
+        </div>
+      `;
+    }
+  }
+}
+
+// Completed card data, with the token formatted for display
+function describeCompletedGame(game, token) {
+  return {
+    ...game,
+    betAmountFormatted: ethers.formatUnits(game.betAmount, token.decimals),
+    tokenSymbol: token.symbol,
+  };
+}
+
+// Completed-game card with the result and, for a win or tie, a withdraw button
+// until the prize is paid out
+function renderCompletedGameCard(game) {
+  const isWin = game.winnerPlayer === 2;
+  const isTie = game.isTie;
+  const resultText = isTie ? "Tie 🤝" : isWin ? "You Won! 🎉" : "You Lost 😔";
+  const bgClass = isTie ? "bg-yellow-50" : isWin ? "bg-green-50" : "bg-red-50";
+  const borderClass = isTie
+    ? "border-yellow-200"
+    : isWin
+    ? "border-green-200"
+    : "border-red-200";
+  const textClass = isTie
+    ? "text-yellow-600"
+    : isWin
+    ? "text-green-600"
+    : "text-red-600";
+  const date = new Date(game.createdAt * 1000);
+  const dateStr = date.toLocaleString();
+
+  const withdrawButton = game.payout
+    ? `
+        <div class="mt-3 pt-3 border-t ${borderClass}">
+          <p class="text-xs text-gray-500 text-center">${
+            game.payout === "refunded" ? "↩️ Refunded" : "💸 Prize withdrawn"
+          }</p>
+        </div>
+      `
+    : game.canWithdraw
+    ? `
         <div class="mt-3 pt-3 border-t ${borderClass}">
           <button
             onclick="window.withdrawPrize('${game.gameId}')"
@@ -1169,10 +912,12 @@ export async function loadCompletedGames(
           </button>
         </div>
       `
-            : "";
+    : "";
 
-        return `
-        <div class="${bgClass} border-2 ${borderClass} rounded-xl p-4">
+  return `
+        <div data-game-card="${
+          game.gameId
+        }" class="${bgClass} border-2 ${borderClass} rounded-xl p-4">
           <div class="flex flex-col gap-2">
             <div class="flex justify-between items-center">
               <span class="text-sm font-semibold text-gray-700">Game ID:</span>
@@ -1187,20 +932,20 @@ export async function loadCompletedGames(
             <div class="flex justify-between items-center">
               <span class="text-sm text-gray-600">Maker's Move:</span>
               <span class="text-sm font-semibold">${
-                moveNames[game.player1Move] || "Unknown"
+                MOVE_NAMES[game.player1Move] || "Unknown"
               }</span>
             </div>
             <div class="flex justify-between items-center">
               <span class="text-sm text-gray-600">Your Move:</span>
               <span class="text-sm font-semibold">${
-                moveNames[game.player2Move] || "Unknown"
+                MOVE_NAMES[game.player2Move] || "Unknown"
               }</span>
             </div>
             <div class="flex justify-between items-center">
               <span class="text-sm text-gray-600">Bet Amount:</span>
               <span class="text-sm font-semibold">${game.betAmountFormatted} ${
-          game.tokenSymbol
-        }</span>
+    game.tokenSymbol
+  }</span>
             </div>
             <div class="flex justify-between items-center">
               <span class="text-sm text-gray-600">Completed:</span>
@@ -1210,7 +955,82 @@ export async function loadCompletedGames(
           </div>
         </div>
       `;
-      })
+}
+
+export async function loadCompletedGames(
+  signer,
+  rpsContract,
+  erc20ABI,
+  provider
+) {
+  if (!signer || !rpsContract) {
+    return;
+  }
+
+  try {
+    const userAddress = await signer.getAddress();
+    const gamesListDiv = document.getElementById("takerCompletedGamesList");
+
+    if (!gamesListDiv) {
+      console.warn("takerCompletedGamesList div not found");
+      return;
+    }
+
+    log("🔍 Loading completed games from the game index...");
+
+    // Every settled game we joined, however old, from contract events
+    await syncGameIndex(rpsContract);
+    const settledGames = (
+      await listIndexedGames(rpsContract, "player2", userAddress)
+    ).filter((row) => row.state === GAME_STATE.SETTLED);
+    gamesListDiv.dataset.live = "true";
+
+    const completedGames = [];
+    const trackedGames = {};
+    try {
+      for (const record of await listGames("taker")) {
+        trackedGames[record.gameId] = record;
+      }
+    } catch (error) {
+      console.warn("Could not read tracked taker games:", error);
+    }
+
+    for (const row of settledGames) {
+      const trackedData = trackedGames[row.gameId];
+      if (trackedData && trackedData.state !== row.state) {
+        await updateGameState("taker", row.gameId, row.state);
+      }
+      completedGames.push(
+        decodeGame(indexedGameAsStruct(row), {
+          gameId: row.gameId,
+          account: userAddress,
+          payout: row.payout,
+        })
+      );
+    }
+
+    completedGames.sort((a, b) => b.createdAt - a.createdAt);
+
+    if (completedGames.length === 0) {
+      gamesListDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">No completed games yet</p>
+        </div>
+      `;
+      return;
+    }
+
+    const tokens = await getTokenInfo(
+      provider || rpsContract.runner.provider,
+      completedGames.map((game) => game.token),
+      erc20ABI
+    );
+    const gamesWithDetails = completedGames.map((game) =>
+      describeCompletedGame(game, tokens.get(game.token.toLowerCase()))
+    );
+
+    gamesListDiv.innerHTML = gamesWithDetails
+      .map(renderCompletedGameCard)
       .join("");
 
     log(`✅ Loaded ${gamesWithDetails.length} completed game(s)`);
@@ -1219,6 +1039,7 @@ export async function loadCompletedGames(
     console.error("Error loading completed games:", error);
     const gamesListDiv = document.getElementById("takerCompletedGamesList");
     if (gamesListDiv) {
+      delete gamesListDiv.dataset.live;
       gamesListDiv.innerHTML = `
         <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
           <p class="text-sm text-red-600 text-center">Error loading games: ${error.message}</p>
@@ -1235,7 +1056,7 @@ export async function loadAllTakerGames(
   provider,
   initializeContracts,
   startActiveGamesTimer,
-  startAutoRefresh,
+  startLiveUpdates,
   joinGame,
   stopActiveGamesTimer,
   activeGamesData,
@@ -1261,7 +1082,7 @@ export async function loadAllTakerGames(
       provider,
       initializeContracts,
       startActiveGamesTimer,
-      startAutoRefresh,
+      startLiveUpdates,
       joinGame,
       stopActiveGamesTimer,
       activeGamesData,
@@ -1288,3 +1109,314 @@ export async function loadAllTakerGames(
     }
   }
 }
+
+// Live updates: re-read one game and insert, replace or remove its card in
+// each list that is showing real results, instead of reloading whole lists.
+// Sync the game index first so withdrawn games keep their cards.
+const EMPTY_LIST_TEXT = {
+  makerGamesList: "No games created yet. Create your first game above!",
+  takerAvailableGamesList: "No active games waiting for Player 2",
+  takerAwaitingRevealList: "No games awaiting reveal where you are Player 2",
+  takerCompletedGamesList: "No completed games yet",
+};
+
+function findGameCard(listDiv, gameId) {
+  return listDiv.querySelector(`[data-game-card="${gameId}"]`);
+}
+
+// Returns true when the card is new to the list
+function upsertGameCard(listDiv, gameId, html) {
+  const template = document.createElement("template");
+  template.innerHTML = html.trim();
+  const card = template.content.firstElementChild;
+
+  const existing = findGameCard(listDiv, gameId);
+  if (existing) {
+    existing.replaceWith(card);
+    return false;
+  }
+  // Replace the empty-list placeholder with the first card
+  if (!listDiv.querySelector("[data-game-card]")) {
+    listDiv.innerHTML =
+      listDiv.id === "takerAvailableGamesList"
+        ? `<div data-game-cards class="grid grid-cols-1 md:grid-cols-2 gap-4"></div>`
+        : "";
+  }
+  (listDiv.querySelector("[data-game-cards]") || listDiv).prepend(card);
+  return true;
+}
+
+// Returns true when a card was removed
+function removeGameCard(listDiv, gameId) {
+  const existing = findGameCard(listDiv, gameId);
+  if (!existing) return false;
+  existing.remove();
+  if (!listDiv.querySelector("[data-game-card]")) {
+    listDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">${
+            EMPTY_LIST_TEXT[listDiv.id]
+          }</p>
+        </div>
+      `;
+  }
+  return true;
+}
+
+function liveList(id) {
+  const listDiv = document.getElementById(id);
+  return listDiv?.dataset.live === "true" ? listDiv : null;
+}
+
+export async function applyGameUpdate(
+  signer,
+  rpsContract,
+  erc20ABI,
+  provider,
+  gameId,
+  joinGame,
+  activeGamesData,
+  selectedMovesByGame
+) {
+  if (!rpsContract) return;
+
+  const id = gameId.toString();
+  const userAddress = signer ? await signer.getAddress() : null;
+  // withdraw() deletes the struct, but the game index still has the game
+  const indexed = await findIndexedGame(rpsContract, id).catch(() => null);
+  const options = {
+    gameId: id,
+    account: userAddress,
+    payout: indexed?.payout ?? null,
+  };
+  let game = await fetchGame(rpsContract, id, options);
+  if (!game.exists && indexed?.player1) {
+    game = decodeGame(indexedGameAsStruct(indexed), options);
+  }
+  const { player1, player2, state } = game;
+  const tokens = await getTokenInfo(
+    provider || rpsContract.runner.provider,
+    [game.token],
+    erc20ABI
+  );
+  const token = tokens.get(game.token.toLowerCase());
+  const isUser = (address) =>
+    userAddress !== null &&
+    Boolean(address) &&
+    address.toLowerCase() === userAddress.toLowerCase();
+
+  // Open games (also shown in read-only mode)
+  const availableList = liveList("takerAvailableGamesList");
+  if (availableList) {
+    const isOpen =
+      state === GAME_STATE.WAITING_FOR_PLAYER2 &&
+      isJoinableGame(id, game, userAddress);
+    // An open game does not change until someone joins, so existing cards
+    // (and the move picked on them) are left alone
+    if (isOpen && !findGameCard(availableList, id)) {
+      const details = describeAvailableGame(game, token);
+      upsertGameCard(availableList, id, renderAvailableGameCard(details));
+      attachJoinHandler(id, joinGame, selectedMovesByGame);
+      activeGamesData.push({
+        gameId: id,
+        timestamp: details.createdAt,
+        commitmentHash: id,
+      });
+    } else if (!isOpen && removeGameCard(availableList, id)) {
+      const index = activeGamesData.findIndex((g) => g.gameId === id);
+      if (index !== -1) activeGamesData.splice(index, 1);
+      delete selectedMovesByGame[`game-${id}`];
+    }
+  }
+
+  if (!signer) return;
+
+  // Games the user created; withdrawn games are deleted on-chain
+  const makerList = liveList("makerGamesList");
+  if (makerList) {
+    if (isUser(player1)) {
+      const bundleIds = await listProofBundleGameIds().catch(() => new Set());
+      upsertGameCard(
+        makerList,
+        id,
+        renderMakerGameCard(game, token, bundleIds.has(id))
+      );
+    } else {
+      removeGameCard(makerList, id);
+    }
+  }
+
+  // Games the user joined, waiting for the maker
+  const awaitingList = liveList("takerAwaitingRevealList");
+  if (awaitingList) {
+    if (state === GAME_STATE.WAITING_FOR_REVEAL && isUser(player2)) {
+      const details = describeAwaitingRevealGame(game, token);
+      upsertGameCard(awaitingList, id, renderAwaitingRevealCard(details));
+    } else {
+      removeGameCard(awaitingList, id);
+    }
+  }
+
+  // Games the user joined that are settled
+  const completedList = liveList("takerCompletedGamesList");
+  if (completedList) {
+    if (state === GAME_STATE.SETTLED && isUser(player2)) {
+      const details = describeCompletedGame(game, token);
+      upsertGameCard(completedList, id, renderCompletedGameCard(details));
+    } else {
+      removeGameCard(completedList, id);
+    }
+  }
+}
+
+// Public game stats from the game index (game/indexer.js) - no wallet needed,
+// and no log scans beyond the index's own sync
+export async function loadGameStats(rpsContract) {
+  const statsDiv = document.getElementById("publicStats");
+  if (!statsDiv || !rpsContract) return;
+
+  try {
+    const rows = await listAllIndexedGames(rpsContract);
+    const count = (predicate) => rows.filter(predicate).length;
+    const settled = (row) => row.settledBlock !== null;
+
+    const stats = [
+      ["🎲 Games created", rows.length],
+      [
+        "🎯 Open to join",
+        count((row) => row.state === GAME_STATE.WAITING_FOR_PLAYER2),
+      ],
+      [
+        "⏳ Awaiting reveal",
+        count((row) => row.state === GAME_STATE.WAITING_FOR_REVEAL),
+      ],
+      ["🏆 Settled", count(settled)],
+      [
+        "🤝 Ties",
+        count(
+          (row) =>
+            settled(row) && row.winner === ethers.ZeroAddress.toLowerCase()
+        ),
+      ],
+    ];
+    statsDiv.innerHTML = stats
+      .map(
+        ([label, value]) => `
+        <div class="bg-white border-2 border-purple-100 rounded-xl p-3 text-center">
+          <p class="text-2xl font-bold text-purple-600">${value}</p>
+          <p class="text-xs text-gray-600">${label}</p>
+        </div>
+      `
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading game stats:", error);
+    statsDiv.innerHTML = `
+      <div class="col-span-full bg-red-50 border-2 border-red-200 rounded-xl p-3">
+        <p class="text-sm text-red-600 text-center">Could not load stats: ${error.message}</p>
+      </div>
+    `;
+  }
+}
+
+// Most recent settlements from the game index, which keeps the moves and
+// token of games withdraw() has deleted
+export async function loadRecentSettlements(rpsContract, erc20ABI, limit = 6) {
+  const listDiv = document.getElementById("recentSettlementsList");
+  if (!listDiv || !rpsContract) return;
+
+  try {
+    const recent = (await listAllIndexedGames(rpsContract))
+      .filter((row) => row.settledBlock !== null)
+      .sort(
+        (a, b) =>
+          b.settledBlock - a.settledBlock || Number(b.gameId) - Number(a.gameId)
+      )
+      .slice(0, limit);
+
+    if (recent.length === 0) {
+      listDiv.innerHTML = `
+        <div class="bg-gray-50 border-2 border-gray-200 rounded-xl p-4">
+          <p class="text-sm text-gray-600 text-center">No settled games yet</p>
+        </div>
+      `;
+      return;
+    }
+
+    const tokens = await getTokenInfo(
+      rpsContract.runner.provider,
+      recent.map((row) => row.token),
+      erc20ABI
+    );
+
+    const settlements = recent.map((row) => {
+      const game = decodeGame(indexedGameAsStruct(row), {
+        gameId: row.gameId,
+        payout: row.payout,
+      });
+      const token = (row.token && tokens.get(row.token)) || {
+        decimals: 18,
+        symbol: "TOKEN",
+      };
+
+      return {
+        gameId: row.gameId,
+        winner: ethers.getAddress(row.winner),
+        amountFormatted: ethers.formatUnits(
+          BigInt(row.settledAmount ?? 0),
+          token.decimals
+        ),
+        tokenSymbol: token.symbol,
+        player1Move: game.player1Move,
+        player2Move: game.player2Move,
+        withdrawn: row.payout === "withdrawn",
+      };
+    });
+
+    listDiv.innerHTML = settlements
+      .map(
+        ({
+          gameId,
+          winner,
+          amountFormatted,
+          tokenSymbol,
+          player1Move,
+          player2Move,
+          withdrawn,
+        }) => {
+          const isTie = winner === ethers.ZeroAddress;
+          const moves =
+            player1Move !== null && player2Move !== null
+              ? `${MOVE_NAMES[player1Move]} vs ${MOVE_NAMES[player2Move]}`
+              : "Moves not recorded";
+          return `
+        <div class="bg-white border-2 border-gray-200 rounded-xl p-3">
+          <div class="flex justify-between items-center mb-1">
+            <span class="text-xs font-mono text-purple-600 font-bold">#${gameId}</span>
+            <span class="text-xs ${
+              withdrawn ? "text-gray-500" : "text-green-600"
+            }">${withdrawn ? "Withdrawn" : "Settled"}</span>
+          </div>
+          <p class="text-sm text-gray-700">${moves}</p>
+          <p class="text-xs text-gray-600 mt-1">${
+            isTie
+              ? "🤝 Tie"
+              : `🏆 <span class="font-mono" title="${winner}">${winner.slice(
+                  0,
+                  6
+                )}...${winner.slice(-4)}</span>`
+          } · ${amountFormatted} ${tokenSymbol}</p>
+        </div>
+      `;
+        }
+      )
+      .join("");
+  } catch (error) {
+    console.error("Error loading recent settlements:", error);
+    listDiv.innerHTML = `
+      <div class="bg-red-50 border-2 border-red-200 rounded-xl p-4">
+        <p class="text-sm text-red-600 text-center">Could not load settlements: ${error.message}</p>
+      </div>
+    `;
+  }
+}
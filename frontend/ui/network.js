@@ -0,0 +1,21 @@
+import { getNetworkName } from "../utils/network.js";
+
+// Network selector listing every chain in the deployments manifest
+// onSelect(chainId) runs when the user picks a different chain
+export function renderNetworkSelector(manifest, selectedChainId, onSelect) {
+  const select = document.getElementById("networkSelect");
+  if (!select || !manifest) return;
+
+  select.innerHTML = Object.keys(manifest.chains)
+    .map(
+      (chainId) => `
+      <option value="${chainId}" ${
+        chainId === selectedChainId ? "selected" : ""
+      }>${getNetworkName(chainId)} (${chainId})</option>
+    `
+    )
+    .join("");
+  select.classList.toggle("hidden", Object.keys(manifest.chains).length < 2);
+  // Assigned, not added - the selector is re-rendered on every switch
+  select.onchange = () => onSelect(select.value);
+}
@@ -1,16 +1,17 @@
 import { log } from "../utils/logger.js";
+import { chainNow } from "../utils/chainClock.js";
 
 // Timer management for active games
 // Returns timer functions that work with the provided state objects
 export function createTimers(
-  rpsContract,
+  getRpsContract, // Getter function or value
   activeGamesData,
-  selectedMovesByGame,
-  loadAllTakerGames,
-  signer
+  selectedMovesByGame
 ) {
+  // Helper to get value (handles both functions and direct values)
+  const getValue = (getter) =>
+    typeof getter === "function" ? getter() : getter;
   let activeGamesUpdateInterval = null;
-  let autoRefreshInterval = null;
 
   async function startActiveGamesTimer() {
     // Clear existing interval if any
@@ -20,6 +21,7 @@ export function createTimers(
 
     // Get REFUND_TIMEOUT from DegenRPS contract (defaults to 30 minutes = 1800 seconds)
     let refundTimeout = 1800; // default: 30 minutes
+    const rpsContract = getValue(getRpsContract);
     if (rpsContract) {
       try {
         const timeout = await rpsContract.revealTimeout();
@@ -52,36 +54,12 @@ export function createTimers(
     });
   }
 
-  // Auto-refresh games list periodically when on taker view
-  function startAutoRefresh() {
-    // Clear existing interval if any
-    if (autoRefreshInterval) {
-      clearInterval(autoRefreshInterval);
-    }
-
-    // Refresh every 15 seconds
-    autoRefreshInterval = setInterval(() => {
-      const takerView = document.getElementById("takerView");
-      if (takerView && !takerView.classList.contains("hidden") && signer) {
-        console.log("🔄 Auto-refreshing games list...");
-        loadAllTakerGames();
-      }
-    }, 15000); // 15 seconds
-  }
-
-  function stopAutoRefresh() {
-    if (autoRefreshInterval) {
-      clearInterval(autoRefreshInterval);
-      autoRefreshInterval = null;
-    }
-  }
-
   function updateActiveGamesTimers(refundTimeout) {
     if (!activeGamesData || activeGamesData.length === 0) {
       return;
     }
 
-    const now = Math.floor(Date.now() / 1000);
+    const now = chainNow(); // Block time, not the local clock
 
     activeGamesData.forEach(({ commitmentHash, timestamp, gameId }) => {
       const expiryTime = timestamp + refundTimeout;
@@ -156,9 +134,6 @@ export function createTimers(
   return {
     startActiveGamesTimer,
     stopActiveGamesTimer,
-    startAutoRefresh,
-    stopAutoRefresh,
     updateActiveGamesTimers,
   };
 }
-
@@ -0,0 +1,230 @@
+import { log } from "../utils/logger.js";
+import {
+  getVaultHeader,
+  getVaultAccount,
+  isVaultUnlocked,
+  onVaultChange,
+  unlockWithPassphrase,
+  unlockWithSigner,
+  lockVault,
+} from "../utils/vault.js";
+import { exportMakerSecrets, importMakerSecrets } from "../utils/backup.js";
+import {
+  knownDeployments,
+  findOrphanedGames,
+  deleteOrphanedGames,
+  isDeletableOrphan,
+} from "../utils/gameStore.js";
+import { reconcileStoredGames } from "../game/reconcile.js";
+
+// Render the vault status line and which buttons apply
+export function updateVaultStatus() {
+  const statusSpan = document.getElementById("vaultStatus");
+  const passphraseInput = document.getElementById("vaultPassphrase");
+  const passphraseBtn = document.getElementById("vaultUnlockPassphraseBtn");
+  const walletBtn = document.getElementById("vaultUnlockWalletBtn");
+  const lockBtn = document.getElementById("vaultLockBtn");
+  if (!statusSpan) return;
+
+  const account = getVaultAccount();
+  const header = getVaultHeader();
+  const unlocked = isVaultUnlocked();
+  const kdfType = header?.kdf.type;
+
+  if (!account) {
+    statusSpan.textContent = "Connect a wallet to open its vault";
+  } else if (!header) {
+    statusSpan.textContent =
+      "Not set up - choose a passphrase or your wallet to create it";
+  } else if (unlocked) {
+    statusSpan.textContent = `🔓 Unlocked (${
+      kdfType === "signature" ? "wallet key" : "passphrase"
+    })`;
+  } else {
+    statusSpan.textContent = `🔒 Locked (${
+      kdfType === "signature" ? "wallet key" : "passphrase"
+    })`;
+  }
+
+  // A vault only opens with the method it was created with
+  const showPassphrase =
+    !!account && !unlocked && (!header || kdfType === "pbkdf2");
+  const showWallet =
+    !!account && !unlocked && (!header || kdfType === "signature");
+  passphraseInput?.classList.toggle("hidden", !showPassphrase);
+  passphraseBtn?.classList.toggle("hidden", !showPassphrase);
+  walletBtn?.classList.toggle("hidden", !showWallet);
+  lockBtn?.classList.toggle("hidden", !unlocked);
+  document
+    .getElementById("vaultBackupControls")
+    ?.classList.toggle("hidden", !unlocked);
+}
+
+// Wire the vault panel; getSigner returns the connected signer (or null)
+export function setupVaultControls(getSigner) {
+  const passphraseInput = document.getElementById("vaultPassphrase");
+
+  document
+    .getElementById("vaultUnlockPassphraseBtn")
+    ?.addEventListener("click", async () => {
+      try {
+        await unlockWithPassphrase(passphraseInput?.value);
+      } catch (error) {
+        log(`❌ Vault: ${error.message}`);
+      } finally {
+        if (passphraseInput) passphraseInput.value = "";
+      }
+    });
+
+  document
+    .getElementById("vaultUnlockWalletBtn")
+    ?.addEventListener("click", async () => {
+      const signer = getSigner();
+      if (!signer) {
+        log("❌ Connect your wallet first");
+        return;
+      }
+      try {
+        await unlockWithSigner(signer);
+      } catch (error) {
+        log(`❌ Vault: ${error.message}`);
+      }
+    });
+
+  document
+    .getElementById("vaultLockBtn")
+    ?.addEventListener("click", () => lockVault());
+
+  onVaultChange(() => updateVaultStatus());
+  updateVaultStatus();
+}
+
+// Wire export/import of the encrypted secrets backup
+export function setupBackupControls(getSigner, getRpsContract) {
+  const passwordInput = document.getElementById("backupPassword");
+  const fileInput = document.getElementById("importSecretsFile");
+
+  async function currentChainId() {
+    const signer = getSigner();
+    if (!signer?.provider) return null;
+    const network = await signer.provider.getNetwork();
+    return network.chainId;
+  }
+
+  document
+    .getElementById("exportSecretsBtn")
+    ?.addEventListener("click", async () => {
+      try {
+        await exportMakerSecrets(
+          passwordInput?.value,
+          getRpsContract(),
+          await currentChainId()
+        );
+      } catch (error) {
+        log(`❌ Export failed: ${error.message}`);
+      }
+    });
+
+  // The file picker opens first; the password is read once a file is chosen
+  document
+    .getElementById("importSecretsBtn")
+    ?.addEventListener("click", () => fileInput?.click());
+
+  fileInput?.addEventListener("change", async () => {
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    try {
+      await importMakerSecrets(
+        await file.text(),
+        passwordInput?.value,
+        getRpsContract(),
+        await currentChainId()
+      );
+    } catch (error) {
+      log(`❌ Import failed: ${error.message}`);
+    } finally {
+      fileInput.value = "";
+    }
+  });
+}
+
+// Wire the orphaned-records check; getManifest returns the deployments manifest
+export function setupOrphanControls(getManifest) {
+  const reportDiv = document.getElementById("orphanReport");
+  const deleteBtn = document.getElementById("deleteOrphansBtn");
+
+  document
+    .getElementById("findOrphansBtn")
+    ?.addEventListener("click", async () => {
+      try {
+        const orphans = await findOrphanedGames(
+          knownDeployments(getManifest())
+        );
+        deleteBtn?.classList.toggle("hidden", !orphans.some(isDeletableOrphan));
+        if (!reportDiv) return;
+        reportDiv.classList.remove("hidden");
+        reportDiv.innerHTML =
+          orphans.length === 0
+            ? "No orphaned records - everything matches a known deployment"
+            : orphans
+                .map(
+                  (record) =>
+                    `<p class="font-mono break-all">${record.role} game ${
+                      record.gameId ?? "?"
+                    } - ${
+                      record.chainId
+                        ? `chain ${record.chainId}, ${record.contract}`
+                        : "unknown deployment"
+                    }${
+                      record.secret || record.salt
+                        ? " (has secret - kept, export a backup first)"
+                        : !record.chainId
+                        ? " (unscoped - kept)"
+                        : ""
+                    }</p>`
+                )
+                .join("");
+        log(`🔎 Found ${orphans.length} orphaned game record(s)`);
+      } catch (error) {
+        log(`❌ Orphan check failed: ${error.message}`);
+      }
+    });
+
+  deleteBtn?.addEventListener("click", async () => {
+    try {
+      const { deleted, kept } = await deleteOrphanedGames(
+        knownDeployments(getManifest())
+      );
+      deleteBtn.classList.add("hidden");
+      reportDiv?.classList.add("hidden");
+      log(`🗑️ Deleted ${deleted} orphaned game record(s)`);
+      if (kept > 0) {
+        log(
+          `   🔒 Kept ${kept} with a secret or no deployment - nothing deletes those`
+        );
+      }
+    } catch (error) {
+      log(`❌ Could not delete orphaned records: ${error.message}`);
+    }
+  });
+}
+
+// Wire the manual reconciliation of stored games against the chain
+export function setupReconcileControls(getRpsContract) {
+  const button = document.getElementById("reconcileBtn");
+  button?.addEventListener("click", async () => {
+    const rpsContract = getRpsContract();
+    if (!rpsContract) {
+      log("❌ Connect your wallet first");
+      return;
+    }
+    button.disabled = true;
+    try {
+      await reconcileStoredGames(rpsContract);
+    } catch (error) {
+      log(`❌ Reconciliation failed: ${error.message}`);
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,183 @@
+import { ethers } from "ethers";
+import { log } from "./logger.js";
+import { listGames, putMakerGame } from "./gameStore.js";
+import {
+  deriveKeyFromPassphrase,
+  encryptWithKey,
+  decryptWithKey,
+  isVaultUnlocked,
+} from "./vault.js";
+import { GAME_STATE } from "../config/constants.js";
+import { fetchGame } from "../game/decode.js";
+
+// Password-encrypted backup of unrevealed maker games
+// The file holds { format, version, kdf, iv, ciphertext }; the plaintext is a
+// list of { commitment, gameId, salt, move, saltNonce, betAmount, chainId, contract }.
+
+const BACKUP_FORMAT = "degen-rps-secrets-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_PBKDF2_ITERATIONS = 310000;
+
+// Maker games whose salt and move are readable
+async function readableMakerEntries() {
+  const games = await listGames("maker");
+  return games.filter(
+    (entry) => entry.salt && entry.move !== null && entry.move !== undefined
+  );
+}
+
+export async function exportMakerSecrets(password, rpsContract, chainId) {
+  if (!password) throw new Error("Enter a backup password");
+  if (!isVaultUnlocked()) throw new Error("Unlock the vault first");
+
+  const entries = await readableMakerEntries();
+  const pending = [];
+  for (const entry of entries) {
+    // Skip games that are already settled or gone - their salt is public or useless
+    if (rpsContract && entry.gameId) {
+      try {
+        const game = await fetchGame(rpsContract, BigInt(entry.gameId));
+        if (!game.exists || game.state === GAME_STATE.SETTLED) {
+          continue;
+        }
+      } catch (error) {
+        console.warn(`Could not check game ${entry.gameId}:`, error);
+      }
+    }
+    pending.push({
+      commitment: entry.commitment,
+      gameId: entry.gameId,
+      salt: entry.salt,
+      move: entry.move,
+      saltNonce: entry.saltNonce ?? null,
+      betAmount: entry.betAmount ?? null,
+      chainId: chainId?.toString() ?? null,
+      contract: rpsContract?.target ?? null,
+    });
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKeyFromPassphrase(
+    password,
+    salt,
+    BACKUP_PBKDF2_ITERATIONS
+  );
+  const encrypted = await encryptWithKey(key, pending);
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    kdf: {
+      type: "pbkdf2",
+      salt: ethers.hexlify(salt),
+      iterations: BACKUP_PBKDF2_ITERATIONS,
+    },
+    ...encrypted,
+  };
+
+  const blob = new Blob([JSON.stringify(backup, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `degen-rps-secrets-${new Date()
+    .toISOString()
+    .slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+
+  log(`📤 Exported ${pending.length} unrevealed game(s)`);
+  return pending.length;
+}
+
+// Decrypt a backup, check every entry against getGame().commitment and merge
+// the ones that match a live game. Returns { live, stale } lists of entries
+// (stale entries carry a `reason`).
+export async function importMakerSecrets(text, password, rpsContract, chainId) {
+  if (!password) throw new Error("Enter the backup password");
+  if (!isVaultUnlocked()) throw new Error("Unlock the vault first");
+  if (!rpsContract) throw new Error("Connect your wallet first");
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (backup?.format !== BACKUP_FORMAT) {
+    throw new Error("Not a Degen RPS secrets backup");
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+
+  let entries;
+  try {
+    const key = await deriveKeyFromPassphrase(
+      password,
+      ethers.getBytes(backup.kdf.salt),
+      backup.kdf.iterations
+    );
+    entries = await decryptWithKey(key, backup);
+  } catch {
+    throw new Error("Wrong backup password or corrupted file");
+  }
+
+  const live = [];
+  const stale = [];
+  for (const entry of entries) {
+    if (entry.chainId && chainId && entry.chainId !== chainId.toString()) {
+      stale.push({ ...entry, reason: `chain ${entry.chainId}` });
+      continue;
+    }
+    if (
+      entry.contract &&
+      rpsContract &&
+      entry.contract.toLowerCase() !== rpsContract.target.toLowerCase()
+    ) {
+      stale.push({ ...entry, reason: "different DegenRPS contract" });
+      continue;
+    }
+
+    try {
+      const game = await fetchGame(rpsContract, BigInt(entry.gameId));
+      if (game.commitment.toLowerCase() !== entry.commitment.toLowerCase()) {
+        stale.push({
+          ...entry,
+          reason: !game.exists
+            ? "game no longer exists"
+            : "commitment does not match",
+        });
+        continue;
+      }
+      if (game.state === GAME_STATE.SETTLED) {
+        stale.push({ ...entry, reason: "already settled" });
+        continue;
+      }
+    } catch (error) {
+      stale.push({ ...entry, reason: `lookup failed: ${error.message}` });
+      continue;
+    }
+
+    await putMakerGame(
+      entry.commitment,
+      entry.gameId,
+      entry.betAmount,
+      entry.salt,
+      entry.move,
+      { saltNonce: entry.saltNonce }
+    );
+    live.push(entry);
+  }
+
+  log(`📥 Imported ${live.length} live game(s), skipped ${stale.length} stale`);
+  for (const entry of live) {
+    log(`   ✅ Game ${entry.gameId}: matches on-chain commitment`);
+  }
+  for (const entry of stale) {
+    log(`   ⚠️ Game ${entry.gameId}: stale (${entry.reason})`);
+  }
+  return { live, stale };
+}
@@ -0,0 +1,135 @@
+// Chain clock for deadline countdowns
+// The contracts compare deadlines with block.timestamp, which can be far from
+// Date.now() - a skewed system clock, or anvil after evm_increaseTime. The
+// clock samples (block timestamp - local time) on every new block and takes
+// the largest recent sample as the offset: a block is always seen a little
+// after it was stamped, so smaller samples only measure that delay.
+// Samples come from the pending block, which carries the timestamp the next
+// block will get. RPCs without a pending block are sampled with the mined one,
+// whose timestamp can be long past on a quiet chain, so such a sample never
+// puts the estimate behind the local clock.
+// chainNow() is the local clock plus the offset.
+
+const MAX_SAMPLES = 10;
+const JUMP_SECONDS = 30; // A change this big is a time warp, not block delay
+
+let provider = null;
+let offset = 0; // Seconds to add to the local clock
+let samples = [];
+let latestBlock = null; // { number, timestamp } of the last sampled block
+let listening = false; // onBlock is attached to the provider
+const listeners = new Set();
+
+function localSeconds() {
+  return Date.now() / 1000;
+}
+
+// Best estimate of the timestamp the next block will get, in unix seconds
+export function chainNow() {
+  return Math.floor(localSeconds() + offset);
+}
+
+// Seconds until a chain deadline (negative once it has passed)
+export function secondsUntil(deadline) {
+  return Number(deadline) - chainNow();
+}
+
+// listener({ offset, latestBlock, jumped }) after every sync; jumped is true
+// when the chain time moved further than block delay explains
+export function onClockSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function addSample(block, pending) {
+  const elapsed = block.timestamp - localSeconds();
+  const sample = pending ? elapsed : Math.max(elapsed, 0);
+  const jumped = samples.length > 0 && Math.abs(sample - offset) > JUMP_SECONDS;
+  if (jumped) {
+    console.log(
+      `⏱️ Chain time jumped by ${Math.round(sample - offset)}s at block ${
+        block.number
+      }`
+    );
+    samples = [];
+  }
+  samples = [...samples, sample].slice(-MAX_SAMPLES);
+  offset = Math.max(...samples);
+  latestBlock = { number: block.number, timestamp: block.timestamp };
+
+  for (const listener of listeners) {
+    try {
+      listener({ offset, latestBlock, jumped });
+    } catch (error) {
+      console.error("Chain clock listener error:", error);
+    }
+  }
+}
+
+async function fetchPendingBlock(source) {
+  try {
+    return await source.getBlock("pending");
+  } catch {
+    return null; // Not every RPC serves the pending block
+  }
+}
+
+async function sync(blockTag) {
+  const source = provider;
+  try {
+    const pending = await fetchPendingBlock(source);
+    const block = pending || (await source.getBlock(blockTag));
+    if (block && source === provider) addSample(block, !!pending);
+  } catch (error) {
+    console.warn("Could not sync the chain clock:", error);
+  }
+}
+
+function onBlock(blockNumber) {
+  sync(blockNumber);
+}
+
+function listen() {
+  if (listening) return;
+  listening = true;
+  provider
+    .on("block", onBlock)
+    .catch((error) => console.warn("Could not start block listener:", error));
+}
+
+function unlisten() {
+  if (!listening) return;
+  listening = false;
+  provider
+    .off("block", onBlock)
+    .catch((error) => console.warn("Could not stop block listener:", error));
+}
+
+// Nothing counts down in a hidden tab - stop polling for blocks meanwhile
+document.addEventListener("visibilitychange", () => {
+  if (!provider) return;
+  if (document.hidden) {
+    unlisten();
+    return;
+  }
+  listen();
+  sync("latest");
+});
+
+// Follow the chain's blocks; a different provider starts the estimate afresh.
+// A clock started in a hidden tab attaches once the tab is shown.
+export async function startChainClock(nextProvider) {
+  if (!nextProvider || nextProvider === provider) return;
+  stopChainClock();
+  provider = nextProvider;
+  if (!document.hidden) listen();
+  await sync("latest");
+}
+
+export function stopChainClock() {
+  if (provider) unlisten();
+  provider = null;
+  offset = 0;
+  samples = [];
+  latestBlock = null;
+}
@@ -1,6 +1,9 @@
 import { ethers } from "ethers";
 import { log } from "./logger.js";
 import { getNetworkName } from "./network.js";
+import { readManifest } from "./manifest.js";
+import { DEGEN_RPS_FALLBACK_ABI, ERC20_FALLBACK_ABI } from "../config/abis.js";
+import { createProver } from "../game/prover.js";
 
 // Load contract ABIs and addresses from deployments.json
 export async function loadDeployments() {
@@ -26,10 +29,16 @@ export async function loadDeployments() {
       }
       throw new Error(`Expected JSON but got ${contentType}`);
     }
-    const deployments = JSON.parse(text);
+    // deployments holds the chain picked in the network selector
+    const { manifest, deployments } = readManifest(JSON.parse(text));
 
     const DEPLOYED_CHAIN_ID = deployments.chainId?.toString();
     const DEPLOYED_RPC_URL = deployments.rpcUrl;
+    log(
+      `🌐 Network: ${getNetworkName(DEPLOYED_CHAIN_ID)} (${
+        Object.keys(manifest.chains).length
+      } in deployments.json)`
+    );
     let TOKEN0_ADDRESS = null;
     let TOKEN1_ADDRESS = null;
     let RPS_ADDRESS = null;
@@ -74,6 +83,7 @@ export async function loadDeployments() {
 
     log("✅ Deployments loaded");
     return {
+      manifest,
       deployments,
       DEPLOYED_CHAIN_ID,
       DEPLOYED_RPC_URL,
@@ -88,6 +98,7 @@ export async function loadDeployments() {
 }
 
 // Initialize contract instances
+// `signer` may also be a plain provider - the contracts are then read-only
 export async function initializeContracts(
   signer,
   deployments,
@@ -125,48 +136,14 @@ export async function initializeContracts(
       } else {
         log(`⚠️ DegenRPS ABI not found in deployments.json, using fallback`);
         // Fallback to hardcoded ABI if not in deployments
-        degenRPSABI = [
-          "function createGame(address tokenAddress, uint256 betAmount, bytes32 commitment, bytes calldata proof) external returns (uint256)",
-          "function joinGame(uint256 gameId, uint8 move) external",
-          "function revealAndSettle(uint256 gameId, uint8 move, bytes32 salt, bytes calldata proof) external",
-          "function withdraw(uint256 gameId) external",
-          "function refund(uint256 gameId) external",
-          "function getGame(uint256 gameId) external view returns (tuple(address player1, address player2, address token, uint256 betAmount, bytes32 commitment, bytes proof, uint8 player2Move, uint8 player1Move, uint8 state, uint256 createdAt, uint256 revealDeadline, address winner))",
-          "function getGamesWaitingForPlayer2() external view returns (uint256[])",
-          "function getGamesWaitingForReveal() external view returns (uint256[])",
-          "function getGamesByPlayer(address player) external view returns (uint256[])",
-          "function revealTimeout() external view returns (uint256)",
-          "event GameCreated(uint256 indexed gameId, address indexed player1, address indexed token, uint256 betAmount, bytes32 commitment)",
-          "event Player2Joined(uint256 indexed gameId, address indexed player2, uint8 move)",
-          "event MoveRevealed(uint256 indexed gameId, address indexed player1, uint8 move)",
-          "event GameSettled(uint256 indexed gameId, address indexed winner, uint256 amount)",
-          "event PrizeWithdrawn(uint256 indexed gameId, address indexed winner, uint256 amount)",
-          "event GameRefunded(uint256 indexed gameId, address indexed player, uint256 amount)",
-        ];
+        degenRPSABI = DEGEN_RPS_FALLBACK_ABI;
       }
     } else if (RPS_ADDRESS) {
       // Fallback to old RPS_ADDRESS if degenRPS not in deployments
       DEGEN_RPS_ADDRESS = RPS_ADDRESS;
       log(`⚠️ Using RPS_ADDRESS as DegenRPS: ${DEGEN_RPS_ADDRESS}`);
       // Use fallback ABI
-      degenRPSABI = [
-        "function createGame(address tokenAddress, uint256 betAmount, bytes32 commitment, bytes calldata proof) external returns (uint256)",
-        "function joinGame(uint256 gameId, uint8 move) external",
-        "function revealAndSettle(uint256 gameId, uint8 move, bytes32 salt, bytes calldata proof) external",
-        "function withdraw(uint256 gameId) external",
-        "function refund(uint256 gameId) external",
-        "function getGame(uint256 gameId) external view returns (tuple(address player1, address player2, address token, uint256 betAmount, bytes32 commitment, bytes proof, uint8 player2Move, uint8 player1Move, uint8 state, uint256 createdAt, uint256 revealDeadline, address winner))",
-        "function getGamesWaitingForPlayer2() external view returns (uint256[])",
-        "function getGamesWaitingForReveal() external view returns (uint256[])",
-        "function getGamesByPlayer(address player) external view returns (uint256[])",
-        "function revealTimeout() external view returns (uint256)",
-        "event GameCreated(uint256 indexed gameId, address indexed player1, address indexed token, uint256 betAmount, bytes32 commitment)",
-        "event Player2Joined(uint256 indexed gameId, address indexed player2, uint8 move)",
-        "event MoveRevealed(uint256 indexed gameId, address indexed player1, uint8 move)",
-        "event GameSettled(uint256 indexed gameId, address indexed winner, uint256 amount)",
-        "event PrizeWithdrawn(uint256 indexed gameId, address indexed winner, uint256 amount)",
-        "event GameRefunded(uint256 indexed gameId, address indexed player, uint256 amount)",
-      ];
+      degenRPSABI = DEGEN_RPS_FALLBACK_ABI;
     }
 
     let rpsContract = null;
@@ -187,13 +164,7 @@ export async function initializeContracts(
       log(`✅ Token0 ABI loaded from deployments (${erc20ABI.length} entries)`);
     } else {
       // Fallback to minimal ABI
-      erc20ABI = [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-        "function balanceOf(address account) external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-        "function symbol() external view returns (string)",
-      ];
+      erc20ABI = ERC20_FALLBACK_ABI;
     }
 
     let token0Contract = null;
@@ -218,6 +189,29 @@ export async function initializeContracts(
   }
 }
 
+// Read-only contracts on the deployments RPC, for browsing without a wallet
+export async function initializeReadOnlyContracts(
+  deployments,
+  DEPLOYED_RPC_URL,
+  RPS_ADDRESS,
+  TOKEN0_ADDRESS,
+  TOKEN1_ADDRESS
+) {
+  if (!DEPLOYED_RPC_URL) {
+    log("⚠️ No RPC URL in deployments.json - read-only mode unavailable");
+    return null;
+  }
+  const readProvider = new ethers.JsonRpcProvider(DEPLOYED_RPC_URL);
+  const contracts = await initializeContracts(
+    readProvider,
+    deployments,
+    RPS_ADDRESS,
+    TOKEN0_ADDRESS,
+    TOKEN1_ADDRESS
+  );
+  return contracts ? { ...contracts, readProvider } : null;
+}
+
 // Update contract address display
 export async function updateContractAddressDisplay(
   rpsContract,
@@ -272,11 +266,20 @@ export async function updateContractAddressDisplay(
   }
 }
 
-// Initialize Noir
-export async function initNoir() {
+export const CIRCUIT_PATH = "/target/circuit.json";
+
+// Circuit the chain's verifier was generated from. Verifiers deployed before
+// the commitment-bound circuit name the legacy one in deployments.json.
+export function circuitPathFor(deployments) {
+  return deployments?.contracts?.verifier?.circuit || CIRCUIT_PATH;
+}
+
+// Initialize Noir. The Degen page proves with the circuit of the selected
+// chain; the basic page passes the legacy three-input circuit its verifier expects.
+export async function initNoir(circuitPath = CIRCUIT_PATH) {
   try {
     log("Loading circuit...");
-    const circuitResponse = await fetch("/target/circuit.json");
+    const circuitResponse = await fetch(circuitPath);
     if (!circuitResponse.ok) {
       throw new Error(`Failed to load circuit: ${circuitResponse.statusText}`);
     }
@@ -289,25 +292,193 @@ export async function initNoir() {
         text.trim().startsWith("<html")
       ) {
         throw new Error(
-          "Received HTML instead of JSON. /target/circuit.json may not exist or Vercel routing is misconfigured."
+          `Received HTML instead of JSON. ${circuitPath} may not exist or Vercel routing is misconfigured.`
         );
       }
       throw new Error(`Expected JSON but got ${contentType}`);
     }
     const circuit = JSON.parse(text);
 
-    log("Initializing Noir and Barretenberg...");
-    const { Noir } = await import("@noir-lang/noir_js");
-    const { UltraHonkBackend } = await import("@aztec/bb.js");
-    const noir = new Noir(circuit);
-    const backend = new UltraHonkBackend(circuit.bytecode);
+    // Noir and Barretenberg live in the proving worker so proofs don't block the page
+    log("Initializing Noir and Barretenberg in proving worker...");
+    const prover = createProver(circuit);
+    await prover.ready;
     log("✅ Noir initialized successfully");
-    return { circuit, noir, backend };
+    return { circuit, prover };
   } catch (error) {
     log(`❌ Error initializing Noir: ${error.message}`);
-    log("💡 Make sure circuit.json exists in frontend/target/");
+    log(`💡 Make sure ${circuitPath} exists in frontend/public/`);
     console.error("Noir initialization error:", error);
     throw error;
   }
 }
 
+function sameAddress(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Coordinates of the 27 G1 commitments in an UltraHonk verification key
+// (HonkVerificationKey in degen-rps/src/Verifier.sol), less lagrangeFirst,
+// which is always the generator (1, 2) and too small to tell apart
+const VK_COMMITMENT_WORDS = 26 * 2;
+
+// Large PUSH constants in deployed bytecode, as bigints
+function bytecodeConstants(code) {
+  const bytes = ethers.getBytes(code);
+  const constants = new Set();
+  for (let i = 0; i < bytes.length; i++) {
+    const opcode = bytes[i];
+    if (opcode < 0x60 || opcode > 0x7f) continue; // PUSH1..PUSH32
+    const size = opcode - 0x5f;
+    // Coordinates with leading zero bytes are pushed with a shorter PUSH
+    if (size >= 16) {
+      constants.add(ethers.toBigInt(bytes.slice(i + 1, i + 1 + size)));
+    }
+    i += size;
+  }
+  return constants;
+}
+
+// The generated HonkVerifier bakes the key's commitments into its bytecode.
+// Count how many 32-byte words of the circuit's key appear there.
+async function countVkWordsInVerifier(provider, verifierAddress, vk) {
+  const code = await provider.getCode(verifierAddress);
+  if (code === "0x") {
+    throw new Error(`no contract code at verifier ${verifierAddress}`);
+  }
+  const constants = bytecodeConstants(code);
+  const found = new Set();
+  for (let i = 0; i + 32 <= vk.length; i++) {
+    const word = ethers.toBigInt(vk.slice(i, i + 32));
+    if (word >> 128n !== 0n && constants.has(word)) found.add(word);
+  }
+  return found.size;
+}
+
+// Compare the loaded circuit's verification key with the verifier behind
+// DegenRPS: with the vkHash deployments.json records for it, or else with the
+// key constants in the verifier's bytecode. compatible is true/false, or null
+// when there is nothing to compare against (warn only).
+export async function checkVerifierCompatibility(
+  prover,
+  deployments,
+  DEPLOYED_RPC_URL
+) {
+  const result = {
+    compatible: null,
+    circuitVkHash: null,
+    expectedVkHash: null,
+    reason: null,
+  };
+
+  try {
+    log("Checking circuit against deployed verifier...");
+    const vk = await prover.getVerificationKey();
+    result.circuitVkHash = ethers.keccak256(vk);
+    log(`🔑 Circuit vk hash: ${result.circuitVkHash}`);
+
+    const verifierEntry = deployments?.contracts?.verifier;
+    const degenRPSEntry = deployments?.contracts?.degenRPS;
+    const readProvider = DEPLOYED_RPC_URL
+      ? new ethers.JsonRpcProvider(DEPLOYED_RPC_URL)
+      : null;
+    let verifierAddress = verifierEntry?.address || null;
+    result.expectedVkHash = verifierEntry?.vkHash || null;
+
+    // The recorded hash only applies if DegenRPS still uses that verifier
+    if (degenRPSEntry?.address && readProvider) {
+      try {
+        const degenRPS = new ethers.Contract(
+          degenRPSEntry.address,
+          DEGEN_RPS_FALLBACK_ABI,
+          readProvider
+        );
+        const onChainVerifier = await degenRPS.verifier();
+        if (verifierAddress && !sameAddress(onChainVerifier, verifierAddress)) {
+          log(
+            `⚠️ DegenRPS uses verifier ${onChainVerifier}, but deployments.json records ${verifierAddress} - reading its key instead`
+          );
+          result.expectedVkHash = null;
+        }
+        verifierAddress = onChainVerifier;
+      } catch (error) {
+        log(`⚠️ Could not read DegenRPS.verifier(): ${error.message}`);
+      }
+    }
+
+    if (result.expectedVkHash) {
+      if (
+        result.circuitVkHash.toLowerCase() !==
+        result.expectedVkHash.toLowerCase()
+      ) {
+        result.compatible = false;
+        result.reason = `circuit.json vk hash ${result.circuitVkHash} does not match the verifier's ${result.expectedVkHash}`;
+        log(`❌ Circuit/verifier mismatch: ${result.reason}`);
+        return result;
+      }
+      result.compatible = true;
+      log("✅ Circuit matches deployed verifier");
+      return result;
+    }
+
+    // No recorded hash - read the key from the verifier itself
+    if (!verifierAddress || !readProvider) {
+      result.reason =
+        "deployments.json has no vkHash and no verifier to read the key from";
+      log(`⚠️ Cannot check circuit compatibility: ${result.reason}`);
+      return result;
+    }
+    const found = await countVkWordsInVerifier(
+      readProvider,
+      verifierAddress,
+      vk
+    );
+    if (found < VK_COMMITMENT_WORDS) {
+      result.compatible = false;
+      result.reason = `verifier ${verifierAddress} holds ${found} of the ${VK_COMMITMENT_WORDS} verification key constants of circuit.json`;
+      log(`❌ Circuit/verifier mismatch: ${result.reason}`);
+      return result;
+    }
+    result.compatible = true;
+    log("✅ Circuit matches the key in the deployed verifier's bytecode");
+  } catch (error) {
+    result.reason = `compatibility check failed: ${error.message}`;
+    log(`⚠️ ${result.reason}`);
+    console.error("Verifier compatibility error:", error);
+  }
+  return result;
+}
+
+// Show the compatibility diagnostic next to the contract address
+export function updateVerifierCompatibilityDisplay(check) {
+  const displayDiv = document.getElementById("verifierCompatibilityDisplay");
+  if (!displayDiv) return;
+
+  if (!check || check.compatible === true) {
+    displayDiv.classList.add("hidden");
+    displayDiv.innerHTML = "";
+    return;
+  }
+
+  const blocking = check.compatible === false;
+  displayDiv.classList.remove("hidden");
+  displayDiv.innerHTML = `
+    <div class="rounded-2xl p-4 text-sm ${
+      blocking
+        ? "bg-red-50 border border-red-300 text-red-700"
+        : "bg-yellow-50 border border-yellow-300 text-yellow-700"
+    }">
+      <p class="font-semibold">${
+        blocking
+          ? "❌ Circuit does not match the deployed verifier - reveals are disabled"
+          : "⚠️ Circuit compatibility could not be confirmed"
+      }</p>
+      <p class="mt-1 break-all">${check.reason}</p>
+      ${
+        blocking
+          ? `<p class="mt-1">Rebuild circuit.json, redeploy the verifier (circuit/regenerate-verifier.sh) and update deployments.json.</p>`
+          : ""
+      }
+    </div>
+  `;
+}
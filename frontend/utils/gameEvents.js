@@ -0,0 +1,192 @@
+// Live game updates from DegenRPS events
+// While the tab is visible and the provider can filter logs, the game events
+// are subscribed to and the ids of the games they touch are handed to
+// onGames(gameIds), one call per burst of events. Otherwise - tab hidden, or
+// a provider without eth_newFilter - poll() runs on a timer instead, backing
+// off while the tab stays hidden.
+import { log } from "./logger.js";
+
+export const GAME_EVENTS = [
+  "GameCreated",
+  "Player2Joined",
+  "MoveRevealed",
+  "GameSettled",
+  "PrizeWithdrawn",
+  "GameRefunded",
+];
+
+const POLL_INTERVAL_MS = 15000; // Visible tab, no log filters
+const HIDDEN_POLL_INTERVAL_MS = 60000; // First poll after the tab is hidden
+const MAX_POLL_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_DELAY_MS = 250; // MoveRevealed and GameSettled come in one tx
+
+// Some public RPCs reject eth_newFilter, which ethers needs for contract.on()
+async function canFilterLogs(rpsContract) {
+  const provider = rpsContract.runner?.provider || rpsContract.runner;
+  if (!provider?.send) return false;
+  try {
+    const filterId = await provider.send("eth_newFilter", [
+      { address: rpsContract.target },
+    ]);
+    await provider.send("eth_uninstallFilter", [filterId]).catch(() => {});
+    return true;
+  } catch (error) {
+    console.warn("Provider cannot filter logs:", error);
+    return false;
+  }
+}
+
+export function createGameEventSubscription(getRpsContract, onGames, poll) {
+  let target = null; // Contract the subscription is running for
+  let subscribed = null; // Contract the listeners are attached to
+  let mode = "stopped"; // "live" | "polling" | "stopped"
+  let generation = 0; // Bumped on every start/stop to drop stale async work
+  let pollTimeout = null;
+  let pollInterval = POLL_INTERVAL_MS;
+  let batchTimeout = null;
+  const pendingGameIds = new Set();
+  const filterSupport = new WeakMap(); // contract -> boolean
+
+  async function flush() {
+    batchTimeout = null;
+    const gameIds = [...pendingGameIds];
+    pendingGameIds.clear();
+    if (gameIds.length === 0) return;
+    try {
+      await onGames(gameIds);
+    } catch (error) {
+      console.error("Error applying game events:", error);
+    }
+  }
+
+  const listeners = GAME_EVENTS.map((eventName) => [
+    eventName,
+    (gameId) => {
+      console.log(`📡 ${eventName} for game ${gameId}`);
+      pendingGameIds.add(gameId.toString());
+      if (!batchTimeout) batchTimeout = setTimeout(flush, BATCH_DELAY_MS);
+    },
+  ]);
+
+  async function subscribe(rpsContract) {
+    subscribed = rpsContract;
+    for (const [eventName, listener] of listeners) {
+      await rpsContract.on(eventName, listener);
+    }
+  }
+
+  async function unsubscribe() {
+    if (!subscribed) return;
+    const rpsContract = subscribed;
+    subscribed = null;
+    for (const [eventName, listener] of listeners) {
+      await rpsContract
+        .off(eventName, listener)
+        .catch((error) => console.warn("Could not remove listener:", error));
+    }
+  }
+
+  function schedulePoll(delay) {
+    clearTimeout(pollTimeout);
+    pollTimeout = setTimeout(async () => {
+      const run = generation;
+      try {
+        await poll();
+      } catch (error) {
+        console.error("Error polling games:", error);
+      }
+      if (run !== generation || mode !== "polling") return;
+      // Back off while nobody is looking
+      pollInterval = document.hidden
+        ? Math.min(pollInterval * 2, MAX_POLL_INTERVAL_MS)
+        : POLL_INTERVAL_MS;
+      schedulePoll(pollInterval);
+    }, delay);
+  }
+
+  function startPolling(reason) {
+    console.log(`🔄 Polling for game updates (${reason})`);
+    mode = "polling";
+    pollInterval = document.hidden ? HIDDEN_POLL_INTERVAL_MS : POLL_INTERVAL_MS;
+    schedulePoll(pollInterval);
+  }
+
+  // Start, or move the subscription to the current contract
+  async function start() {
+    const rpsContract = getRpsContract();
+    if (!rpsContract) {
+      await stop();
+      return;
+    }
+    if (rpsContract === target && mode !== "stopped") return;
+
+    const run = ++generation;
+    target = rpsContract;
+    clearTimeout(pollTimeout);
+    await unsubscribe();
+
+    if (document.hidden) {
+      startPolling("tab hidden");
+      return;
+    }
+    if (!filterSupport.has(rpsContract)) {
+      const supported = await canFilterLogs(rpsContract);
+      filterSupport.set(rpsContract, supported);
+      if (!supported) {
+        log("ℹ️ This RPC cannot stream events - refreshing games every 15s");
+      }
+    }
+    if (run !== generation) return; // Stopped or moved on meanwhile
+    if (document.hidden) {
+      startPolling("tab hidden");
+      return;
+    }
+    if (!filterSupport.get(rpsContract)) {
+      startPolling("no log filters");
+      return;
+    }
+
+    mode = "live";
+    try {
+      await subscribe(rpsContract);
+      console.log("📡 Live game updates on");
+    } catch (error) {
+      console.warn("Could not subscribe to game events:", error);
+      await unsubscribe();
+      if (run === generation) startPolling("subscribe failed");
+    }
+  }
+
+  async function stop() {
+    generation++;
+    target = null;
+    mode = "stopped";
+    clearTimeout(pollTimeout);
+    clearTimeout(batchTimeout);
+    batchTimeout = null;
+    pendingGameIds.clear();
+    await unsubscribe();
+  }
+
+  document.addEventListener("visibilitychange", async () => {
+    if (!target) return;
+    if (document.hidden) {
+      if (mode !== "live") return; // Polling already backs off
+      generation++;
+      await unsubscribe();
+      startPolling("tab hidden");
+      return;
+    }
+    // Visible again: catch up on what was missed, then go live
+    mode = "stopped";
+    clearTimeout(pollTimeout);
+    try {
+      await poll();
+    } catch (error) {
+      console.error("Error refreshing games:", error);
+    }
+    await start();
+  });
+
+  return { start, stop };
+}
@@ -0,0 +1,807 @@
+import {
+  encryptSecret,
+  decryptSecret,
+  isVaultUnlocked,
+  onVaultChange,
+} from "./vault.js";
+import { GAME_STATE } from "../config/constants.js";
+import { broadcast } from "./tabSync.js";
+import { fetchGame } from "../game/decode.js";
+
+// IndexedDB store for tracked games
+// One record per game and role in the "games" object store, indexed by gameId,
+// commitment, role and state. Maker salt and move are kept in the encrypted
+// vault (utils/vault.js) as an AES-GCM `secret`, so saving requires an unlocked
+// vault. Schema changes bump SCHEMA_VERSION and add a step to migrate().
+//
+// Every record belongs to a context - (chainId, DegenRPS address, player) -
+// and reads and writes only see the active one (setStoreContext). Writes are
+// announced to other open tabs as "store-write" messages (utils/tabSync.js).
+// Finished games move to the "archive" store (see game/reconcile.js). A maker
+// record also holds the encrypted proof bundle of its confirmed reveal.
+//
+// The "gameIndex" store is separate from all of that: one row per game and
+// DegenRPS deployment, rebuilt from contract events by game/indexer.js, with
+// the indexer's progress per deployment in "indexCursors".
+
+const DB_NAME = "degen-rps";
+export const SCHEMA_VERSION = 4;
+const GAMES_STORE = "games";
+const ARCHIVE_STORE = "archive";
+const INDEX_STORE = "gameIndex";
+const INDEX_CURSOR_STORE = "indexCursors";
+
+// Context of records written before namespacing, until claimUnscopedGames()
+const UNSCOPED = { chainId: "", contract: "", account: "" };
+
+// localStorage blobs written before this store existed
+const LEGACY_MAKER_KEY = "makerGames";
+const LEGACY_TAKER_KEY = "takerGames";
+const LEGACY_BUNDLE_KEY = "proofBundles";
+
+let dbPromise = null;
+let activeContext = null; // { chainId, contract, account }, all lowercase strings
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
+
+function recordId(context, role, gameId, commitment = null) {
+  const { chainId, contract, account } = context;
+  return `${chainId}:${contract}:${account}:${role}:${
+    gameId?.toString() ?? commitment.toLowerCase()
+  }`;
+}
+
+// Schema 1 ids, only used by the migration from it
+function legacyRecordId(role, gameId, commitment = null) {
+  return `${role}:${gameId?.toString() ?? commitment.toLowerCase()}`;
+}
+
+export function setStoreContext({ chainId, contract, account }) {
+  activeContext = {
+    chainId: chainId.toString(),
+    contract: contract.toLowerCase(),
+    account: account.toLowerCase(),
+  };
+}
+
+// No wallet connected - store calls fail until setStoreContext() runs again
+export function clearStoreContext() {
+  activeContext = null;
+}
+
+export function getStoreContext() {
+  return activeContext;
+}
+
+function requireContext() {
+  if (!activeContext) {
+    throw new Error("Connect your wallet first - no active game store context");
+  }
+  return activeContext;
+}
+
+function inContext(record, context) {
+  return (
+    record.chainId === context.chainId &&
+    record.contract === context.contract &&
+    record.account === context.account
+  );
+}
+
+function readLegacyBlob(key) {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error(`Error reading legacy ${key}:`, error);
+    return {};
+  }
+}
+
+// The old maker blob kept every game under both its commitment and its gameId
+function legacyMakerRecords() {
+  const games = readLegacyBlob(LEGACY_MAKER_KEY);
+  const merged = new Map();
+  for (const key in games) {
+    const entry = games[key];
+    const dedupeKey = entry.commitment?.toLowerCase() || entry.gameId;
+    if (!dedupeKey) continue;
+    const existing = merged.get(dedupeKey);
+    merged.set(dedupeKey, {
+      ...existing,
+      ...entry,
+      gameId: entry.gameId ?? existing?.gameId,
+    });
+  }
+
+  return [...merged.values()].map((entry) => {
+    const record = {
+      id: legacyRecordId("maker", entry.gameId, entry.commitment),
+      role: "maker",
+      gameId: entry.gameId?.toString() ?? null,
+      commitment: entry.commitment?.toLowerCase() ?? null,
+      betAmount: entry.betAmount ?? null,
+      state: null,
+      timestamp: entry.timestamp ?? Date.now(),
+    };
+    // Plaintext entries from before the vault are encrypted on the next unlock
+    if (entry.secret) {
+      record.secret = entry.secret;
+    } else {
+      record.salt = entry.salt ?? null;
+      record.move = entry.move ?? null;
+      record.saltNonce = entry.saltNonce ?? null;
+    }
+    return record;
+  });
+}
+
+function legacyTakerRecords() {
+  const games = readLegacyBlob(LEGACY_TAKER_KEY);
+  return Object.values(games)
+    .filter((entry) => entry.gameId !== undefined && entry.gameId !== null)
+    .map((entry) => ({
+      id: legacyRecordId("taker", entry.gameId),
+      role: "taker",
+      gameId: entry.gameId.toString(),
+      commitment: null,
+      betAmount: entry.betAmount ?? null,
+      state: null,
+      timestamp: entry.timestamp ?? Date.now(),
+    }));
+}
+
+// Runs inside the versionchange transaction, one step per schema version
+function migrate(db, tx, oldVersion) {
+  if (oldVersion < 1) {
+    const store = db.createObjectStore(GAMES_STORE, { keyPath: "id" });
+    store.createIndex("gameId", "gameId");
+    store.createIndex("commitment", "commitment");
+    store.createIndex("role", "role");
+    store.createIndex("state", "state");
+
+    const records = [...legacyMakerRecords(), ...legacyTakerRecords()];
+    for (const record of records) {
+      store.put(record);
+    }
+    // Only drop the old blobs once the import has committed
+    tx.addEventListener("complete", () => {
+      localStorage.removeItem(LEGACY_MAKER_KEY);
+      localStorage.removeItem(LEGACY_TAKER_KEY);
+      if (records.length > 0) {
+        console.log(
+          `✅ Imported ${records.length} game(s) from localStorage into IndexedDB`
+        );
+      }
+    });
+  }
+
+  if (oldVersion < 2) {
+    const store = tx.objectStore(GAMES_STORE);
+    store.createIndex("context", ["chainId", "contract", "account", "role"]);
+
+    // Nothing records where older entries came from - park them as unscoped
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      const record = cursor.value;
+      if (record.chainId === undefined) {
+        cursor.delete();
+        store.put({
+          ...record,
+          ...UNSCOPED,
+          id: recordId(UNSCOPED, record.role, record.gameId, record.commitment),
+        });
+      }
+      cursor.continue();
+    };
+  }
+
+  if (oldVersion < 3) {
+    tx.objectStore(GAMES_STORE).createIndex("status", "status");
+    const archive = db.createObjectStore(ARCHIVE_STORE, { keyPath: "id" });
+    archive.createIndex("archivedAt", "archivedAt");
+  }
+
+  if (oldVersion < 4) {
+    const index = db.createObjectStore(INDEX_STORE, { keyPath: "id" });
+    index.createIndex("deployment", ["chainId", "contract"]);
+    index.createIndex("player1", ["chainId", "contract", "player1"]);
+    index.createIndex("player2", ["chainId", "contract", "player2"]);
+    db.createObjectStore(INDEX_CURSOR_STORE, { keyPath: "id" });
+  }
+}
+
+export function openGameStore() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+      request.onupgradeneeded = (event) => {
+        migrate(request.result, request.transaction, event.oldVersion);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        console.warn("Game store upgrade blocked by another open tab");
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// fn gets one object store per name, in order
+async function readRecords(fn, storeNames = [GAMES_STORE]) {
+  const db = await openGameStore();
+  const tx = db.transaction(storeNames, "readonly");
+  return fn(...storeNames.map((name) => tx.objectStore(name)));
+}
+
+async function writeRecords(fn, storeNames = [GAMES_STORE]) {
+  const db = await openGameStore();
+  const tx = db.transaction(storeNames, "readwrite");
+  const done = transactionDone(tx);
+  const result = await fn(...storeNames.map((name) => tx.objectStore(name)));
+  await done;
+  return result;
+}
+
+// Records come back with salt/move decrypted while the vault is unlocked;
+// while it is locked they have salt = move = null and locked = true
+async function withSecret(record) {
+  if (!record?.secret) return record; // taker record or plaintext legacy entry
+
+  const { secret, ...rest } = record;
+  if (!isVaultUnlocked()) {
+    return { ...rest, salt: null, move: null, locked: true };
+  }
+  try {
+    return { ...rest, ...(await decryptSecret(secret)) };
+  } catch (error) {
+    console.error(`Could not decrypt game record ${record.id}:`, error);
+    return { ...rest, salt: null, move: null, locked: true };
+  }
+}
+
+export async function putMakerGame(
+  commitment,
+  gameId,
+  betAmount,
+  salt = null,
+  move = null,
+  gameState = {}
+) {
+  const gameIdStr = gameId?.toString() ?? null;
+  if (!commitment && !gameIdStr) {
+    console.warn("Cannot save maker game: no commitment or gameId");
+    return;
+  }
+
+  // Encrypt before opening the transaction - it would commit while we wait
+  const secret = await encryptSecret({
+    salt: salt || gameState.salt,
+    move: move !== null ? move : gameState.move,
+    saltNonce: gameState.saltNonce ?? null, // Wallet-derived salt nonce, if any
+  });
+
+  const context = requireContext();
+  const id = recordId(context, "maker", gameIdStr, commitment);
+  // Once the gameId is known, the record saved before sending createGame
+  // (keyed by commitment) is replaced by this one
+  const pendingId =
+    gameIdStr && commitment
+      ? recordId(context, "maker", null, commitment)
+      : null;
+  await writeRecords(async (store) => {
+    const existing = await promisify(store.get(id));
+    if (pendingId) store.delete(pendingId);
+    store.put({
+      id,
+      ...context,
+      role: "maker",
+      gameId: gameIdStr,
+      commitment: commitment?.toLowerCase() ?? existing?.commitment ?? null,
+      betAmount: betAmount ?? existing?.betAmount ?? null,
+      secret,
+      state: existing?.state ?? GAME_STATE.WAITING_FOR_PLAYER2,
+      timestamp: existing?.timestamp ?? Date.now(),
+    });
+  });
+  broadcast("store-write", { role: "maker", gameId: gameIdStr });
+  console.log(
+    `✅ Saved maker game: commitment=${commitment?.slice(
+      0,
+      10
+    )}..., gameId=${gameIdStr}`
+  );
+}
+
+// Drop the record saved before sending a createGame that never landed
+export async function deletePendingMakerGame(commitment) {
+  await writeRecords((store) =>
+    promisify(
+      store.delete(recordId(requireContext(), "maker", null, commitment))
+    )
+  );
+  broadcast("store-write", { role: "maker", gameId: null });
+}
+
+export async function putTakerGame(gameId, commitment, betAmount) {
+  const context = requireContext();
+  const id = recordId(context, "taker", gameId);
+  await writeRecords(async (store) => {
+    const existing = await promisify(store.get(id));
+    store.put({
+      id,
+      ...context,
+      role: "taker",
+      gameId: gameId.toString(),
+      commitment: commitment?.toLowerCase() ?? existing?.commitment ?? null,
+      betAmount: betAmount?.toString() ?? existing?.betAmount ?? null,
+      state: existing?.state ?? GAME_STATE.WAITING_FOR_REVEAL,
+      timestamp: existing?.timestamp ?? Date.now(),
+    });
+  });
+  broadcast("store-write", { role: "taker", gameId: gameId.toString() });
+}
+
+// Maker record by gameId, falling back to the commitment index
+export async function findMakerGame({ gameId = null, commitment = null }) {
+  const context = requireContext();
+  const record = await readRecords(async (store) => {
+    if (gameId !== null && gameId !== undefined) {
+      const byId = await promisify(
+        store.get(recordId(context, "maker", gameId))
+      );
+      if (byId) return byId;
+    }
+    if (commitment) {
+      const matches = await promisify(
+        store.index("commitment").getAll(commitment.toLowerCase())
+      );
+      return (
+        matches.find(
+          (entry) => entry.role === "maker" && inContext(entry, context)
+        ) || null
+      );
+    }
+    return null;
+  });
+  return withSecret(record);
+}
+
+export async function listGames(role) {
+  const { chainId, contract, account } = requireContext();
+  const records = await readRecords((store) =>
+    promisify(store.index("context").getAll([chainId, contract, account, role]))
+  );
+  return Promise.all(records.map(withSecret));
+}
+
+// Record the last on-chain GameState seen for a tracked game
+export async function updateGameState(role, gameId, state) {
+  const id = recordId(requireContext(), role, gameId);
+  const changed = await writeRecords(async (store) => {
+    const existing = await promisify(store.get(id));
+    if (!existing || existing.state === state) return false;
+    store.put({ ...existing, state });
+    return true;
+  });
+  if (changed) {
+    broadcast("store-write", { role, gameId: gameId.toString() });
+  }
+}
+
+export async function deleteGame(role, gameId) {
+  await writeRecords((store) =>
+    promisify(store.delete(recordId(requireContext(), role, gameId)))
+  );
+  broadcast("store-write", { role, gameId: gameId.toString() });
+}
+
+// Result of the last reconciliation against the chain (game/reconcile.js)
+export async function setGameStatus(role, gameId, status, state) {
+  const id = recordId(requireContext(), role, gameId);
+  await writeRecords(async (store) => {
+    const existing = await promisify(store.get(id));
+    if (!existing) return;
+    store.put({
+      ...existing,
+      status,
+      state: state === undefined ? existing.state : state,
+      reconciledAt: Date.now(),
+    });
+  });
+}
+
+// Move finished games to the archive without their secret
+export async function archiveGames(games) {
+  const context = requireContext();
+  const archived = await writeRecords(
+    async (store, archive) => {
+      let count = 0;
+      for (const { role, gameId } of games) {
+        const id = recordId(context, role, gameId);
+        const existing = await promisify(store.get(id));
+        if (!existing) continue;
+        const record = { ...existing, archivedAt: Date.now() };
+        for (const field of ["secret", "salt", "move", "saltNonce"]) {
+          delete record[field];
+        }
+        archive.put(record);
+        store.delete(id);
+        count++;
+      }
+      return count;
+    },
+    [GAMES_STORE, ARCHIVE_STORE]
+  );
+  if (archived > 0) {
+    broadcast("store-write", { role: null, gameId: null });
+  }
+  return archived;
+}
+
+// Maker record of the active context, live or archived
+async function readMakerRecord(context, gameId) {
+  const id = recordId(context, "maker", gameId);
+  return readRecords(
+    async (store, archive) =>
+      (await promisify(store.get(id))) ||
+      (await promisify(archive.get(id))) ||
+      null,
+    [GAMES_STORE, ARCHIVE_STORE]
+  );
+}
+
+// Keep the proof bundle (game/bundle.js) of a confirmed reveal, encrypted like
+// the salt. Archiving keeps it: once revealed, salt and move are public anyway.
+export async function putProofBundle(gameId, bundle) {
+  const proofBundle = await encryptSecret(bundle);
+  const id = recordId(requireContext(), "maker", gameId);
+  const saved = await writeRecords(
+    async (store, archive) => {
+      for (const target of [store, archive]) {
+        const existing = await promisify(target.get(id));
+        if (existing) {
+          target.put({ ...existing, proofBundle });
+          return true;
+        }
+      }
+      return false;
+    },
+    [GAMES_STORE, ARCHIVE_STORE]
+  );
+  if (saved) {
+    broadcast("store-write", { role: "maker", gameId: gameId.toString() });
+  }
+  return saved;
+}
+
+// Decrypted proof bundle, or null if none was saved; throws while locked
+export async function getProofBundle(gameId) {
+  const record = await readMakerRecord(requireContext(), gameId);
+  if (!record?.proofBundle) return null;
+  return decryptSecret(record.proofBundle);
+}
+
+// gameIds of the active context's maker games that have a proof bundle
+export async function listProofBundleGameIds() {
+  const context = requireContext();
+  const { chainId, contract, account } = context;
+  const records = await readRecords(
+    async (store, archive) => [
+      ...(await promisify(
+        store.index("context").getAll([chainId, contract, account, "maker"])
+      )),
+      ...(await promisify(archive.getAll())),
+    ],
+    [GAMES_STORE, ARCHIVE_STORE]
+  );
+  return new Set(
+    records
+      .filter(
+        (record) =>
+          record.role === "maker" &&
+          record.proofBundle &&
+          inContext(record, context)
+      )
+      .map((record) => record.gameId)
+  );
+}
+
+// Bundles used to sit in localStorage keyed only by gameId. Each one moves to
+// the active context's maker record when chain, contract and commitment
+// match; others stay until the account they belong to unlocks.
+export async function migrateLegacyProofBundles() {
+  const context = activeContext;
+  const bundles = readLegacyBlob(LEGACY_BUNDLE_KEY);
+  if (!context || Object.keys(bundles).length === 0) return 0;
+
+  let moved = 0;
+  for (const [gameId, bundle] of Object.entries(bundles)) {
+    if (
+      bundle?.chainId !== context.chainId ||
+      bundle.contractAddress?.toLowerCase() !== context.contract
+    ) {
+      continue;
+    }
+    const record = await readMakerRecord(context, gameId);
+    if (!record || record.commitment !== bundle.commitment?.toLowerCase()) {
+      continue;
+    }
+    if (await putProofBundle(gameId, bundle)) {
+      delete bundles[gameId];
+      moved++;
+    }
+  }
+
+  if (Object.keys(bundles).length === 0) {
+    localStorage.removeItem(LEGACY_BUNDLE_KEY);
+  } else if (moved > 0) {
+    localStorage.setItem(LEGACY_BUNDLE_KEY, JSON.stringify(bundles));
+  }
+  if (moved > 0) {
+    console.log(`✅ Moved ${moved} proof bundle(s) into the game store`);
+  }
+  return moved;
+}
+
+export async function listArchivedGames() {
+  const context = requireContext();
+  const records = await readRecords(
+    (archive) => promisify(archive.getAll()),
+    [ARCHIVE_STORE]
+  );
+  return records.filter((record) => inContext(record, context));
+}
+
+// Drop archived records (any context) archived more than maxAgeMs ago
+export async function pruneArchive(maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  return writeRecords(
+    async (archive) => {
+      const keys = await promisify(
+        archive.index("archivedAt").getAllKeys(IDBKeyRange.upperBound(cutoff))
+      );
+      for (const key of keys) {
+        archive.delete(key);
+      }
+      return keys.length;
+    },
+    [ARCHIVE_STORE]
+  );
+}
+
+// Move unscoped records into the active context when the chain agrees they are
+// ours: same commitment and we are player1 (maker) or player2 (taker)
+export async function claimUnscopedGames(rpsContract) {
+  const context = requireContext();
+  const unscoped = (
+    await readRecords((store) => promisify(store.getAll()))
+  ).filter((record) => inContext(record, UNSCOPED) && record.gameId);
+  if (unscoped.length === 0) return 0;
+
+  const claimed = [];
+  for (const record of unscoped) {
+    try {
+      const game = await fetchGame(rpsContract, BigInt(record.gameId));
+      const player = record.role === "maker" ? game.player1 : game.player2;
+      const { commitment } = game;
+      if (
+        game.exists &&
+        player?.toLowerCase() === context.account &&
+        (!record.commitment || record.commitment === commitment.toLowerCase())
+      ) {
+        claimed.push(record);
+      }
+    } catch (error) {
+      console.warn(`Could not check unscoped game ${record.gameId}:`, error);
+    }
+  }
+
+  await writeRecords(async (store) => {
+    for (const record of claimed) {
+      store.delete(record.id);
+      store.put({
+        ...record,
+        ...context,
+        id: recordId(context, record.role, record.gameId),
+      });
+    }
+  });
+  if (claimed.length > 0) {
+    broadcast("store-write", { role: null, gameId: null });
+    console.log(`✅ Claimed ${claimed.length} unscoped game record(s)`);
+  }
+  return claimed.length;
+}
+
+// [{ chainId, contract }] for every DegenRPS deployment in the manifest
+export function knownDeployments(manifest) {
+  return Object.entries(manifest?.chains || {})
+    .filter(([, chain]) => chain.contracts?.degenRPS?.address)
+    .map(([chainId, chain]) => ({
+      chainId: chainId.toString(),
+      contract: chain.contracts.degenRPS.address.toLowerCase(),
+    }));
+}
+
+// Records (any account) whose chain and contract match no known deployment,
+// including unscoped records nobody has claimed
+export async function findOrphanedGames(known) {
+  const keys = new Set(
+    known.map(({ chainId, contract }) => `${chainId}:${contract.toLowerCase()}`)
+  );
+  const records = await readRecords((store) => promisify(store.getAll()));
+  return records.filter(
+    (record) => !keys.has(`${record.chainId}:${record.contract}`)
+  );
+}
+
+// Only an orphan without a salt can go: a secret may belong to a deployment
+// missing from the manifest, and unscoped records may still be claimed
+export function isDeletableOrphan(record) {
+  return !!record.chainId && !record.secret && !record.salt;
+}
+
+// Returns { deleted, kept }
+export async function deleteOrphanedGames(known) {
+  const orphans = await findOrphanedGames(known);
+  const deletable = orphans.filter(isDeletableOrphan);
+  await writeRecords(async (store) => {
+    for (const record of deletable) {
+      store.delete(record.id);
+    }
+  });
+  if (deletable.length > 0) {
+    broadcast("store-write", { role: null, gameId: null });
+  }
+  return { deleted: deletable.length, kept: orphans.length - deletable.length };
+}
+
+// Move plaintext salts/moves imported from before the vault existed into it
+export async function migratePlaintextSecrets() {
+  const records = await readRecords((store) =>
+    promisify(store.index("role").getAll("maker"))
+  );
+  const plaintext = records.filter(
+    (record) => !record.secret && record.salt !== undefined
+  );
+  if (plaintext.length === 0) return 0;
+
+  const encrypted = [];
+  for (const record of plaintext) {
+    const { salt, move, saltNonce = null, ...rest } = record;
+    encrypted.push({
+      ...rest,
+      secret: await encryptSecret({ salt, move, saltNonce }),
+    });
+  }
+  await writeRecords(async (store) => {
+    for (const record of encrypted) {
+      store.put(record);
+    }
+  });
+  console.log(
+    `✅ Migrated ${encrypted.length} plaintext maker entries into vault`
+  );
+  return encrypted.length;
+}
+
+// Migrate as soon as a key is available
+onVaultChange(async (unlocked) => {
+  if (unlocked) {
+    await migratePlaintextSecrets();
+    await migrateLegacyProofBundles();
+  }
+});
+
+// Event index rows and cursors (game/indexer.js)
+// A deployment is { chainId, contract } with both as lowercase strings
+function deploymentId({ chainId, contract }) {
+  return `${chainId}:${contract}`;
+}
+
+function indexRowId(deployment, gameId) {
+  return `${deploymentId(deployment)}:${gameId.toString()}`;
+}
+
+export async function getIndexCursor(deployment) {
+  const cursor = await readRecords(
+    (cursors) => promisify(cursors.get(deploymentId(deployment))),
+    [INDEX_CURSOR_STORE]
+  );
+  return cursor || null;
+}
+
+// Apply one chunk of events atomically: update(row | null, gameId) returns the
+// new row for every gameId, and the cursor moves in the same transaction.
+// Nothing is written, and false returned, unless the stored cursor is still at
+// previousBlock (null for none) - another tab may have indexed the chunk.
+export async function updateIndexedGames(
+  deployment,
+  gameIds,
+  update,
+  cursor,
+  previousBlock
+) {
+  return writeRecords(
+    async (index, cursors) => {
+      const stored = await promisify(cursors.get(deploymentId(deployment)));
+      if ((stored?.lastBlock ?? null) !== previousBlock) return false;
+      for (const gameId of gameIds) {
+        const id = indexRowId(deployment, gameId);
+        const existing = await promisify(index.get(id));
+        index.put({
+          ...update(existing || null, gameId.toString()),
+          ...deployment,
+          id,
+          gameId: gameId.toString(),
+        });
+      }
+      cursors.put({ ...cursor, ...deployment, id: deploymentId(deployment) });
+      return true;
+    },
+    [INDEX_STORE, INDEX_CURSOR_STORE]
+  );
+}
+
+// Forget everything indexed for a deployment, so it is rebuilt from scratch
+export async function clearIndex(deployment) {
+  const { chainId, contract } = deployment;
+  await writeRecords(
+    async (index, cursors) => {
+      const keys = await promisify(
+        index.index("deployment").getAllKeys([chainId, contract])
+      );
+      for (const key of keys) {
+        index.delete(key);
+      }
+      cursors.delete(deploymentId(deployment));
+    },
+    [INDEX_STORE, INDEX_CURSOR_STORE]
+  );
+}
+
+export async function getIndexedGame(deployment, gameId) {
+  const row = await readRecords(
+    (index) => promisify(index.get(indexRowId(deployment, gameId))),
+    [INDEX_STORE]
+  );
+  return row || null;
+}
+
+export async function listIndexedGamesByDeployment(deployment) {
+  const { chainId, contract } = deployment;
+  return readRecords(
+    (index) => promisify(index.index("deployment").getAll([chainId, contract])),
+    [INDEX_STORE]
+  );
+}
+
+// Rows where the address is player1 or player2 (role "player1" | "player2")
+export async function listIndexedGamesByPlayer(deployment, role, address) {
+  const { chainId, contract } = deployment;
+  return readRecords(
+    (index) =>
+      promisify(
+        index.index(role).getAll([chainId, contract, address.toLowerCase()])
+      ),
+    [INDEX_STORE]
+  );
+}
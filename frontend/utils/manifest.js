@@ -0,0 +1,56 @@
+import { registerChains } from "./network.js";
+
+// Multi-chain deployments manifest (deployments.json)
+// { version, defaultChainId, chains: { [chainId]: { name, rpcUrl, explorerUrl,
+//   nativeCurrency, deploymentBlock, contracts } } }
+// A pre-manifest file ({ chainId, rpcUrl, contracts }) reads as a one-chain
+// manifest. Pages work on one chain at a time, picked with the network selector.
+
+export const MANIFEST_VERSION = 2;
+const SELECTED_CHAIN_KEY = "selectedChainId";
+
+export function normalizeManifest(json) {
+  if (json?.chains) return json;
+  const chainId = json?.chainId?.toString();
+  if (!chainId) throw new Error("deployments.json lists no chain");
+  return {
+    version: MANIFEST_VERSION,
+    defaultChainId: chainId,
+    chains: {
+      [chainId]: {
+        rpcUrl: json.rpcUrl,
+        deploymentBlock: json.contracts?.degenRPS?.blockNumber ?? null,
+        contracts: json.contracts || {},
+      },
+    },
+  };
+}
+
+// The chain chosen in the network selector if the manifest still lists it,
+// else the manifest default
+export function getSelectedChainId(manifest) {
+  const stored = localStorage.getItem(SELECTED_CHAIN_KEY);
+  if (stored && manifest.chains[stored]) return stored;
+  return manifest.defaultChainId?.toString() || Object.keys(manifest.chains)[0];
+}
+
+export function selectChain(chainId) {
+  localStorage.setItem(SELECTED_CHAIN_KEY, chainId.toString());
+}
+
+// One chain in the single-chain shape the pages read:
+// { chainId, rpcUrl, contracts, name, explorerUrl, nativeCurrency, deploymentBlock }
+export function getChainDeployments(manifest, chainId) {
+  const chain = manifest.chains[chainId];
+  if (!chain) throw new Error(`Chain ${chainId} is not in deployments.json`);
+  return { ...chain, chainId: chainId.toString() };
+}
+
+// Parse deployments.json, register its chains with the network helpers and
+// return the manifest with the selected chain's deployments
+export function readManifest(json) {
+  const manifest = normalizeManifest(json);
+  registerChains(manifest.chains);
+  const chainId = getSelectedChainId(manifest);
+  return { manifest, deployments: getChainDeployments(manifest, chainId) };
+}
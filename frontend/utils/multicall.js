@@ -0,0 +1,145 @@
+import { ethers } from "ethers";
+import { ERC20_FALLBACK_ABI } from "../config/abis.js";
+import { decodeGame } from "../game/decode.js";
+
+// Batched contract reads
+// Calls are aggregated through Multicall3 (deployed at the same address on
+// most chains) when the current chain has it, otherwise they run as plain
+// eth_calls a few at a time. A failing call yields null for that call only.
+
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+const MULTICALL_BATCH_SIZE = 50; // getGame() returns the whole proof, keep responses small
+const MAX_PARALLEL_CALLS = 8; // Without Multicall3
+
+const multicallSupport = new WeakMap(); // provider -> Promise<boolean>
+const tokenInfoCache = new WeakMap(); // provider -> Map(token -> { decimals, symbol })
+
+function hasMulticall(provider) {
+  if (!multicallSupport.has(provider)) {
+    multicallSupport.set(
+      provider,
+      provider
+        .getCode(MULTICALL3_ADDRESS)
+        .then((code) => code !== "0x")
+        .catch(() => false)
+    );
+  }
+  return multicallSupport.get(provider);
+}
+
+function decodeResult(call, data) {
+  try {
+    return call.iface.decodeFunctionResult(call.method, data);
+  } catch {
+    return null; // Reverted, or no contract at the target
+  }
+}
+
+async function callEach(provider, calls) {
+  const results = new Array(calls.length).fill(null);
+  for (let i = 0; i < calls.length; i += MAX_PARALLEL_CALLS) {
+    await Promise.all(
+      calls.slice(i, i + MAX_PARALLEL_CALLS).map(async (call, j) => {
+        try {
+          const data = await provider.call({
+            to: call.target,
+            data: call.iface.encodeFunctionData(call.method, call.args || []),
+          });
+          results[i + j] = decodeResult(call, data);
+        } catch (error) {
+          console.warn(`${call.method}() on ${call.target} failed:`, error);
+        }
+      })
+    );
+  }
+  return results;
+}
+
+// calls: [{ target, iface, method, args }] -> decoded results in the same
+// order, null for calls that failed
+export async function batchCalls(provider, calls) {
+  if (calls.length === 0) return [];
+  if (!(await hasMulticall(provider))) return callEach(provider, calls);
+
+  const multicall = new ethers.Contract(
+    MULTICALL3_ADDRESS,
+    MULTICALL3_ABI,
+    provider
+  );
+  const results = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+    const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+    try {
+      const responses = await multicall.aggregate3.staticCall(
+        batch.map((call) => ({
+          target: call.target,
+          allowFailure: true,
+          callData: call.iface.encodeFunctionData(call.method, call.args || []),
+        }))
+      );
+      responses.forEach(([success, returnData], j) =>
+        results.push(success ? decodeResult(batch[j], returnData) : null)
+      );
+    } catch (error) {
+      // e.g. a response over the RPC's size limit - this batch goes one by one
+      console.warn("Multicall failed, calling one by one:", error);
+      results.push(...(await callEach(provider, batch)));
+    }
+  }
+  return results;
+}
+
+// getGame() for many ids, decoded (game/decode.js) and in ids order, with
+// null where the read failed
+export async function getGames(rpsContract, ids) {
+  const results = await batchCalls(
+    rpsContract.runner.provider,
+    ids.map((id) => ({
+      target: rpsContract.target,
+      iface: rpsContract.interface,
+      method: "getGame",
+      args: [id],
+    }))
+  );
+  return results.map((result, i) =>
+    result ? decodeGame(result[0], { gameId: ids[i] }) : null
+  );
+}
+
+// { decimals, symbol } for each token, keyed by lowercase address. Both are
+// fixed per token, so successful reads are cached; failed ones fall back to
+// 18 decimals and "TOKEN" like safeTokenCall does.
+export async function getTokenInfo(provider, tokenAddresses, erc20ABI = null) {
+  if (!tokenInfoCache.has(provider)) tokenInfoCache.set(provider, new Map());
+  const cache = tokenInfoCache.get(provider);
+  const addresses = [
+    ...new Set(tokenAddresses.filter(Boolean).map((a) => a.toLowerCase())),
+  ];
+  const missing = addresses.filter((address) => !cache.has(address));
+
+  const iface = new ethers.Interface(erc20ABI || ERC20_FALLBACK_ABI);
+  const results = await batchCalls(
+    provider,
+    missing.flatMap((address) => [
+      { target: address, iface, method: "decimals" },
+      { target: address, iface, method: "symbol" },
+    ])
+  );
+
+  const info = new Map(
+    addresses.map((address) => [address, cache.get(address)])
+  );
+  missing.forEach((address, i) => {
+    const [decimals, symbol] = [results[2 * i], results[2 * i + 1]];
+    const token = {
+      decimals: decimals ? Number(decimals[0]) : 18,
+      symbol: symbol ? symbol[0] : "TOKEN",
+    };
+    if (decimals && symbol) cache.set(address, token);
+    info.set(address, token);
+  });
+  return info;
+}
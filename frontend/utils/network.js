@@ -1,25 +1,50 @@
 import { ethers } from "ethers";
 import { log } from "./logger.js";
+import { getEthereumProvider } from "./wallet.js";
+import { chainNow } from "./chainClock.js";
+
+// Chains from the deployments manifest (see utils/manifest.js); the built-in
+// maps below only fill in chains the manifest does not list
+let manifestChains = {};
+
+export function registerChains(chains) {
+  manifestChains = chains || {};
+}
+
+function toChainIdNumber(chainId) {
+  return typeof chainId === "string"
+    ? chainId.startsWith("0x")
+      ? parseInt(chainId, 16)
+      : parseInt(chainId)
+    : Number(chainId);
+}
+
+// Manifest entry for a chain, or null
+export function getChainConfig(chainId) {
+  if (!chainId) return null;
+  return manifestChains[toChainIdNumber(chainId)] || null;
+}
 
 // Get network name from chain ID
 export function getNetworkName(chainId) {
   if (!chainId) return "Unknown";
-  const chainIdNum =
-    typeof chainId === "string"
-      ? chainId.startsWith("0x")
-        ? parseInt(chainId, 16)
-        : parseInt(chainId)
-      : Number(chainId);
+  const chainIdNum = toChainIdNumber(chainId);
 
   const networkMap = {
     1: "Mainnet",
     11155111: "Sepolia",
+    42161: "Arbitrum One",
+    421614: "Arbitrum Sepolia",
     31337: "Localhost",
     1337: "Localhost",
     5: "Goerli",
   };
 
-  return networkMap[chainIdNum] || `Chain ${chainIdNum}`;
+  return (
+    getChainConfig(chainIdNum)?.name ||
+    networkMap[chainIdNum] ||
+    `Chain ${chainIdNum}`
+  );
 }
 
 // Normalize chain ID
@@ -37,23 +62,35 @@ export function normalizeChainId(chainId) {
 // Get block explorer URL for a chain ID
 export function getBlockExplorerUrl(chainId) {
   if (!chainId) return [];
+  const chainIdNum = toChainIdNumber(chainId);
 
-  const chainIdNum =
-    typeof chainId === "string"
-      ? chainId.startsWith("0x")
-        ? parseInt(chainId, 16)
-        : parseInt(chainId)
-      : Number(chainId);
+  const config = getChainConfig(chainIdNum);
+  if (config && "explorerUrl" in config) {
+    return config.explorerUrl ? [config.explorerUrl] : [];
+  }
 
   const explorerMap = {
     1: ["https://etherscan.io"],
     11155111: ["https://sepolia.etherscan.io"],
+    42161: ["https://arbiscan.io"],
+    421614: ["https://sepolia.arbiscan.io"],
     5: ["https://goerli.etherscan.io"],
   };
 
   return explorerMap[chainIdNum] || [];
 }
 
+// Native currency for wallet_addEthereumChain
+export function getNativeCurrency(chainId) {
+  return (
+    getChainConfig(chainId)?.nativeCurrency || {
+      name: "ETH",
+      symbol: "ETH",
+      decimals: 18,
+    }
+  );
+}
+
 // Ensure we're on the correct network
 export async function ensureCorrectNetwork(
   DEPLOYED_CHAIN_ID,
@@ -63,8 +100,9 @@ export async function ensureCorrectNetwork(
   DEPLOYED_RPC_URL = null,
   updateProviderAndSigner = null
 ) {
-  if (!window.ethereum) {
-    log("❌ MetaMask not available");
+  const ethereum = getEthereumProvider();
+  if (!ethereum) {
+    log("❌ No wallet available");
     return false;
   }
 
@@ -74,7 +112,7 @@ export async function ensureCorrectNetwork(
   }
 
   try {
-    const currentChainIdHex = await window.ethereum.request({
+    const currentChainIdHex = await ethereum.request({
       method: "eth_chainId",
     });
     const currentChainId = normalizeChainId(currentChainIdHex);
@@ -96,7 +134,7 @@ export async function ensureCorrectNetwork(
     log(`🔧 Requesting switch to chain ID: ${targetChainIdHex}`);
 
     try {
-      await window.ethereum.request({
+      await ethereum.request({
         method: "wallet_switchEthereumChain",
         params: [{ chainId: targetChainIdHex }],
       });
@@ -108,7 +146,7 @@ export async function ensureCorrectNetwork(
         await updateProviderAndSigner();
       } else if (provider) {
         // Fallback: update provider if provided
-        provider = new ethers.BrowserProvider(window.ethereum);
+        provider = new ethers.BrowserProvider(ethereum);
         if (signer) {
           signer = await provider.getSigner();
           if (initializeContracts) {
@@ -124,17 +162,18 @@ export async function ensureCorrectNetwork(
       );
 
       // Chain doesn't exist, try to add it if we have RPC URL
-      if (switchError.code === 4902 && DEPLOYED_RPC_URL) {
+      const rpcUrl = DEPLOYED_RPC_URL || getChainConfig(targetChainId)?.rpcUrl;
+      if (switchError.code === 4902 && rpcUrl) {
         log(`➕ Chain not found in MetaMask. Adding ${networkName} network...`);
         try {
-          await window.ethereum.request({
+          await ethereum.request({
             method: "wallet_addEthereumChain",
             params: [
               {
                 chainId: targetChainIdHex,
                 chainName: networkName,
-                nativeCurrency: { name: "ETH", symbol: "ETH", decimals: 18 },
-                rpcUrls: [DEPLOYED_RPC_URL],
+                nativeCurrency: getNativeCurrency(targetChainId),
+                rpcUrls: [rpcUrl],
                 blockExplorerUrls: getBlockExplorerUrl(targetChainId),
               },
             ],
@@ -147,7 +186,7 @@ export async function ensureCorrectNetwork(
             await updateProviderAndSigner();
           } else if (provider) {
             // Fallback: update provider if provided
-            provider = new ethers.BrowserProvider(window.ethereum);
+            provider = new ethers.BrowserProvider(ethereum);
             if (signer) {
               signer = await provider.getSigner();
               if (initializeContracts) {
@@ -161,7 +200,7 @@ export async function ensureCorrectNetwork(
           log(`❌ Could not add network: ${addError.message}`);
           log(`💡 Please manually add the network in MetaMask`);
           log(
-            `💡 Chain ID: ${targetChainId} (${targetChainIdHex}), RPC: ${DEPLOYED_RPC_URL}`
+            `💡 Chain ID: ${targetChainId} (${targetChainIdHex}), RPC: ${rpcUrl}`
           );
           return false;
         }
@@ -181,9 +220,9 @@ export async function ensureCorrectNetwork(
 }
 
 // Helper function to format time ago
-export function getTimeAgo(timestamp) {
-  const now = Date.now();
-  const diff = now - timestamp;
+// now defaults to the local clock; pass chainNow() * 1000 for block times
+export function getTimeAgo(timestamp, now = Date.now()) {
+  const diff = Math.max(0, now - timestamp);
   const seconds = Math.floor(diff / 1000);
   const minutes = Math.floor(seconds / 60);
   const hours = Math.floor(minutes / 60);
@@ -195,9 +234,9 @@ export function getTimeAgo(timestamp) {
   return `${seconds} second${seconds !== 1 ? "s" : ""} ago`;
 }
 
-// Helper function to format time remaining
+// Helper function to format time remaining until a chain deadline
 export function formatTimeRemaining(deadline) {
-  const now = Math.floor(Date.now() / 1000);
+  const now = chainNow();
   if (deadline <= 0 || deadline < 1000000000) return null;
 
   const timeRemaining = deadline - now;
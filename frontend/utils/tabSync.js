@@ -0,0 +1,108 @@
+// Cross-tab synchronization for swap-rps
+// Messages go over a BroadcastChannel, or through `storage` events on a
+// localStorage key where BroadcastChannel is missing. A tab never receives its
+// own messages. Message shapes:
+//   { type: "store-write", role, gameId }
+//   { type: "tx-submitted", action, gameId, hash }
+//   { type: "tx-confirmed", action, gameId, hash, state }  (state null = deleted)
+
+const CHANNEL_NAME = "degen-rps-sync";
+const LOCK_PREFIX = "degen-rps-lock:";
+const LOCK_LEASE_MS = 30000; // Fallback lock expiry if the holding tab dies
+
+const TAB_ID = crypto.randomUUID();
+const listeners = new Set();
+
+const channel =
+  typeof BroadcastChannel !== "undefined"
+    ? new BroadcastChannel(CHANNEL_NAME)
+    : null;
+
+function deliver(message) {
+  if (!message || message.from === TAB_ID) return;
+  for (const listener of listeners) {
+    try {
+      listener(message);
+    } catch (error) {
+      console.error("Tab sync listener error:", error);
+    }
+  }
+}
+
+if (channel) {
+  channel.onmessage = (event) => deliver(event.data);
+} else {
+  window.addEventListener("storage", (event) => {
+    if (event.key !== CHANNEL_NAME || !event.newValue) return;
+    try {
+      deliver(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn("Ignoring malformed tab sync message:", error);
+    }
+  });
+}
+
+export function broadcast(type, payload = {}) {
+  const message = { ...payload, type, from: TAB_ID, at: Date.now() };
+  try {
+    if (channel) {
+      channel.postMessage(message);
+    } else {
+      // Every write must change the value for other tabs to get an event
+      localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+    }
+  } catch (error) {
+    console.warn("Could not broadcast to other tabs:", error);
+  }
+}
+
+// listener(message) runs for every message from another tab
+export function onSync(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Lease in localStorage for browsers without the Web Locks API. The read-back
+// catches two tabs writing the lease at the same time.
+async function withLeaseLock(key, fn) {
+  const read = () => {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch {
+      return null;
+    }
+  };
+  const write = () =>
+    localStorage.setItem(
+      key,
+      JSON.stringify({ owner: TAB_ID, expires: Date.now() + LOCK_LEASE_MS })
+    );
+
+  const held = read();
+  if (held && held.owner !== TAB_ID && held.expires > Date.now()) {
+    return { acquired: false };
+  }
+  write();
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  if (read()?.owner !== TAB_ID) return { acquired: false };
+
+  const renew = setInterval(write, LOCK_LEASE_MS / 2);
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    clearInterval(renew);
+    if (read()?.owner === TAB_ID) localStorage.removeItem(key);
+  }
+}
+
+// Run fn only if no other tab holds the named lock; returns { acquired, result }
+export async function withTabLock(name, fn) {
+  const key = `${LOCK_PREFIX}${name}`;
+  if (!navigator.locks?.request) {
+    return withLeaseLock(key, fn);
+  }
+  return navigator.locks.request(key, { ifAvailable: true }, async (lock) => {
+    if (!lock) return { acquired: false };
+    return { acquired: true, result: await fn() };
+  });
+}
@@ -1,5 +1,6 @@
 import { ethers } from "ethers";
 import { log } from "./logger.js";
+import { ERC20_FALLBACK_ABI } from "../config/abis.js";
 
 // Helper function to safely call ERC20 functions
 export async function safeTokenCall(
@@ -96,12 +97,11 @@ export async function updateMakerTokenBalance(
       );
     } else {
       // Custom token address - create contract on the fly
-      const erc20ABI = [
-        "function balanceOf(address account) external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-        "function symbol() external view returns (string)",
-      ];
-      tokenContract = new ethers.Contract(tokenAddress, erc20ABI, signer);
+      tokenContract = new ethers.Contract(
+        tokenAddress,
+        ERC20_FALLBACK_ABI,
+        signer
+      );
       tokenSymbol = await safeTokenCall(
         tokenContract,
         "symbol",
@@ -206,12 +206,11 @@ export async function checkMakerApproval(
       tokenContract = token1Contract;
     } else {
       // Custom token - create contract on the fly
-      const minimalABI = [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function allowance(address owner, address spender) external view returns (uint256)",
-        "function decimals() external view returns (uint8)",
-      ];
-      tokenContract = new ethers.Contract(tokenAddress, minimalABI, signer);
+      tokenContract = new ethers.Contract(
+        tokenAddress,
+        ERC20_FALLBACK_ABI,
+        signer
+      );
     }
 
     if (!tokenContract) {
@@ -361,11 +360,11 @@ export async function approveToken(
       );
     } else {
       // Custom token - create contract on the fly
-      const minimalABI = [
-        "function approve(address spender, uint256 amount) external returns (bool)",
-        "function symbol() external view returns (string)",
-      ];
-      tokenContract = new ethers.Contract(tokenAddress, minimalABI, signer);
+      tokenContract = new ethers.Contract(
+        tokenAddress,
+        ERC20_FALLBACK_ABI,
+        signer
+      );
       tokenSymbol = await safeTokenCall(
         tokenContract,
         "symbol",
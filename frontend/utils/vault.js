@@ -0,0 +1,300 @@
+import { ethers } from "ethers";
+import { log } from "./logger.js";
+import { hasDeterministicSignatures } from "../game/salt.js";
+
+// Encrypted vault for maker secrets (salt and move)
+// Only the secret part of each stored game is encrypted (AES-GCM). The key is
+// derived from a passphrase (PBKDF2) or from a wallet signature (HKDF) and only
+// lives in memory while the vault is unlocked. Every account has its own vault
+// header; switching accounts locks the vault.
+
+const VAULT_STORAGE_KEY = "makerVault"; // Also the HKDF info of signature keys
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_PLAINTEXT = "degen-rps-vault"; // Encrypted at creation to test keys
+
+let vaultKey = null; // CryptoKey while unlocked
+let vaultAccount = null; // Lowercase address whose vault is in use
+const changeListeners = new Set();
+
+function headerStorageKey(account) {
+  return `${VAULT_STORAGE_KEY}:${account.toLowerCase()}`;
+}
+
+function readHeader(storageKey) {
+  try {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Error reading vault header:", error);
+    return null;
+  }
+}
+
+// Header of an account's vault. A header from before vaults were per account
+// is taken over by every account when it is a passphrase vault (its records
+// were encrypted with that key whoever made them), and by its own address only
+// when it is a signature vault.
+export function getVaultHeader(account = vaultAccount) {
+  if (!account) return null;
+  const header = readHeader(headerStorageKey(account));
+  if (header) return header;
+
+  const legacy = readHeader(VAULT_STORAGE_KEY);
+  if (
+    legacy &&
+    (legacy.kdf.type === "pbkdf2" ||
+      legacy.kdf.address?.toLowerCase() === account.toLowerCase())
+  ) {
+    return legacy;
+  }
+  return null;
+}
+
+// The connected account (null when none); a different one locks the vault
+export async function setVaultAccount(account) {
+  const next = account ? account.toLowerCase() : null;
+  if (next === vaultAccount) return;
+  vaultAccount = next;
+  if (vaultKey) {
+    await lockVault();
+  } else {
+    await notifyChange();
+  }
+}
+
+export function getVaultAccount() {
+  return vaultAccount;
+}
+
+export function vaultExists() {
+  return getVaultHeader() !== null;
+}
+
+export function isVaultUnlocked() {
+  return vaultKey !== null;
+}
+
+// listener(unlocked) runs after every lock/unlock
+export function onVaultChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+async function notifyChange() {
+  for (const listener of changeListeners) {
+    try {
+      await listener(isVaultUnlocked());
+    } catch (error) {
+      console.error("Vault listener error:", error);
+    }
+  }
+}
+
+function vaultKeyMessage(address) {
+  return [
+    "Degen RPS vault key v1",
+    "",
+    "Sign to unlock the encrypted vault holding your committed moves. This does not send a transaction.",
+    "",
+    `Address: ${ethers.getAddress(address)}`,
+  ].join("\n");
+}
+
+export async function deriveKeyFromPassphrase(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function deriveKeyFromSignature(signature, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    ethers.getBytes(signature),
+    "HKDF",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      salt,
+      info: new TextEncoder().encode(VAULT_STORAGE_KEY),
+      hash: "SHA-256",
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// AES-GCM with a fresh IV; returns { iv, ciphertext } as hex
+export async function encryptWithKey(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    plaintext
+  );
+  return {
+    iv: ethers.hexlify(iv),
+    ciphertext: ethers.hexlify(new Uint8Array(ciphertext)),
+  };
+}
+
+export async function decryptWithKey(key, blob) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: ethers.getBytes(blob.iv) },
+    key,
+    ethers.getBytes(blob.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+async function createVault(account, kdf, key) {
+  const header = {
+    version: VAULT_VERSION,
+    kdf,
+    check: await encryptWithKey(key, CHECK_PLAINTEXT),
+  };
+  localStorage.setItem(headerStorageKey(account), JSON.stringify(header));
+  vaultKey = key;
+  log("🔐 Vault created");
+  await notifyChange();
+}
+
+async function openVault(account, header, key) {
+  try {
+    const check = await decryptWithKey(key, header.check);
+    if (check !== CHECK_PLAINTEXT) throw new Error("check mismatch");
+  } catch {
+    throw new Error("Wrong passphrase or wallet for this vault");
+  }
+  // Keep the account's own copy of a header taken over from the shared one
+  localStorage.setItem(headerStorageKey(account), JSON.stringify(header));
+  vaultKey = key;
+  log("🔓 Vault unlocked");
+  await notifyChange();
+}
+
+export async function unlockWithPassphrase(passphrase) {
+  if (!passphrase) throw new Error("Enter a passphrase");
+  const account = vaultAccount;
+  if (!account) throw new Error("Connect your wallet first");
+  const header = getVaultHeader(account);
+
+  if (!header) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKeyFromPassphrase(
+      passphrase,
+      salt,
+      PBKDF2_ITERATIONS
+    );
+    await createVault(
+      account,
+      {
+        type: "pbkdf2",
+        salt: ethers.hexlify(salt),
+        iterations: PBKDF2_ITERATIONS,
+      },
+      key
+    );
+    return;
+  }
+
+  if (header.kdf.type !== "pbkdf2") {
+    throw new Error("This vault is unlocked with a wallet signature");
+  }
+  const key = await deriveKeyFromPassphrase(
+    passphrase,
+    ethers.getBytes(header.kdf.salt),
+    header.kdf.iterations
+  );
+  await openVault(account, header, key);
+}
+
+export async function unlockWithSigner(signer) {
+  const address = await signer.getAddress();
+  if (vaultAccount && vaultAccount !== address.toLowerCase()) {
+    throw new Error("The connected account changed - try again");
+  }
+  vaultAccount = address.toLowerCase();
+  const header = getVaultHeader(address);
+
+  if (header && header.kdf.type !== "signature") {
+    throw new Error("This vault is unlocked with a passphrase");
+  }
+  if (!header && !(await hasDeterministicSignatures(signer))) {
+    throw new Error(
+      "Wallet signatures are not deterministic - use a passphrase instead"
+    );
+  }
+
+  const signature = await signer.signMessage(vaultKeyMessage(address));
+  if (!header) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    await createVault(
+      address,
+      {
+        type: "signature",
+        salt: ethers.hexlify(salt),
+        address: ethers.getAddress(address),
+      },
+      await deriveKeyFromSignature(signature, salt)
+    );
+    return;
+  }
+  await openVault(
+    address,
+    header,
+    await deriveKeyFromSignature(signature, ethers.getBytes(header.kdf.salt))
+  );
+}
+
+export async function lockVault() {
+  if (!vaultKey) return;
+  vaultKey = null;
+  log("🔒 Vault locked");
+  await notifyChange();
+}
+
+// Unlock without asking for a passphrase: works for signature vaults (one
+// signature) and, with create, sets up a signature vault if none exists yet
+export async function ensureVaultUnlocked(signer, { create = false } = {}) {
+  if (isVaultUnlocked()) return true;
+  if (!signer) return false;
+  const header = getVaultHeader(await signer.getAddress());
+  if (!header && !create) return false;
+  if (header && header.kdf.type !== "signature") return false;
+
+  try {
+    await unlockWithSigner(signer);
+    return true;
+  } catch (error) {
+    log(`⚠️ Could not unlock vault: ${error.message}`);
+    return false;
+  }
+}
+
+export async function encryptSecret(value) {
+  if (!vaultKey) throw new Error("Vault is locked");
+  return encryptWithKey(vaultKey, value);
+}
+
+export async function decryptSecret(blob) {
+  if (!vaultKey) throw new Error("Vault is locked");
+  return decryptWithKey(vaultKey, blob);
+}
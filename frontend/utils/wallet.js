@@ -1,6 +1,192 @@
 import { ethers } from "ethers";
 import { log } from "./logger.js";
 
+// EIP-6963 wallet discovery
+// Every installed wallet announces its EIP-1193 provider; the one the user picks
+// is remembered by rdns and used for BrowserProvider, network switching and
+// event subscriptions. window.ethereum is the fallback for older wallets.
+
+const SELECTED_WALLET_KEY = "selectedWallet";
+
+const announcedWallets = new Map(); // rdns -> { info, provider }
+let selectedProvider = null;
+
+// [eventName, handler] pairs, moved along when the selected provider changes
+const walletSubscriptions = [];
+let subscribedProvider = null;
+
+function rememberedWallet() {
+  return announcedWallets.get(localStorage.getItem(SELECTED_WALLET_KEY));
+}
+
+// The provider in use: the chosen wallet, else the remembered one, else window.ethereum
+export function getEthereumProvider() {
+  return (
+    selectedProvider || rememberedWallet()?.provider || window.ethereum || null
+  );
+}
+
+function resubscribe() {
+  const provider = getEthereumProvider();
+  if (provider === subscribedProvider) return;
+  for (const [eventName, handler] of walletSubscriptions) {
+    subscribedProvider?.removeListener?.(eventName, handler);
+    provider?.on?.(eventName, handler);
+  }
+  subscribedProvider = provider;
+}
+
+// Subscribe to an EIP-1193 event on whichever wallet is (or becomes) selected
+export function onWalletEvent(eventName, handler) {
+  walletSubscriptions.push([eventName, handler]);
+  if (subscribedProvider) {
+    subscribedProvider.on?.(eventName, handler);
+  } else {
+    resubscribe();
+  }
+}
+
+window.addEventListener("eip6963:announceProvider", (event) => {
+  const { info, provider } = event.detail;
+  announcedWallets.set(info.rdns, { info, provider });
+  resubscribe();
+});
+window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+export function getAnnouncedWallets() {
+  return [...announcedWallets.values()];
+}
+
+export function forgetWallet() {
+  localStorage.removeItem(SELECTED_WALLET_KEY);
+  selectedProvider = null;
+  resubscribe();
+}
+
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+}
+
+// Modal listing the announced wallets; resolves to the chosen one or null
+function showWalletPicker(wallets) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className =
+      "fixed inset-0 bg-black/50 flex items-center justify-center z-50";
+    overlay.innerHTML = `
+      <div class="bg-white rounded-2xl p-6 w-80 space-y-3 shadow-xl">
+        <h3 class="game-font text-xl font-bold text-gray-800">Choose a wallet</h3>
+        ${wallets
+          .map(
+            ({ info }, index) => `
+          <button data-index="${index}" class="w-full flex items-center gap-3 px-4 py-3 border-2 border-gray-200 rounded-xl hover:border-purple-400 hover:bg-purple-50 transition-all duration-200">
+            <img src="${escapeHtml(info.icon)}" alt="" class="w-6 h-6">
+            <span class="font-semibold text-gray-800">${escapeHtml(
+              info.name
+            )}</span>
+          </button>
+        `
+          )
+          .join("")}
+        <button data-cancel class="w-full px-4 py-2 text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+      </div>
+    `;
+    overlay.addEventListener("click", (event) => {
+      const button = event.target.closest("button");
+      if (!button && event.target !== overlay) return;
+      overlay.remove();
+      resolve(
+        button?.dataset.index !== undefined
+          ? wallets[Number(button.dataset.index)]
+          : null
+      );
+    });
+    document.body.appendChild(overlay);
+  });
+}
+
+// Pick the wallet to connect with: the remembered one, the only one, or ask.
+// Returns an EIP-1193 provider, or null if there is none or the user cancelled.
+export async function chooseWallet() {
+  const wallets = getAnnouncedWallets();
+  let choice = rememberedWallet() || null;
+  if (!choice && wallets.length === 1) {
+    choice = wallets[0];
+  } else if (!choice && wallets.length > 1) {
+    choice = await showWalletPicker(wallets);
+    if (!choice) return null;
+  }
+
+  if (choice) {
+    localStorage.setItem(SELECTED_WALLET_KEY, choice.info.rdns);
+    selectedProvider = choice.provider;
+    log(`👛 Using ${choice.info.name}`);
+  } else {
+    selectedProvider = window.ethereum || null; // Wallet without EIP-6963
+  }
+  resubscribe();
+  return selectedProvider;
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// Connected-wallet card. `previousAddress` adds a notice that the wallet
+// switched accounts; a null `address` shows the disconnected state instead.
+export function renderWalletInfo(address, previousAddress = null) {
+  const walletInfo = document.getElementById("walletInfo");
+  if (!walletInfo) return;
+
+  const changeNotice = previousAddress
+    ? `<p class="text-xs text-amber-700 font-semibold mt-1">🔄 Account changed from <span class="font-mono" title="${previousAddress}">${shortAddress(
+        previousAddress
+      )}</span> - lists and games now belong to the new account</p>`
+    : "";
+
+  if (!address) {
+    walletInfo.innerHTML = `
+      <div class="px-4 py-2 bg-gradient-to-r from-amber-100 to-yellow-100 rounded-xl border-2 border-amber-300">
+        <p class="text-amber-800 font-semibold">⚠️ Wallet disconnected</p>
+        ${changeNotice}
+      </div>
+    `;
+    return;
+  }
+
+  walletInfo.innerHTML = `
+    <div class="px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 rounded-xl border-2 ${
+      previousAddress ? "border-amber-400" : "border-green-300"
+    }">
+      <p class="text-green-800 font-semibold">
+        ✅ Connected: 
+        <span class="font-mono break-all hidden sm:inline">${address}</span>
+        <span class="font-mono sm:hidden">${shortAddress(address)}</span>
+      </p>
+      ${changeNotice}
+      ${
+        getAnnouncedWallets().length > 1
+          ? `<button id="changeWalletBtn" class="text-xs text-green-700 underline hover:text-green-900">Change wallet</button>`
+          : ""
+      }
+    </div>
+  `;
+  document.getElementById("changeWalletBtn")?.addEventListener("click", () => {
+    forgetWallet();
+    document.getElementById("connectBtn")?.click();
+  });
+}
+
 // Connect wallet
 export async function connectWallet(
   updateMakerTokenBalance,
@@ -8,18 +194,22 @@ export async function connectWallet(
   initializeContracts,
   loadMakerGames,
   loadAllTakerGames,
-  startAutoRefresh,
   currentView,
   providerRef,
   signerRef
 ) {
-  if (typeof window.ethereum === "undefined") {
-    log("❌ MetaMask not found. Please install MetaMask.");
+  const ethereum = await chooseWallet();
+  if (!ethereum) {
+    log(
+      getAnnouncedWallets().length > 0
+        ? "❌ No wallet selected"
+        : "❌ No wallet found. Please install a browser wallet such as MetaMask."
+    );
     return;
   }
 
   try {
-    providerRef.current = new ethers.BrowserProvider(window.ethereum);
+    providerRef.current = new ethers.BrowserProvider(ethereum);
     if (!providerRef.current) {
       log("❌ Failed to create provider");
       return;
@@ -27,24 +217,13 @@ export async function connectWallet(
     await ensureCorrectNetwork();
     // Re-check provider after network switch (it might have been updated)
     if (!providerRef.current) {
-      providerRef.current = new ethers.BrowserProvider(window.ethereum);
+      providerRef.current = new ethers.BrowserProvider(getEthereumProvider());
     }
     await providerRef.current.send("eth_requestAccounts", []);
     signerRef.current = await providerRef.current.getSigner();
     const address = await signerRef.current.getAddress();
 
-    document.getElementById("walletInfo").innerHTML = `
-      <div class="px-4 py-2 bg-gradient-to-r from-green-100 to-emerald-100 rounded-xl border-2 border-green-300">
-        <p class="text-green-800 font-semibold">
-          ✅ Connected: 
-          <span class="font-mono break-all hidden sm:inline">${address}</span>
-          <span class="font-mono sm:hidden">${address.slice(
-            0,
-            6
-          )}...${address.slice(-4)}</span>
-        </p>
-      </div>
-    `;
+    renderWalletInfo(address);
 
     log(`✅ Connected to wallet: ${address}`);
     await initializeContracts(signerRef.current);
@@ -54,11 +233,6 @@ export async function connectWallet(
       await loadMakerGames();
     } else if (signerRef.current) {
       await loadAllTakerGames();
-      // Start auto-refresh if on taker view
-      const takerView = document.getElementById("takerView");
-      if (takerView && !takerView.classList.contains("hidden")) {
-        startAutoRefresh();
-      }
     }
   } catch (error) {
     log(`❌ Error connecting wallet: ${error.message}`);
@@ -0,0 +1,211 @@
+// Validate deployments.json at build time (runs after generate-deployments.js)
+// - the manifest must match deployments.schema.json
+// - addresses must be well formed, non-zero and correctly checksummed
+// - a verifier's circuit must exist under public/
+// - every fallback ABI fragment in config/abis.js must match the compiled
+//   DegenRPS/MockERC20 artifacts (degen-rps/out, else the ABIs in the manifest)
+// Any error fails the build.
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative } from 'path';
+import { ethers } from 'ethers';
+import { DEGEN_RPS_FALLBACK_ABI, ERC20_FALLBACK_ABI, MOCK_ERC20_ABI } from './config/abis.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const deploymentsPath = join(__dirname, 'deployments.json');
+const schemaPath = join(__dirname, 'deployments.schema.json');
+const artifactsDir = process.env.DEGEN_RPS_OUT_DIR || join(__dirname, '../degen-rps/out');
+
+const errors = [];
+const warnings = [];
+
+// Just the JSON Schema keywords deployments.schema.json uses
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+function validateSchema(value, schema, root, at) {
+  schema = resolveRef(schema, root);
+  const actual = typeOf(value);
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => type === actual || (type === 'number' && actual === 'integer'))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${actual}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (actual === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at}: "${value}" does not match ${schema.pattern}`);
+  }
+  if ((actual === 'integer' || actual === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: ${value} is below ${schema.minimum}`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => validateSchema(item, schema.items, root, `${at}[${index}]`));
+  }
+  if (actual !== 'object') return;
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+  }
+  const keys = Object.keys(value);
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push(`${at}: needs at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+  }
+  for (const key of keys) {
+    if (schema.propertyNames) {
+      validateSchema(key, schema.propertyNames, root, `${at} key "${key}"`);
+    }
+    if (schema.properties && key in schema.properties) {
+      validateSchema(value[key], schema.properties[key], root, `${at}.${key}`);
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${at}: unknown property "${key}"`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      validateSchema(value[key], schema.additionalProperties, root, `${at}.${key}`);
+    }
+  }
+}
+
+// Checks the schema cannot express
+function checkManifest(manifest) {
+  const chains = manifest.chains || {};
+  if (manifest.defaultChainId && !chains[manifest.defaultChainId]) {
+    errors.push(`deployments.defaultChainId: chain ${manifest.defaultChainId} is not in chains`);
+  }
+
+  for (const [chainId, chain] of Object.entries(chains)) {
+    for (const [key, contract] of Object.entries(chain?.contracts || {})) {
+      const address = contract?.address;
+      // Malformed addresses are already reported by the schema
+      if (typeof address !== 'string' || !ethers.isHexString(address, 20)) continue;
+
+      const at = `deployments.chains.${chainId}.contracts.${key}.address`;
+      if (address === ethers.ZeroAddress) {
+        errors.push(`${at}: zero address`);
+        continue;
+      }
+      // Mixed case means an EIP-55 checksum, and a wrong one usually means a typo
+      try {
+        ethers.getAddress(address);
+      } catch {
+        errors.push(`${at}: bad checksum in ${address} (expected a valid EIP-55 address)`);
+      }
+    }
+    // The verifier's circuit is fetched from public/ at runtime
+    const circuit = chain?.contracts?.verifier?.circuit;
+    if (typeof circuit === 'string' && !existsSync(join(__dirname, 'public', circuit))) {
+      errors.push(`deployments.chains.${chainId}.contracts.verifier.circuit: public${circuit} does not exist`);
+    }
+    if (chain?.deploymentBlock === null || chain?.deploymentBlock === undefined) {
+      warnings.push(`chain ${chainId} has no deploymentBlock - event queries will scan from block 0`);
+    }
+  }
+}
+
+// Compiled ABIs to compare against: the forge artifact, or every distinct ABI
+// the manifest records for the given contract keys
+function referenceAbis(manifest, artifactName, contractKeys) {
+  const artifactPath = join(artifactsDir, `${artifactName}.sol`, `${artifactName}.json`);
+  if (existsSync(artifactPath)) {
+    const { abi } = JSON.parse(readFileSync(artifactPath, 'utf-8'));
+    return [{ source: relative(__dirname, artifactPath), abi }];
+  }
+
+  const bySignature = new Map();
+  for (const [chainId, chain] of Object.entries(manifest.chains || {})) {
+    for (const key of contractKeys) {
+      const abi = chain?.contracts?.[key]?.abi;
+      if (!Array.isArray(abi) || abi.length === 0) continue;
+      const signature = JSON.stringify(abi);
+      const reference = bySignature.get(signature) || { sources: [], abi };
+      reference.sources.push(`${chainId}.${key}`);
+      bySignature.set(signature, reference);
+    }
+  }
+  return [...bySignature.values()].map(({ sources, abi }) => ({
+    source: `deployments.json (${sources.join(', ')})`,
+    abi
+  }));
+}
+
+// Everything that has to agree for ethers to encode and decode the same way
+function describeFragment(fragment) {
+  const inputs = fragment.inputs
+    .map((param) => `${param.format('sighash')}${param.indexed ? ' indexed' : ''}`)
+    .join(',');
+  if (fragment.type === 'event') return `event ${fragment.name}(${inputs})`;
+  const outputs = fragment.outputs.map((param) => param.format('sighash')).join(',');
+  return `function ${fragment.name}(${inputs}) ${fragment.stateMutability} returns (${outputs})`;
+}
+
+function checkAbiDrift(label, fallbackAbi, references) {
+  if (references.length === 0) {
+    warnings.push(`${label}: no compiled ABI found (run 'forge build' in degen-rps) - drift check skipped`);
+    return;
+  }
+
+  const fallback = new ethers.Interface(fallbackAbi);
+  for (const { source, abi } of references) {
+    const compiled = new ethers.Interface(abi);
+    for (const fragment of fallback.fragments) {
+      if (fragment.type !== 'function' && fragment.type !== 'event') continue;
+
+      const candidates = compiled.fragments.filter(
+        (candidate) => candidate.type === fragment.type && candidate.name === fragment.name
+      );
+      const expected = describeFragment(fragment);
+      if (candidates.length === 0) {
+        errors.push(`${label}: ${expected} does not exist in ${source}`);
+      } else if (!candidates.some((candidate) => describeFragment(candidate) === expected)) {
+        errors.push(
+          `${label}: drift against ${source}\n` +
+          `      fallback: ${expected}\n` +
+          `      compiled: ${candidates.map(describeFragment).join(' | ')}`
+        );
+      }
+    }
+    console.log(`   ${label} checked against ${source}`);
+  }
+}
+
+let manifest;
+try {
+  manifest = JSON.parse(readFileSync(deploymentsPath, 'utf-8'));
+} catch (error) {
+  console.error(`❌ Cannot read ${deploymentsPath}: ${error.message}`);
+  process.exit(1);
+}
+const schema = JSON.parse(readFileSync(schemaPath, 'utf-8'));
+
+console.log('🔍 Validating deployments.json...');
+validateSchema(manifest, schema, schema, 'deployments');
+checkManifest(manifest);
+checkAbiDrift('DEGEN_RPS_FALLBACK_ABI', DEGEN_RPS_FALLBACK_ABI, referenceAbis(manifest, 'DegenRPS', ['degenRPS']));
+checkAbiDrift('ERC20_FALLBACK_ABI', ERC20_FALLBACK_ABI, referenceAbis(manifest, 'MockERC20', ['token0', 'token1']));
+checkAbiDrift('MOCK_ERC20_ABI', MOCK_ERC20_ABI, referenceAbis(manifest, 'MockERC20', ['token0', 'token1']));
+
+for (const warning of warnings) {
+  console.log(`⚠️  ${warning}`);
+}
+if (errors.length > 0) {
+  for (const error of errors) {
+    console.error(`❌ ${error}`);
+  }
+  console.error(`❌ deployments.json failed validation with ${errors.length} error(s)`);
+  process.exit(1);
+}
+console.log(`✅ deployments.json is valid (${Object.keys(manifest.chains).length} chain(s), fallback ABIs match)`);
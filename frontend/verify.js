@@ -0,0 +1,305 @@
+import { ethers } from "ethers";
+import { log } from "./utils/logger.js";
+import {
+  initNoir,
+  loadDeployments,
+  circuitPathFor,
+} from "./utils/contracts.js";
+import { getNetworkName } from "./utils/network.js";
+import { parseProofBundle, recomputeCommitment } from "./game/bundle.js";
+import { buildRevealPublicInputs } from "./game/preflight.js";
+import { determineWinnerLocal } from "./game/proof.js";
+import { auditSettledGame } from "./game/audit.js";
+import { MOVE_NAMES, frontendToContractMove } from "./config/constants.js";
+
+// Standalone proof bundle verifier and settled-game audit
+// Runs entirely in the browser; chain data comes from the deployments RPC, no wallet
+
+const provers = new Map(); // Circuit path -> proving worker handle, created on first use
+let loadedDeployments = null; // loadDeployments() result, read once
+let auditContract = null; // Read-only DegenRPS contract for audits
+let auditCircuitPath = null;
+let auditFromBlock = 0;
+
+const WINNER_NAMES = ["Tie", "Player 1", "Player 2"];
+
+function renderSummary(bundle) {
+  const summaryDiv = document.getElementById("bundleSummary");
+  if (!summaryDiv) return;
+
+  const chainName = bundle.chainId ? getNetworkName(bundle.chainId) : "Unknown";
+  summaryDiv.classList.remove("hidden");
+  summaryDiv.innerHTML = `
+    <p><span class="font-semibold">Game ID:</span> <span class="font-mono">${
+      bundle.gameId ?? "Unknown"
+    }</span></p>
+    <p><span class="font-semibold">Contract:</span> <span class="font-mono break-all">${
+      bundle.contractAddress ?? "Unknown"
+    }</span> (${chainName})</p>
+    <p><span class="font-semibold">Commitment:</span> <span class="font-mono break-all">${
+      bundle.commitment
+    }</span></p>
+    <p><span class="font-semibold">Moves:</span> ${
+      MOVE_NAMES[bundle.moves.player1]
+    } vs ${MOVE_NAMES[bundle.moves.player2]} - ${
+    WINNER_NAMES[bundle.moves.winner]
+  }</p>
+    <p><span class="font-semibold">Created:</span> ${
+      bundle.createdAt ?? "Unknown"
+    }</p>
+  `;
+}
+
+function renderResults(results) {
+  const resultsDiv = document.getElementById("verifyResults");
+  if (!resultsDiv) return;
+
+  resultsDiv.innerHTML = results
+    .map(
+      ({ status, label, detail }) => `
+      <div class="rounded-xl p-3 border-2 ${
+        status === "pass"
+          ? "bg-green-50 border-green-200"
+          : status === "warn"
+          ? "bg-yellow-50 border-yellow-200"
+          : "bg-red-50 border-red-200"
+      }">
+        <p class="font-semibold">${
+          status === "pass" ? "✅" : status === "warn" ? "⚠️" : "❌"
+        } ${label}</p>
+        ${
+          detail
+            ? `<p class="text-xs text-gray-600 mt-1 break-all">${detail}</p>`
+            : ""
+        }
+      </div>
+    `
+    )
+    .join("");
+}
+
+// Public inputs must be exactly what revealAndSettle would pass the verifier
+function publicInputsMatch(bundle, prover) {
+  const expected = buildRevealPublicInputs(
+    frontendToContractMove(bundle.moves.player1),
+    frontendToContractMove(bundle.moves.player2),
+    bundle.commitment,
+    prover.bindsCommitment
+  );
+  return (
+    expected.length === bundle.publicInputs.length &&
+    expected.every(
+      (value, i) => BigInt(value) === BigInt(bundle.publicInputs[i])
+    )
+  );
+}
+
+async function ensureDeployments() {
+  if (!loadedDeployments) {
+    loadedDeployments = await loadDeployments();
+  }
+  return loadedDeployments;
+}
+
+async function ensureProver(circuitPath) {
+  if (!provers.has(circuitPath)) {
+    const noirResult = await initNoir(circuitPath);
+    provers.set(circuitPath, noirResult.prover);
+  }
+  return provers.get(circuitPath);
+}
+
+// Bundles are proven with the circuit of the chain they were made on
+async function bundleCircuitPath(bundle) {
+  try {
+    const { manifest } = await ensureDeployments();
+    return circuitPathFor(manifest.chains[bundle.chainId]);
+  } catch (error) {
+    log(`⚠️ ${error.message} - using the default circuit`);
+    return circuitPathFor(null);
+  }
+}
+
+async function checkBundle(bundle) {
+  const results = [];
+
+  const commitment = recomputeCommitment(bundle);
+  const commitmentOk =
+    commitment.toLowerCase() === bundle.commitment.toLowerCase();
+  results.push({
+    status: commitmentOk ? "pass" : "fail",
+    label: "Move and salt open the commitment",
+    detail: commitmentOk ? null : `Recomputed ${commitment}`,
+  });
+
+  const winner = determineWinnerLocal(
+    bundle.moves.player1,
+    bundle.moves.player2
+  );
+  results.push({
+    status: winner === bundle.moves.winner ? "pass" : "fail",
+    label: "Winner follows from the moves",
+    detail:
+      winner === bundle.moves.winner
+        ? null
+        : `Expected ${WINNER_NAMES[winner]}`,
+  });
+
+  const prover = await ensureProver(await bundleCircuitPath(bundle));
+
+  let inputsOk = false;
+  try {
+    inputsOk = publicInputsMatch(bundle, prover);
+  } catch (error) {
+    console.error("Public input comparison failed:", error);
+  }
+  results.push({
+    status: inputsOk ? "pass" : "fail",
+    label: "Public inputs match the moves, winner and commitment",
+    detail: inputsOk ? null : "The proof is not about the moves in this bundle",
+  });
+
+  const circuitOk =
+    bundle.circuitHash &&
+    bundle.circuitHash.toLowerCase() === prover.circuitHash.toLowerCase();
+  results.push({
+    status: circuitOk ? "pass" : "warn",
+    label: "Bundle was proven with this site's circuit",
+    detail: circuitOk
+      ? null
+      : `Bundle circuit ${bundle.circuitHash ?? "unknown"}, loaded circuit ${
+          prover.circuitHash
+        }`,
+  });
+
+  log("⏳ Verifying proof with UltraHonk...");
+  let proofOk = false;
+  let proofDetail = null;
+  try {
+    proofOk = await prover.verify(
+      ethers.getBytes(bundle.proof),
+      bundle.publicInputs
+    );
+  } catch (error) {
+    proofDetail = error.message;
+  }
+  results.push({
+    status: proofOk ? "pass" : "fail",
+    label: "UltraHonk proof verifies",
+    detail: proofDetail,
+  });
+
+  return results;
+}
+
+async function handleFile(event) {
+  const file = event.target.files?.[0];
+  if (!file) return;
+
+  try {
+    log(`📦 Loading ${file.name}...`);
+    const bundle = parseProofBundle(await file.text());
+    renderSummary(bundle);
+    renderResults([{ status: "warn", label: "Running checks..." }]);
+
+    const results = await checkBundle(bundle);
+    renderResults(results);
+
+    if (results.every((result) => result.status !== "fail")) {
+      log(`✅ Proof bundle for game ${bundle.gameId ?? "?"} is valid`);
+    } else {
+      log(
+        `❌ Proof bundle for game ${bundle.gameId ?? "?"} failed verification`
+      );
+    }
+  } catch (error) {
+    log(`❌ Could not verify bundle: ${error.message}`);
+    renderResults([
+      { status: "fail", label: "Invalid bundle", detail: error.message },
+    ]);
+  }
+}
+
+// Read-only DegenRPS instance on the deployments RPC
+async function ensureAuditContract() {
+  if (!auditContract) {
+    const { deployments, DEPLOYED_RPC_URL } = await ensureDeployments();
+    const degenRPS = deployments.contracts?.degenRPS;
+    if (!degenRPS?.address || !degenRPS.abi) {
+      throw new Error("DegenRPS is missing from deployments.json");
+    }
+    const readProvider = new ethers.JsonRpcProvider(DEPLOYED_RPC_URL);
+    auditContract = new ethers.Contract(
+      degenRPS.address,
+      degenRPS.abi,
+      readProvider
+    );
+    auditCircuitPath = circuitPathFor(deployments);
+    auditFromBlock = degenRPS.blockNumber || 0;
+  }
+  return auditContract;
+}
+
+async function handleAudit() {
+  const input = document.getElementById("auditGameId");
+  const button = document.getElementById("auditBtn");
+  const gameId = input?.value.trim();
+  if (!gameId) {
+    log("❌ Enter a game ID to audit");
+    return;
+  }
+
+  if (button) button.disabled = true;
+  try {
+    log(`⛓️ Auditing game ${gameId}...`);
+    renderResults([{ status: "warn", label: "Fetching chain data..." }]);
+    const contract = await ensureAuditContract();
+    const prover = await ensureProver(auditCircuitPath);
+
+    const results = await auditSettledGame(
+      contract,
+      prover,
+      gameId,
+      auditFromBlock
+    );
+    renderResults(results);
+
+    if (results.every((result) => result.status !== "fail")) {
+      log(`✅ Game ${gameId} was settled honestly`);
+    } else {
+      log(`❌ Game ${gameId} failed the audit`);
+    }
+  } catch (error) {
+    log(`❌ Could not audit game ${gameId}: ${error.message}`);
+    renderResults([
+      { status: "fail", label: "Audit failed", detail: error.message },
+    ]);
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+function init() {
+  const fileInput = document.getElementById("bundleFile");
+  if (fileInput) {
+    fileInput.addEventListener("change", handleFile);
+  }
+  const auditBtn = document.getElementById("auditBtn");
+  if (auditBtn) {
+    auditBtn.addEventListener("click", handleAudit);
+  }
+  log("🚀 Proof verifier ready - load a bundle or audit a game");
+
+  // Linked from a settled game card: /verify.html?game=<id>
+  const gameParam = new URLSearchParams(window.location.search).get("game");
+  if (gameParam) {
+    document.getElementById("auditGameId").value = gameParam;
+    handleAudit();
+  }
+}
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", init);
+} else {
+  init();
+}
@@ -20,6 +20,7 @@ export default defineConfig({
         main: './index.html',
         fund: './fund.html',
         'swap-rps': './swap-rps.html',
+        verify: './verify.html',
       },
     },
   },